@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['server.js', 'server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
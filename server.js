@@ -2,17 +2,217 @@ import express from "express";
 import cors from "cors";
 import axios from "axios";
 import dotenv from "dotenv";
+import { createCacheStore, createMemoryStore } from "./server/cacheStores.js";
+import { createResponseCache, buildCacheKey } from "./server/responseCache.js";
+import { createSearchService } from "./server/searchService.js";
+import { setSourceEnabled } from "./src/api/sourceRegistry.js";
+import { resultsConfig } from "./src/api/config.js";
 
 dotenv.config();
 
 const SMITHSONIAN_API_KEY = process.env.SMITHSONIAN_API_KEY;
+const EUROPEANA_API_KEY = process.env.EUROPEANA_API_KEY;
+const RIJKSMUSEUM_API_KEY = process.env.RIJKSMUSEUM_API_KEY;
 const PORT = process.env.PORT || 3000;
 
+// Response cache config - store is 'memory' (default), 'file' or 'sqlite'
+const CACHE_STORE = process.env.CACHE_STORE || "memory";
+const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS) || 10 * 60;
+const CACHE_STALE_SECONDS = Number(process.env.CACHE_STALE_SECONDS) || 60 * 60;
+const CACHE_ADMIN_TOKEN = process.env.CACHE_ADMIN_TOKEN;
+const CACHE_MET_OBJECT_MAX_ENTRIES = Number(process.env.CACHE_MET_OBJECT_MAX_ENTRIES) || 2000;
+
 if (!SMITHSONIAN_API_KEY) {
   console.error("Error: Smithsonian API key is not set!");
   process.exit(1);
 }
 
+if (!EUROPEANA_API_KEY) {
+  console.error("Error: Europeana API key is not set!");
+  process.exit(1);
+}
+
+// Rijksmuseum is optional - without a key its routes return 503 and unified search skips it
+if (!RIJKSMUSEUM_API_KEY) {
+  console.warn("Warning: Rijksmuseum API key is not set - Rijksmuseum search is disabled");
+  setSourceEnabled("rijksmuseum", false);
+}
+
+const EUROPEANA_API_BASE = "https://api.europeana.eu/record/v2";
+const EUROPEANA_PASSTHROUGH_PARAMS = ["query", "start", "rows", "sort", "qf", "profile", "thumbnail", "reusability"];
+
+// Only forward known Europeana params, so clients can't override wskey
+const pickEuropeanaParams = (query) => {
+  const params = {};
+  EUROPEANA_PASSTHROUGH_PARAMS.forEach((key) => {
+    if (query[key] !== undefined) {
+      params[key] = query[key];
+    }
+  });
+  return params;
+};
+
+// Public APIs, only called from here by the unified search
+const AIC_API_BASE = "https://api.artic.edu/api/v1";
+const MET_API_BASE = "https://collectionapi.metmuseum.org/public/collection/v1";
+
+const RIJKSMUSEUM_API_BASE = "https://www.rijksmuseum.nl/api";
+const RIJKSMUSEUM_LANGUAGES = ["en", "nl"];
+const RIJKSMUSEUM_PASSTHROUGH_PARAMS = ["q", "p", "ps", "imgonly", "s"];
+
+// Only forward known Rijksmuseum params, so clients can't override the key
+const pickRijksmuseumParams = (query) => {
+  const params = {};
+  RIJKSMUSEUM_PASSTHROUGH_PARAMS.forEach((key) => {
+    if (query[key] !== undefined) {
+      params[key] = query[key];
+    }
+  });
+  return params;
+};
+
+const responseCache = createResponseCache({
+  store: await createCacheStore(CACHE_STORE, {
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || undefined,
+    directory: process.env.CACHE_DIR,
+    filename: process.env.CACHE_SQLITE_FILE,
+  }),
+  ttl: CACHE_TTL_SECONDS * 1000,
+  staleTtl: CACHE_STALE_SECONDS * 1000,
+});
+
+// Met objects get their own bounded store - one search looks up hundreds of them, which would
+// otherwise evict every cached search response
+const metObjectCache = createResponseCache({
+  store: createMemoryStore({ maxEntries: CACHE_MET_OBJECT_MAX_ENTRIES }),
+  ttl: CACHE_TTL_SECONDS * 1000,
+  staleTtl: CACHE_STALE_SECONDS * 1000,
+});
+
+// Serve an upstream response through the cache, flagging HIT/MISS/STALE
+const sendCached = async (res, cachedResponse) => {
+  const { data, status } = await cachedResponse;
+  res.set("X-Cache", status);
+  res.json(data);
+};
+
+// ================ CACHED UPSTREAM REQUESTS ================
+
+const smithsonianSearch = (params) =>
+  responseCache.get(buildCacheKey("smithsonian:search", params), async () => {
+    const response = await axios.get("https://api.si.edu/openaccess/api/v1.0/search", {
+      params: { 
+        ...params, 
+        api_key: SMITHSONIAN_API_KEY 
+      },
+      timeout: 30000,
+    });
+    console.log('Smithsonian API responded successfully');
+    return response.data;
+  });
+
+const smithsonianContent = (id) =>
+  responseCache.get(buildCacheKey(`smithsonian:content:${id}`), async () => {
+    const response = await axios.get(`https://api.si.edu/openaccess/api/v1.0/content/${id}`, {
+      params: { 
+        api_key: SMITHSONIAN_API_KEY 
+      },
+      timeout: 30000,
+    });
+    return response.data;
+  });
+
+const europeanaSearch = (params) =>
+  responseCache.get(buildCacheKey("europeana:search", params), async () => {
+    const response = await axios.get(`${EUROPEANA_API_BASE}/search.json`, {
+      params: {
+        ...params,
+        wskey: EUROPEANA_API_KEY
+      },
+      // Repeated params (eg. multiple qf) must be sent as qf=a&qf=b, not qf[]=a
+      paramsSerializer: { indexes: null },
+      timeout: 15000,
+    });
+    return response.data;
+  });
+
+const europeanaRecord = (recordId, params) =>
+  responseCache.get(buildCacheKey(`europeana:record:${recordId}`, params), async () => {
+    const response = await axios.get(`${EUROPEANA_API_BASE}/${recordId}.json`, {
+      params: {
+        ...params,
+        wskey: EUROPEANA_API_KEY
+      },
+      timeout: 15000,
+    });
+    return response.data;
+  });
+
+const rijksmuseumSearch = (language, params) =>
+  responseCache.get(buildCacheKey(`rijksmuseum:search:${language}`, params), async () => {
+    const response = await axios.get(`${RIJKSMUSEUM_API_BASE}/${language}/collection`, {
+      params: {
+        ...params,
+        key: RIJKSMUSEUM_API_KEY
+      },
+      timeout: 15000,
+    });
+    return response.data;
+  });
+
+const rijksmuseumObject = (language, objectNumber) =>
+  responseCache.get(buildCacheKey(`rijksmuseum:object:${language}:${objectNumber}`), async () => {
+    const response = await axios.get(
+      `${RIJKSMUSEUM_API_BASE}/${language}/collection/${encodeURIComponent(objectNumber)}`,
+      {
+        params: { 
+          key: RIJKSMUSEUM_API_KEY 
+        },
+        timeout: 15000,
+      }
+    );
+    return response.data;
+  });
+
+const aicSearch = (params) =>
+  responseCache.get(buildCacheKey("aic:search", params), async () => {
+    const response = await axios.get(`${AIC_API_BASE}/artworks/search`, {
+      params,
+      timeout: 15000,
+    });
+    return response.data;
+  });
+
+const metSearch = (params) =>
+  responseCache.get(buildCacheKey("met:search", params), async () => {
+    const response = await axios.get(`${MET_API_BASE}/search`, {
+      params,
+      timeout: 15000,
+    });
+    return response.data;
+  });
+
+// Concurrent searches share in-flight object requests through the cache, so one search's abort
+// signal isn't passed on - the Met source stops requesting further objects once it's aborted instead
+const metObject = (id) =>
+  metObjectCache.get(buildCacheKey(`met:object:${id}`), async () => {
+    const response = await axios.get(`${MET_API_BASE}/objects/${encodeURIComponent(id)}`, {
+      timeout: 15000,
+    });
+    return response.data;
+  });
+
+// Unified search runs each registered source with these in place of its repository's requests
+const cachedData = (cachedRequest) => async (...args) => (await cachedRequest(...args)).data;
+
+const searchService = createSearchService({
+  smithsonian: { search: cachedData(smithsonianSearch) },
+  europeana: { search: cachedData(europeanaSearch) },
+  rijksmuseum: { search: cachedData(rijksmuseumSearch) },
+  aic: { search: cachedData(aicSearch) },
+  met: { search: cachedData(metSearch), object: cachedData(metObject) },
+});
+
 const app = express();
 app.use(cors());
 app.use(express.json());
@@ -23,22 +223,14 @@ app.use((req, res, next) => {
 
 // Health check
 app.get("/", (req, res) => {
-  res.json({ status: "Smithsonian API proxy running" });
+  res.json({ status: "Museum API proxy running" });
 });
 
 // Smithsonian search proxy
 app.get("/api/smithsonian/search", async (req, res) => {
   console.log('Search request received:', req.query);
   try {
-    const response = await axios.get("https://api.si.edu/openaccess/api/v1.0/search", {
-      params: { 
-        ...req.query, 
-        api_key: SMITHSONIAN_API_KEY 
-      },
-      timeout: 30000,
-    });
-    console.log('Smithsonian API responded successfully');
-    res.json(response.data);
+    await sendCached(res, smithsonianSearch(req.query));
   } catch (error) {
     console.error("Smithsonian search error:", error.message);
     console.error("Error details:", error.response?.status, error.response?.data);
@@ -49,19 +241,250 @@ app.get("/api/smithsonian/search", async (req, res) => {
 // Smithsonian item details proxy
 app.get("/api/smithsonian/content/:id", async (req, res) => {
   try {
-    const response = await axios.get(`https://api.si.edu/openaccess/api/v1.0/content/${req.params.id}`, {
-      params: { 
-        api_key: SMITHSONIAN_API_KEY 
-      },
-      timeout: 30000,
-    });
-    res.json(response.data);
+    await sendCached(res, smithsonianContent(req.params.id));
   } catch (error) {
     console.error(`Smithsonian item error for ${req.params.id}:`, error.message);
     res.status(500).json({ error: "Failed to fetch item details" });
   }
 });
 
+// Europeana search proxy
+app.get("/api/europeana/search", async (req, res) => {
+  const params = pickEuropeanaParams(req.query);
+
+  try {
+    await sendCached(res, europeanaSearch(params));
+  } catch (error) {
+    console.error("Europeana search error:", error.message);
+    console.error("Error details:", error.response?.status, error.response?.data);
+    res.status(error.response?.status || 500).json({ error: "Failed to fetch search results" });
+  }
+});
+
+// Europeana record proxy - record IDs contain a slash, eg. /record/2048128/618580
+app.get("/api/europeana/record/*recordId", async (req, res) => {
+  const recordId = [].concat(req.params.recordId).join("/").replace(/\.json$/, "");
+  const params = pickEuropeanaParams(req.query);
+
+  try {
+    await sendCached(res, europeanaRecord(recordId, params));
+  } catch (error) {
+    console.error(`Europeana record error for ${recordId}:`, error.message);
+    res.status(error.response?.status || 500).json({ error: "Failed to fetch item details" });
+  }
+});
+
+app.use("/api/rijksmuseum", (req, res, next) => {
+  if (!RIJKSMUSEUM_API_KEY) {
+    return res.status(503).json({ error: "Rijksmuseum is unavailable - no API key is configured" });
+  }
+  next();
+});
+
+// Rijksmuseum search proxy - language is 'en' or 'nl', eg. /api/rijksmuseum/en/search?q=rembrandt
+app.get("/api/rijksmuseum/:language/search", async (req, res) => {
+  const { language } = req.params;
+  if (!RIJKSMUSEUM_LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+
+  try {
+    await sendCached(res, rijksmuseumSearch(language, pickRijksmuseumParams(req.query)));
+  } catch (error) {
+    console.error("Rijksmuseum search error:", error.message);
+    console.error("Error details:", error.response?.status, error.response?.data);
+    res.status(error.response?.status || 500).json({ error: "Failed to fetch search results" });
+  }
+});
+
+// Rijksmuseum object proxy - objects are identified by object number, eg. /api/rijksmuseum/en/object/SK-C-5
+app.get("/api/rijksmuseum/:language/object/:objectNumber", async (req, res) => {
+  const { language, objectNumber } = req.params;
+  if (!RIJKSMUSEUM_LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+
+  try {
+    await sendCached(res, rijksmuseumObject(language, objectNumber));
+  } catch (error) {
+    console.error(`Rijksmuseum object error for ${objectNumber}:`, error.message);
+    res.status(error.response?.status || 500).json({ error: "Failed to fetch item details" });
+  }
+});
+
+// Read & validate q, sources, page and pageSize for the unified search routes
+const parseSearchRequest = (req) => {
+  const query = String(req.query.q || "").trim();
+  const sources = req.query.sources
+    ? String(req.query.sources).split(",").map((source) => source.trim()).filter(Boolean)
+    : searchService.supportedSources;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || resultsConfig.defaultPageSize));
+
+  if (!query) {
+    return { error: { type: "validation", message: "Search query is required" } };
+  }
+
+  const unsupported = sources.filter((source) => !searchService.supportedSources.includes(source));
+  if (unsupported.length > 0 || sources.length === 0) {
+    return { error: { type: "validation", message: `Unsupported source: ${unsupported.join(", ") || "none"}` } };
+  }
+
+  return { query, sources, page, pageSize };
+};
+
+// Merged results of one unified search, cached so every page of it is sliced from a single fan-out
+// Failed searches aren't cached - they throw with the { success: false, error } result attached
+// Sources are sorted & deduplicated, so ?sources=met,aic and ?sources=aic,met share an entry
+const unifiedSearch = (query, sources) => {
+  const sourceIds = [...new Set(sources)].sort();
+
+  return responseCache.get(buildCacheKey("unified:search", { q: query, sources: sourceIds }), async () => {
+    const result = await searchService.searchAllSources(query, sourceIds);
+    if (!result.success) {
+      throw Object.assign(new Error(result.error.message), { result });
+    }
+    return result.data;
+  });
+};
+
+// Unified search - fans out to every source server-side and returns one page of adapted items
+// eg. /api/search?q=cats&sources=smithsonian,europeana&page=2&pageSize=44
+app.get("/api/search", async (req, res) => {
+  const { query, sources, page, pageSize, error } = parseSearchRequest(req);
+
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const { data, status } = await unifiedSearch(query, sources);
+    const { total, items, errors } = data;
+    const startIdx = (page - 1) * pageSize;
+
+    res.set("X-Cache", status);
+    res.json({
+      success: true,
+      data: {
+        total,
+        items: items.slice(startIdx, startIdx + pageSize),
+        errors,
+        page,
+        pageSize,
+        itemCount: items.length,
+        totalPages: Math.ceil(items.length / pageSize),
+      },
+    });
+  } catch (error) {
+    if (error.result) {
+      return res.status(502).json(error.result);
+    }
+
+    console.error("Unified search error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: { type: "unknown", message: "Search failed unexpectedly" },
+    });
+  }
+});
+
+// Streaming unified search - Server-Sent Events per adapted batch
+// Events: progress, items, source-error, complete. eg. /api/search/stream?q=cats
+app.get("/api/search/stream", async (req, res) => {
+  const { query, sources, error } = parseSearchRequest(req);
+
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop fetching further batches if the browser goes away
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  const totals = {};
+  let itemsFound = 0;
+  const totalResults = () => Object.values(totals).reduce((sum, total) => sum + total, 0);
+
+  sendEvent("progress", {
+    message: "Searching museum collections...",
+    itemsFound: 0,
+    totalResults: 0,
+  });
+
+  try {
+    const result = await searchService.searchAllSources(query, sources, {
+      signal: controller.signal,
+      onItems: ({ source, items, total, batchesProcessed, totalBatches }) => {
+        totals[source] = total;
+        itemsFound += items.length;
+
+        if (items.length > 0) {
+          sendEvent("items", { source, items });
+        }
+        sendEvent("progress", {
+          message: `Found ${itemsFound} results, searching for more...`,
+          source,
+          itemsFound,
+          totalResults: totalResults(),
+          batchesProcessed,
+          totalBatches,
+        });
+      },
+      onSourceError: (sourceError) => sendEvent("source-error", sourceError),
+    });
+
+    if (controller.signal.aborted) return;
+
+    sendEvent("complete", result.success
+      ? {
+          success: true,
+          message: `Search complete: ${result.data.items.length} results found`,
+          itemsFound: result.data.items.length,
+          totalResults: result.data.total,
+          totals: result.data.totals,
+          errors: result.data.errors,
+        }
+      : { success: false, error: result.error });
+  } catch (error) {
+    console.error("Streaming search error:", error.message);
+    sendEvent("complete", {
+      success: false,
+      error: { type: "unknown", message: "Search failed unexpectedly" },
+    });
+  }
+
+  res.end();
+});
+
+// Cache admin - purge entries by key prefix, eg. DELETE /api/admin/cache?prefix=smithsonian:search
+// Disabled unless CACHE_ADMIN_TOKEN is set; requests must send it as X-Admin-Token
+app.delete("/api/admin/cache", async (req, res) => {
+  if (!CACHE_ADMIN_TOKEN || req.get("X-Admin-Token") !== CACHE_ADMIN_TOKEN) {
+    return res.status(403).json({ error: "Not authorised" });
+  }
+
+  try {
+    const prefix = String(req.query.prefix || "");
+    const removed = (await responseCache.purge(prefix)) + (await metObjectCache.purge(prefix));
+    console.log(`Cache purged: ${removed} entries with prefix "${prefix}"`);
+    res.json({ prefix, removed });
+  } catch (error) {
+    console.error("Cache purge error:", error.message);
+    res.status(500).json({ error: "Failed to purge cache" });
+  }
+});
+
 app.listen(PORT, () => {
-  console.log(`Smithsonian API proxy running on port ${PORT}`);
+  console.log(`Museum API proxy running on port ${PORT}`);
 });
\ No newline at end of file
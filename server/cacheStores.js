@@ -0,0 +1,179 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile, readdir, unlink } from "node:fs/promises";
+import path from "node:path";
+
+// ================ CACHE STORES ================
+// Every store exposes the same async interface:
+//   get(key) -> entry | null, set(key, entry), delete(key), deleteByPrefix(prefix) -> count
+
+/**
+ * In-memory store - default. Oldest entries are dropped once maxEntries is reached
+ * @param {Object} options
+ * @param {number} options.maxEntries - Maximum number of cached responses
+ */
+export const createMemoryStore = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      if (!entries.has(key)) return null;
+
+      // Re-insert so Map order doubles as least-recently-used order
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async deleteByPrefix(prefix) {
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+};
+
+/**
+ * File store - one JSON file per key, survives server restarts
+ * @param {Object} options
+ * @param {string} options.directory - Directory to write cache files to
+ */
+export const createFileStore = ({ directory = ".cache/proxy" } = {}) => {
+  const ready = mkdir(directory, { recursive: true });
+
+  const fileFor = (key) =>
+    path.join(directory, `${createHash("sha1").update(key).digest("hex")}.json`);
+
+  const readEntryFile = async (file) => {
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    async get(key) {
+      await ready;
+      const stored = await readEntryFile(fileFor(key));
+      return stored?.key === key ? stored.entry : null;
+    },
+
+    async set(key, entry) {
+      await ready;
+      await writeFile(fileFor(key), JSON.stringify({ key, entry }));
+    },
+
+    async delete(key) {
+      await ready;
+      await unlink(fileFor(key)).catch(() => {});
+    },
+
+    async deleteByPrefix(prefix) {
+      await ready;
+      let removed = 0;
+      const files = (await readdir(directory)).filter((name) => name.endsWith(".json"));
+
+      for (const name of files) {
+        const file = path.join(directory, name);
+        const stored = await readEntryFile(file);
+
+        if (!stored || stored.key?.startsWith(prefix)) {
+          await unlink(file).catch(() => {});
+          if (stored) removed++;
+        }
+      }
+      return removed;
+    },
+  };
+};
+
+/**
+ * SQLite store - needs the optional `better-sqlite3` package (npm install better-sqlite3)
+ * @param {Object} options
+ * @param {string} options.filename - SQLite database file
+ */
+export const createSqliteStore = async ({ filename = ".cache/proxy-cache.db" } = {}) => {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch {
+    throw new Error("SQLite cache store requires the better-sqlite3 package: npm install better-sqlite3");
+  }
+
+  await mkdir(path.dirname(filename), { recursive: true });
+
+  const db = new Database(filename);
+  db.exec("CREATE TABLE IF NOT EXISTS proxy_cache (key TEXT PRIMARY KEY, entry TEXT NOT NULL)");
+
+  const statements = {
+    get: db.prepare("SELECT entry FROM proxy_cache WHERE key = ?"),
+    set: db.prepare("INSERT OR REPLACE INTO proxy_cache (key, entry) VALUES (?, ?)"),
+    delete: db.prepare("DELETE FROM proxy_cache WHERE key = ?"),
+    // substr comparison avoids escaping LIKE wildcards found in search terms
+    deleteByPrefix: db.prepare("DELETE FROM proxy_cache WHERE substr(key, 1, length(?)) = ?"),
+  };
+
+  return {
+    async get(key) {
+      const row = statements.get.get(key);
+      if (!row) return null;
+
+      try {
+        return JSON.parse(row.entry);
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      statements.set.run(key, JSON.stringify(entry));
+    },
+
+    async delete(key) {
+      statements.delete.run(key);
+    },
+
+    async deleteByPrefix(prefix) {
+      return statements.deleteByPrefix.run(prefix, prefix).changes;
+    },
+  };
+};
+
+/**
+ * Create a cache store by name
+ * @param {string} type - 'memory' | 'file' | 'sqlite'
+ * @param {Object} options - Passed through to the store factory
+ * @returns {Promise<Object>} Cache store
+ */
+export const createCacheStore = async (type = "memory", options = {}) => {
+  switch (type) {
+    case "file":
+      return createFileStore(options);
+    case "sqlite":
+      return createSqliteStore(options);
+    case "memory":
+      return createMemoryStore(options);
+    default:
+      throw new Error(`Unknown cache store: ${type}`);
+  }
+};
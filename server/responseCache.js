@@ -0,0 +1,126 @@
+// ================ RESPONSE CACHE ================
+// Caches upstream API responses for the proxy routes.
+// Fresh entries are served as HIT, entries within the stale window are served as STALE
+// while a single background refresh replaces them, anything older is a MISS.
+
+const QUERY_PARAMS = ["q", "query"];
+
+// Case is kept - upper case operators mean something different to their lower case words,
+// eg. "cats OR dogs", so only spacing is normalised
+const normaliseQuery = (str) => str.replace(/\s+/g, " ");
+
+const normaliseValue = (key, value) => {
+  if (Array.isArray(value)) {
+    return value.map((v) => normaliseValue(key, v)).sort();
+  }
+
+  // eg. AIC's Elasticsearch query param
+  if (value && typeof value === "object") {
+    return JSON.stringify(value);
+  }
+
+  const str = String(value).trim();
+  return QUERY_PARAMS.includes(key) ? normaliseQuery(str) : str;
+};
+
+/**
+ * Build a cache key from a namespace and upstream request params
+ * Params are sorted and search terms' spacing collapsed, so equivalent requests share an entry
+ * @param {string} namespace - Route namespace, eg. 'smithsonian:search'
+ * @param {Object} params - Upstream request params (without API keys)
+ * @returns {string} Cache key, eg. 'smithsonian:search:{"q":"cats","rows":"500"}'
+ */
+export const buildCacheKey = (namespace, params = {}) => {
+  const normalised = {};
+
+  Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== null && params[key] !== "")
+    .sort()
+    .forEach((key) => {
+      normalised[key] = normaliseValue(key, params[key]);
+    });
+
+  return `${namespace}:${JSON.stringify(normalised)}`;
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.store - Cache store (see cacheStores.js)
+ * @param {number} options.ttl - Milliseconds an entry is served as fresh
+ * @param {number} options.staleTtl - Further milliseconds an expired entry may be served while refreshing
+ */
+export const createResponseCache = ({ store, ttl, staleTtl = 0 }) => {
+  const pendingFetches = new Map();
+
+  // Store failures (eg. disk errors) degrade to a cache miss rather than a failed request
+  const safeStoreGet = async (key) => {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.error(`Cache read failed for ${key}:`, error.message);
+      return null;
+    }
+  };
+
+  const safeStoreSet = async (key, entry) => {
+    try {
+      await store.set(key, entry);
+    } catch (error) {
+      console.error(`Cache write failed for ${key}:`, error.message);
+    }
+  };
+
+  // Concurrent requests for the same key share one upstream fetch
+  const fetchAndStore = (key, fetcher) => {
+    if (pendingFetches.has(key)) {
+      return pendingFetches.get(key);
+    }
+
+    const pending = Promise.resolve()
+      .then(fetcher)
+      .then(async (data) => {
+        await safeStoreSet(key, { data, storedAt: Date.now() });
+        return data;
+      })
+      .finally(() => pendingFetches.delete(key));
+
+    pendingFetches.set(key, pending);
+    return pending;
+  };
+
+  return {
+    /**
+     * Get a cached response, fetching it on a miss
+     * @param {string} key - Cache key from buildCacheKey
+     * @param {Function} fetcher - Async function returning the upstream response data
+     * @returns {Promise<{data: *, status: 'HIT'|'MISS'|'STALE'}>}
+     */
+    async get(key, fetcher) {
+      const entry = await safeStoreGet(key);
+      const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+      if (age <= ttl) {
+        return { data: entry.data, status: "HIT" };
+      }
+
+      if (age <= ttl + staleTtl) {
+        fetchAndStore(key, fetcher).catch((error) => {
+          console.error(`Background refresh failed for ${key}:`, error.message);
+        });
+        return { data: entry.data, status: "STALE" };
+      }
+
+      const data = await fetchAndStore(key, fetcher);
+      return { data, status: "MISS" };
+    },
+
+    /**
+     * Remove every entry whose key starts with prefix
+     * @param {string} prefix - Key prefix, eg. 'smithsonian:search' ('' purges everything)
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async purge(prefix = "") {
+      return store.deleteByPrefix(prefix);
+    },
+  };
+};
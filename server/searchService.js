@@ -0,0 +1,133 @@
+import { resultsConfig } from "../src/api/config.js";
+import "../src/api/sources/index.js";
+import { getEnabledSources } from "../src/api/sourceRegistry.js";
+import { createApiErrorResult } from "../src/utils/apiErrorHandler.js";
+import { mergeResults } from "../src/utils/resultsMerging.js";
+import { getQueryWarnings, isQueryWarning, selectQuerySources } from "../src/utils/queryParser.js";
+
+// Run a registered source's batched search, adapting each raw batch to unified items
+const searchProviderComplete = async (provider, query, { onBatch, signal, fetchers }) => {
+  const items = [];
+  let total = 0;
+
+  try {
+    const result = await provider.search(query, {
+      signal,
+      fetchers,
+      onBatch: (rawBatch, meta) => {
+        const adaptedBatch = rawBatch ? provider.adaptSearch(rawBatch) : { items: [] };
+        total = adaptedBatch.total || total;
+        items.push(...adaptedBatch.items);
+        onBatch?.(adaptedBatch.items, { total, ...meta });
+      },
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, data: { total: result.data?.total ?? total, items } };
+  } catch (error) {
+    console.error(`${provider.label} search failed:`, error.message);
+    return createApiErrorResult(error, provider.label, "search");
+  }
+};
+
+// ================ SERVER-SIDE UNIFIED SEARCH ================
+// Mirrors the browser fan-out in museumService.js over the same source registry: batches/pages
+// each source, adapts every batch to the unified item format and merges the results.
+
+/**
+ * @param {Object} fetchers - Cached upstream requests per source ID (from server.js), shaped like the
+ *   repository's own, eg. { smithsonian: { search } } for smithsonianFetchers. Sources without any
+ *   make their usual requests
+ */
+export const createSearchService = (fetchers = {}) => {
+  // Registration order breaks ties when interleaving, as in the browser search
+  const sources = Object.fromEntries(getEnabledSources().map((provider) => [provider.id, provider]));
+
+  return {
+    supportedSources: Object.keys(sources),
+
+    /**
+     * Search the requested sources in parallel and merge adapted items
+     * @param {string} query - Search term
+     * @param {Array<string>} sourceIds - Sources to search (defaults to all)
+     * @param {Object} hooks - Optional progressive hooks, used by the streaming route
+     * @param {Function} hooks.onItems - ({ source, items, total, batchesProcessed, totalBatches }) per adapted batch
+     * @param {Function} hooks.onSourceError - ({ source, error }) when a source fails
+     * @param {AbortSignal} hooks.signal - Stops fetching further batches once aborted
+     * @returns {Promise<Object>} { success, data: { total, items, errors, totals } } or { success: false, error }
+     */
+    async searchAllSources(query, sourceIds = Object.keys(sources), hooks = {}) {
+      const { onItems, onSourceError, signal } = hooks;
+      // source: clauses in the query narrow the requested sources further
+      const requested = selectQuerySources(query, Object.values(sources))
+        .map(({ id }) => id)
+        .filter((id) => sourceIds.includes(id));
+
+      if (requested.length === 0) {
+        return {
+          success: false,
+          error: { type: "validation", message: "None of the requested sources can be searched" },
+        };
+      }
+
+      const responses = await Promise.all(
+        requested.map((id) =>
+          searchProviderComplete(sources[id], query, {
+            onBatch: onItems && ((items, meta) => onItems({ source: id, items, ...meta })),
+            signal,
+            fetchers: fetchers[id],
+          })
+            .then((response) => {
+              if (!response.success) {
+                onSourceError?.({ source: sources[id].label, error: response.error });
+              }
+              return response;
+            })
+        )
+      );
+
+      // Clauses a source can't honour come back as warnings alongside source failures
+      const results = {
+        total: 0,
+        items: [],
+        errors: getQueryWarnings(query, requested.map((id) => sources[id])),
+        totals: {},
+      };
+
+      responses.forEach((response, index) => {
+        const source = sources[requested[index]];
+
+        if (response.success) {
+          results.total += response.data.total || 0;
+          results.totals[requested[index]] = response.data.total || 0;
+          results.items.push(...response.data.items);
+        } else {
+          results.errors.push({ source: source.label, error: response.error });
+        }
+      });
+
+      // Interleave sources so page 1 isn't all from the first source
+      results.items = mergeResults(results.items, {
+        strategy: resultsConfig.mergeStrategy,
+        weights: resultsConfig.sourceWeights,
+        query,
+      });
+
+      if (results.items.length === 0 && results.errors.some((sourceError) => !isQueryWarning(sourceError))) {
+        return {
+          success: false,
+          error: {
+            type: "api",
+            message: "All museum sources are temporarily unavailable",
+            details: results.errors,
+          },
+        };
+      }
+
+      return { success: true, data: results };
+    },
+  };
+};
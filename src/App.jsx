@@ -10,12 +10,14 @@ import UserProfilePage from "./pages/UserProfilePage";
 import CollectionsPage from "./pages/CollectionsPage";
 import CollectionView from "./pages/CollectionView";
 import SearchResultsPage from "./pages/SearchResultsPage";
+import AdvancedSearchPage from "./pages/AdvancedSearchPage";
 import ItemPage from "./pages/ItemPage";
 
 // Context providers
 import { AuthProvider } from "./context/AuthContext";
 import { CollectionsProvider } from "./context/CollectionsContext";
 import { SearchProvider } from "./context/SearchContext";
+import { SearchHistoryProvider } from "./context/SearchHistoryContext";
 
 /**
  * Main application component that sets up routing and context providers
@@ -25,34 +27,40 @@ export default function App() {
 
   return (
     <AuthProvider>
-      <CollectionsProvider>
-        <Router>
-          <SearchProvider>
-            <div className="min-h-screen flex flex-col">
-              <Header />
+      <SearchHistoryProvider>
+        <CollectionsProvider>
+          <Router>
+            <SearchProvider>
+              <div className="min-h-screen flex flex-col">
+                <Header />
 
-              <main className="flex-grow" ref={animateRef}>
-                <Routes>
-                  <Route path="/" element={<HomePage />} />
-                  <Route path="/about" element={<AboutPage />} />
-                  <Route path="/user/:username" element={<UserProfilePage />} />
-                  <Route path="/collections" element={<CollectionsPage />} />
-                  <Route
-                    path="/collections/:collectionId"
-                    element={<CollectionView />}
-                  />
-                  <Route path="/search" element={<SearchResultsPage />} />
-                  <Route path="/item/:source/:id" element={<ItemPage />} />
-                  {/* Catch-all route for 404 errors */}
-                  <Route path="*" element={<NotFound />} />
-                </Routes>
-              </main>
+                <main className="flex-grow" ref={animateRef}>
+                  <Routes>
+                    <Route path="/" element={<HomePage />} />
+                    <Route path="/about" element={<AboutPage />} />
+                    <Route path="/user/:username" element={<UserProfilePage />} />
+                    <Route path="/collections" element={<CollectionsPage />} />
+                    <Route
+                      path="/collections/:collectionId"
+                      element={<CollectionView />}
+                    />
+                    <Route path="/search" element={<SearchResultsPage />} />
+                    <Route
+                      path="/advanced-search"
+                      element={<AdvancedSearchPage />}
+                    />
+                    <Route path="/item/:source/:id" element={<ItemPage />} />
+                    {/* Catch-all route for 404 errors */}
+                    <Route path="*" element={<NotFound />} />
+                  </Routes>
+                </main>
 
-              <Footer />
-            </div>
-          </SearchProvider>
-        </Router>
-      </CollectionsProvider>
+                <Footer />
+              </div>
+            </SearchProvider>
+          </Router>
+        </CollectionsProvider>
+      </SearchHistoryProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,211 @@
+import {
+  parseYearFromRange,
+  dateRangeFromYears,
+  categoriseYear,
+  formatDisplayDate,
+} from "../../utils/dateUtils.js";
+
+export const AIC_MUSEUM_NAME = "Art Institute of Chicago";
+const DEFAULT_IIIF_URL = "https://www.artic.edu/iiif/2";
+
+// IIIF widths - 843 is the size AIC caches for every image, 1686 is the largest reliably served
+const IIIF_SIZES = {
+  thumbnail: 200,
+  screen: 843,
+  full: 1686,
+};
+
+// ================ MAIN ADAPTER FUNCTIONS ================
+
+/**
+ * Adapt AIC search results
+ * @param {Object} apiData - Raw AIC search response { pagination, data, config }
+ * @returns {Object} - Adapted search results for ItemCard
+ */
+export const adaptAicSearchResults = (apiData) => {
+  if (!apiData || !Array.isArray(apiData.data)) {
+    return { total: 0, items: [] };
+  }
+
+  const iiifUrl = apiData.config?.iiif_url || DEFAULT_IIIF_URL;
+
+  const processedItems = apiData.data
+    .map((artwork) => {
+      try {
+        // Image-first policy: public domain artworks with an image only
+        if (!isUsableArtwork(artwork)) {
+          return null;
+        }
+
+        const { dateCreated, filterDate, dateRange, century } = extractDates(artwork);
+
+        return {
+          id: String(artwork.id),
+          title: artwork.title?.trim() || "Untitled",
+          source: "aic",
+          museum: AIC_MUSEUM_NAME,
+          creator: artwork.artist_title || "",
+          dateCreated,
+          filterDate,
+          dateRange,
+          century,
+          media: buildIiifMedia(iiifUrl, artwork.image_id),
+          url: buildArtworkUrl(artwork.id),
+          country: artwork.place_of_origin || "",
+          mediaType: artwork.artwork_type_title || "",
+        };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return {
+    total: apiData.pagination?.total || 0,
+    items: processedItems,
+  };
+};
+
+/**
+ * Adapt single artwork from AIC Artworks API
+ * @param {Object} apiData - Raw AIC artwork response { data, config }
+ * @returns {Object} - Adapted item details for SingleItemCard
+ */
+export const adaptAicItemDetails = (apiData) => {
+  const artwork = apiData?.data;
+  if (!artwork || !artwork.id) return null;
+
+  const iiifUrl = apiData.config?.iiif_url || DEFAULT_IIIF_URL;
+  const { dateCreated, filterDate, dateRange, century } = extractDates(artwork);
+
+  return {
+    id: String(artwork.id),
+    title: artwork.title?.trim() || "Untitled",
+    url: buildArtworkUrl(artwork.id),
+    source: "aic",
+    museum: AIC_MUSEUM_NAME,
+    dateCreated,
+    filterDate,
+    dateRange,
+    century,
+    // Images of in-copyright works are not licensed for reuse, so none are shown
+    media: buildIiifMedia(iiifUrl, artwork.is_public_domain ? artwork.image_id : null),
+    location: { place: artwork.place_of_origin || "" },
+    creators: extractCreators(artwork),
+    descriptions: extractDescriptions(artwork),
+    notes: extractNotes(artwork),
+    identifiers: extractIdentifiers(artwork),
+    collection: {
+      name: artwork.department_title || "",
+      types: [artwork.artwork_type_title, ...(artwork.classification_titles || [])]
+        .filter(Boolean),
+    },
+  };
+};
+
+// ================ UTILITY FUNCTIONS ================
+
+const isUsableArtwork = (artwork) =>
+  Boolean(artwork?.is_public_domain && artwork.image_id);
+
+const buildArtworkUrl = (id) => `https://www.artic.edu/artworks/${id}`;
+
+const buildIiifImageUrl = (iiifUrl, imageId, width) =>
+  `${iiifUrl}/${imageId}/full/${width},/0/default.jpg`;
+
+const buildIiifMedia = (iiifUrl, imageId) => {
+  if (!imageId) {
+    return { thumbnail: "", primaryImage: "", fullImage: "" };
+  }
+
+  return {
+    thumbnail: buildIiifImageUrl(iiifUrl, imageId, IIIF_SIZES.thumbnail),
+    primaryImage: buildIiifImageUrl(iiifUrl, imageId, IIIF_SIZES.screen),
+    fullImage: buildIiifImageUrl(iiifUrl, imageId, IIIF_SIZES.full),
+  };
+};
+
+const extractDates = (artwork) => {
+  const filterDate = parseYearFromRange(artwork.date_start, artwork.date_end);
+
+  return {
+    dateCreated: artwork.date_display || formatDisplayDate(filterDate),
+    filterDate,
+    dateRange: dateRangeFromYears(artwork.date_start, artwork.date_end, artwork.date_display),
+    century: categoriseYear(filterDate),
+  };
+};
+
+const extractCreators = (artwork) => {
+  // artist_display holds the name plus nationality/dates on following lines
+  const displayText = artwork.artist_display?.trim() || artwork.artist_title || "";
+  if (!displayText) return [];
+
+  return [{
+    role: "Artist",
+    names: [artwork.artist_title || displayText.split("\n")[0]],
+    displayText: displayText.replace(/\n/g, ", "),
+  }];
+};
+
+const stripHtml = (html) =>
+  html
+    .replace(/<\/p>\s*<p[^>]*>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .trim();
+
+const extractDescriptions = (artwork) => {
+  const descriptions = [];
+
+  if (artwork.description) {
+    const paragraphs = stripHtml(artwork.description)
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean);
+
+    if (paragraphs.length > 0) {
+      descriptions.push({
+        title: "Description",
+        content: paragraphs.join("\n\n"),
+        paragraphs,
+      });
+    }
+  }
+
+  const physicalDetails = [artwork.medium_display, artwork.dimensions, artwork.credit_line]
+    .filter((text) => text && text.trim());
+
+  if (physicalDetails.length > 0) {
+    descriptions.push({
+      title: "Physical Description",
+      content: physicalDetails.join("\n\n"),
+      paragraphs: physicalDetails,
+    });
+  }
+
+  return descriptions;
+};
+
+const extractNotes = (artwork) => {
+  const notes = [];
+
+  if (artwork.inscriptions) {
+    notes.push({ text: artwork.inscriptions, conceptLabel: "Inscriptions" });
+  }
+  if (artwork.provenance_text) {
+    notes.push({ text: artwork.provenance_text, conceptLabel: "Provenance" });
+  }
+
+  return notes;
+};
+
+const extractIdentifiers = (artwork) => {
+  const identifiers = [];
+
+  if (artwork.main_reference_number) {
+    identifiers.push({ label: "Reference Number", content: artwork.main_reference_number });
+  }
+  identifiers.push({ label: "AIC ID", content: String(artwork.id) });
+
+  return identifiers;
+};
@@ -1,4 +1,13 @@
-import { parseYearForFiltering, categoriseYear, formatDisplayDate } from "../../utils/dateUtils";
+import { parseYearForFiltering, parseDateRange, categoriseYear, formatDisplayDate } from "../../utils/dateUtils.js";
+
+// Europeana TYPE values -> display labels for the type facet
+const EUROPEANA_TYPE_LABELS = {
+  IMAGE: "Image",
+  TEXT: "Text",
+  SOUND: "Sound",
+  VIDEO: "Video",
+  "3D": "3D",
+};
 
 // ================ MAIN ADAPTER FUNCTIONS ================
 
@@ -32,14 +41,18 @@ export const adaptEuropeanaSearchResults = (apiData) => {
         const filterDate = parseYearForFiltering(rawDateStr);
         const century = categoriseYear(filterDate);
         const dateCreated = formatDisplayDate(filterDate);
+        const dateRange = parseDateRange(rawDateStr);
 
         return {
           id: cleanId(item.id),
           title: getMultilingual(item.dcTitleLangAware) || getFirst(item.title) || "Untitled",
           source: "europeana",
           museum: getFirst(item.dataProvider) || "European Institution",
+          creator: getMultilingual(item.dcCreatorLangAware) || getFirst(item.dcCreator) || "",
+          description: getMultilingual(item.dcDescriptionLangAware) || getFirst(item.dcDescription) || "",
           dateCreated,
           filterDate,
+          dateRange,
           century,
           media: {
             thumbnail: thumbnailUrl,
@@ -47,6 +60,7 @@ export const adaptEuropeanaSearchResults = (apiData) => {
             fullImage: directImageUrl
           },
           country: getFirst(item.country) || "",
+          mediaType: EUROPEANA_TYPE_LABELS[getFirst(item.type)] || "",
         };
       } catch (error) {
         return null;
@@ -79,6 +93,7 @@ export const adaptEuropeanaItemDetails = (apiData) => {
     const filterDate = parseYearForFiltering(dates.created);
     const century = categoriseYear(filterDate);
     const dateCreated = formatDisplayDate(filterDate);
+    const dateRange = parseDateRange(dates.created);
 
     return {
       id: cleanId(record.about) || "",
@@ -88,6 +103,7 @@ export const adaptEuropeanaItemDetails = (apiData) => {
       museum: extractRecordMuseum(record),
       dateCreated,
       filterDate,
+      dateRange,
       century,
       media: {
         thumbnail: images.thumbnailUrl,
@@ -113,6 +129,7 @@ export const adaptEuropeanaItemDetails = (apiData) => {
       museum: "European Institution",
       dateCreated: "",
       filterDate: basicFilterDate,
+      dateRange: null,
       century: basicCentury,
       media: {
         thumbnail: "",
@@ -0,0 +1,200 @@
+import {
+  parseYearForFiltering,
+  parseDateRange,
+  dateRangeFromYears,
+  categoriseYear,
+  formatDisplayDate,
+} from "../../utils/dateUtils.js";
+
+export const MET_MUSEUM_NAME = "The Metropolitan Museum of Art";
+
+// ================ MAIN ADAPTER FUNCTIONS ================
+
+/**
+ * Adapt a batch of hydrated Met objects
+ * @param {Object} apiData - { total, objects } - Met search total plus the objects fetched for this batch
+ * @returns {Object} - Adapted search results for ItemCard
+ */
+export const adaptMetSearchResults = (apiData) => {
+  if (!apiData || !Array.isArray(apiData.objects)) {
+    return { total: 0, items: [] };
+  }
+
+  const processedItems = apiData.objects
+    .map((object) => {
+      try {
+        // Image-first policy: public domain objects with an image only
+        if (!isUsableObject(object)) {
+          return null;
+        }
+
+        const images = extractImages(object);
+        const { dateCreated, filterDate, dateRange, century } = extractDates(object);
+
+        return {
+          id: String(object.objectID),
+          title: object.title?.trim() || "Untitled",
+          source: "met",
+          museum: MET_MUSEUM_NAME,
+          creator: object.artistDisplayName?.split("|")[0].trim() || "",
+          dateCreated,
+          filterDate,
+          dateRange,
+          century,
+          media: {
+            thumbnail: images.thumbnail,
+            primaryImage: images.screenImage,
+            fullImage: images.fullImage
+          },
+          url: object.objectURL || "",
+          country: object.country || "",
+          mediaType: object.classification || object.objectName || "",
+        };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return {
+    total: apiData.total || 0,
+    items: processedItems,
+  };
+};
+
+/**
+ * Adapt single object from Met Objects API
+ * @param {Object} apiData - Raw Met object
+ * @returns {Object} - Adapted item details for SingleItemCard
+ */
+export const adaptMetItemDetails = (apiData) => {
+  if (!apiData || !apiData.objectID) return null;
+
+  const images = extractImages(apiData);
+  const { dateCreated, filterDate, dateRange, century } = extractDates(apiData);
+
+  return {
+    id: String(apiData.objectID),
+    title: apiData.title?.trim() || "Untitled",
+    url: apiData.objectURL || "",
+    source: "met",
+    museum: MET_MUSEUM_NAME,
+    dateCreated,
+    filterDate,
+    dateRange,
+    century,
+    media: {
+      thumbnail: images.thumbnail,
+      primaryImage: images.screenImage,
+      fullImage: images.fullImage
+    },
+    location: { place: extractPlace(apiData) },
+    creators: extractCreators(apiData),
+    descriptions: extractDescriptions(apiData),
+    notes: [],
+    identifiers: extractIdentifiers(apiData),
+    collection: {
+      name: apiData.department || "",
+      types: [apiData.classification, apiData.objectName].filter(Boolean),
+    },
+  };
+};
+
+// ================ UTILITY FUNCTIONS ================
+
+const isUsableObject = (object) =>
+  Boolean(object?.isPublicDomain && (object.primaryImageSmall || object.primaryImage));
+
+const extractImages = (object) => {
+  const fullImage = object.primaryImage || object.primaryImageSmall || "";
+  const screenImage = object.primaryImageSmall || fullImage;
+
+  return {
+    thumbnail: screenImage,
+    screenImage,
+    fullImage,
+  };
+};
+
+const extractDates = (object) => {
+  const filterDate =
+    parseYearForFiltering(object.objectDate) ??
+    (Number.isInteger(object.objectBeginDate) && object.objectBeginDate !== 0
+      ? object.objectBeginDate
+      : null);
+
+  // objectBeginDate/objectEndDate are the Met's own range for objectDate - both 0 when unknown
+  const hasYearRange =
+    Number.isInteger(object.objectBeginDate) &&
+    Number.isInteger(object.objectEndDate) &&
+    (object.objectBeginDate !== 0 || object.objectEndDate !== 0);
+
+  return {
+    dateCreated: object.objectDate || formatDisplayDate(filterDate),
+    filterDate,
+    dateRange: hasYearRange
+      ? dateRangeFromYears(object.objectBeginDate, object.objectEndDate, object.objectDate)
+      : parseDateRange(object.objectDate),
+    century: categoriseYear(filterDate),
+  };
+};
+
+const extractPlace = (object) => {
+  const place = [object.city, object.region, object.country]
+    .filter((part) => part && part.trim())
+    .join(", ");
+
+  return place || object.culture || "";
+};
+
+const extractCreators = (object) => {
+  if (!object.artistDisplayName) return [];
+
+  const names = object.artistDisplayName
+    .split("|")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const roles = (object.artistRole || "").split("|").map((role) => role.trim());
+
+  const groupedCreators = {};
+  names.forEach((name, index) => {
+    const role = roles[index] || roles[0] || "Artist";
+    if (!groupedCreators[role]) {
+      groupedCreators[role] = [];
+    }
+    groupedCreators[role].push(name);
+  });
+
+  return Object.entries(groupedCreators).map(([role, roleNames]) => ({
+    role,
+    names: roleNames,
+    displayText: roleNames.join(", "),
+  }));
+};
+
+// The Met API has no free-text description, so medium & dimensions stand in
+const extractDescriptions = (object) => {
+  const paragraphs = [object.medium, object.dimensions, object.creditLine]
+    .filter((text) => text && text.trim());
+
+  if (paragraphs.length === 0) return [];
+
+  return [{
+    title: "Description",
+    content: paragraphs.join("\n\n"),
+    paragraphs,
+  }];
+};
+
+const extractIdentifiers = (object) => {
+  const identifiers = [];
+
+  if (object.accessionNumber) {
+    identifiers.push({ label: "Accession Number", content: object.accessionNumber });
+  }
+  if (object.objectWikidata_URL) {
+    identifiers.push({ label: "Wikidata", content: object.objectWikidata_URL });
+  }
+
+  return identifiers;
+};
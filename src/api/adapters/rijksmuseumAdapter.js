@@ -0,0 +1,246 @@
+import { rijksmuseumConfig } from "../config.js";
+import {
+  parseYearForFiltering,
+  parseYearFromRange,
+  parseDateRange,
+  dateRangeFromYears,
+  categoriseYear,
+  formatDisplayDate,
+} from "../../utils/dateUtils.js";
+
+export const RIJKSMUSEUM_NAME = "Rijksmuseum";
+const SUPPORTED_LANGUAGES = ["en", "nl"];
+
+// webImage URLs are served by Google's image CDN - the =s<size> suffix sets the longest edge
+const IMAGE_SIZES = {
+  thumbnail: 400,
+  screen: 1200,
+  full: 0, // 0 = original resolution
+};
+
+// ================ MAIN ADAPTER FUNCTIONS ================
+
+/**
+ * Adapt Rijksmuseum search results
+ * @param {Object} apiData - Raw Rijksmuseum search response { count, artObjects, language }
+ * @returns {Object} - Adapted search results for ItemCard
+ */
+export const adaptRijksmuseumSearchResults = (apiData) => {
+  if (!apiData || !Array.isArray(apiData.artObjects)) {
+    return { total: 0, items: [] };
+  }
+
+  const language = apiData.language || rijksmuseumConfig.preferredLanguage;
+
+  const processedItems = apiData.artObjects
+    .map((artObject) => {
+      try {
+        // Image-first policy: objects with a web image only
+        if (!artObject?.hasImage || !artObject.webImage?.url) {
+          return null;
+        }
+
+        // Search results have no dating - longTitle ends with the date, eg. "The Night Watch, Rembrandt van Rijn, 1642"
+        const dateCreated = artObject.longTitle?.split(",").pop()?.trim() || "";
+        const filterDate = parseYearForFiltering(dateCreated);
+
+        return {
+          id: artObject.objectNumber,
+          title: artObject.title?.trim() || "Untitled",
+          source: "rijksmuseum",
+          museum: RIJKSMUSEUM_NAME,
+          creator: artObject.principalOrFirstMaker || "",
+          dateCreated: filterDate !== null ? dateCreated : "",
+          filterDate,
+          dateRange: filterDate !== null ? parseDateRange(dateCreated) : null,
+          century: categoriseYear(filterDate),
+          media: buildMedia(artObject.webImage.url),
+          url: artObject.links?.web || buildObjectUrl(artObject.objectNumber, language),
+          country: artObject.productionPlaces?.[0] || "",
+        };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return {
+    total: apiData.count || 0,
+    items: processedItems,
+  };
+};
+
+/**
+ * Adapt single object from the Rijksmuseum Collection API
+ * @param {Object} apiData - Language map of raw artObjects, eg. { en: artObject, nl: artObject }
+ * @returns {Object} - Adapted item details for SingleItemCard
+ */
+export const adaptRijksmuseumItemDetails = (apiData) => {
+  const languageMap = apiData || {};
+  const artObject = getMultilingual(languageMap, (object) => object);
+  if (!artObject?.objectNumber) return null;
+
+  const language = getPreferredLanguages().find((lang) => languageMap[lang]);
+  const { dateCreated, filterDate, dateRange, century } = extractDates(artObject);
+
+  return {
+    id: artObject.objectNumber,
+    title: getMultilingual(languageMap, (object) => object.title?.trim()) || "Untitled",
+    url: buildObjectUrl(artObject.objectNumber, language),
+    source: "rijksmuseum",
+    museum: RIJKSMUSEUM_NAME,
+    dateCreated,
+    filterDate,
+    dateRange,
+    century,
+    media: artObject.webImage?.url
+      ? buildMedia(artObject.webImage.url)
+      : { thumbnail: "", primaryImage: "", fullImage: "" },
+    location: {
+      place: getMultilingual(languageMap, (object) => object.productionPlaces?.join(", ")) || "",
+    },
+    creators: extractCreators(getMultilingual(languageMap, (object) =>
+      object.principalMakers?.length ? object.principalMakers : null
+    ) || []),
+    descriptions: extractDescriptions(languageMap),
+    notes: [],
+    identifiers: extractIdentifiers(artObject),
+    collection: {
+      name: getMultilingual(languageMap, (object) => object.objectCollection?.join(", ")) || "",
+      types: getMultilingual(languageMap, (object) =>
+        object.objectTypes?.length ? object.objectTypes : null
+      ) || [],
+    },
+  };
+};
+
+// ================ UTILITY FUNCTIONS ================
+
+const getPreferredLanguages = () => {
+  const preferred = rijksmuseumConfig.preferredLanguage;
+  return [preferred, ...SUPPORTED_LANGUAGES.filter((lang) => lang !== preferred)];
+};
+
+/**
+ * Pick a value from a language map in preferred language order,
+ * falling back to the other language when the preferred one is empty
+ * @param {Object} languageMap - eg. { en: artObject, nl: artObject }
+ * @param {Function} getValue - Reads the value from one language's object
+ */
+const getMultilingual = (languageMap, getValue) => {
+  for (const lang of getPreferredLanguages()) {
+    if (!languageMap[lang]) continue;
+
+    const value = getValue(languageMap[lang]);
+    if (value && (typeof value !== "string" || value.trim())) {
+      return value;
+    }
+  }
+  return null;
+};
+
+const buildObjectUrl = (objectNumber, language = "en") =>
+  language === "nl"
+    ? `https://www.rijksmuseum.nl/nl/collectie/${objectNumber}`
+    : `https://www.rijksmuseum.nl/en/collection/${objectNumber}`;
+
+const buildMedia = (webImageUrl) => {
+  const baseUrl = webImageUrl.replace(/=s\d+$/, "");
+
+  return {
+    thumbnail: `${baseUrl}=s${IMAGE_SIZES.thumbnail}`,
+    primaryImage: `${baseUrl}=s${IMAGE_SIZES.screen}`,
+    fullImage: `${baseUrl}=s${IMAGE_SIZES.full}`,
+  };
+};
+
+const extractDates = (artObject) => {
+  const dating = artObject.dating || {};
+  const filterDate =
+    parseYearFromRange(dating.yearEarly, dating.yearLate) ??
+    (Number.isInteger(dating.sortingDate) ? dating.sortingDate : null);
+
+  return {
+    dateCreated: dating.presentingDate || formatDisplayDate(filterDate),
+    filterDate,
+    dateRange:
+      dateRangeFromYears(dating.yearEarly, dating.yearLate, dating.presentingDate) ??
+      parseDateRange(dating.presentingDate),
+    century: categoriseYear(filterDate),
+  };
+};
+
+const extractCreators = (principalMakers) => {
+  const groupedCreators = {};
+
+  principalMakers.forEach((maker) => {
+    if (!maker?.name) return;
+
+    const role = maker.roles?.[0] || "Artist";
+    if (!groupedCreators[role]) {
+      groupedCreators[role] = [];
+    }
+    groupedCreators[role].push(maker.name);
+  });
+
+  return Object.entries(groupedCreators).map(([role, names]) => ({
+    role,
+    names,
+    displayText: names.join(", "),
+  }));
+};
+
+const extractDescriptions = (languageMap) => {
+  const anyObject = getMultilingual(languageMap, (object) => object);
+
+  // Plaque texts carry both languages on every response, so pick them directly
+  const plaqueText = rijksmuseumConfig.preferredLanguage === "nl"
+    ? anyObject.plaqueDescriptionDutch || anyObject.plaqueDescriptionEnglish
+    : anyObject.plaqueDescriptionEnglish || anyObject.plaqueDescriptionDutch;
+
+  const descriptionText =
+    getMultilingual(languageMap, (object) => object.label?.description) ||
+    getMultilingual(languageMap, (object) => object.description) ||
+    plaqueText;
+
+  const descriptions = [];
+
+  if (descriptionText) {
+    const paragraphs = descriptionText
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean);
+
+    descriptions.push({
+      title: "Description",
+      content: paragraphs.join("\n\n"),
+      paragraphs,
+    });
+  }
+
+  const physicalDetails = [
+    getMultilingual(languageMap, (object) => object.physicalMedium),
+    getMultilingual(languageMap, (object) => object.subTitle),
+    getMultilingual(languageMap, (object) => object.acquisition?.creditLine),
+  ].filter(Boolean);
+
+  if (physicalDetails.length > 0) {
+    descriptions.push({
+      title: "Physical Description",
+      content: physicalDetails.join("\n\n"),
+      paragraphs: physicalDetails,
+    });
+  }
+
+  return descriptions;
+};
+
+const extractIdentifiers = (artObject) => {
+  const identifiers = [{ label: "Object Number", content: artObject.objectNumber }];
+
+  if (artObject.location) {
+    identifiers.push({ label: "Gallery Location", content: artObject.location });
+  }
+
+  return identifiers;
+};
@@ -1,5 +1,5 @@
-import { getMuseumName } from "./smithsonianMuseumCodes";
-import { parseYearForFiltering, categoriseYear } from "../../utils/dateUtils";
+import { getMuseumName } from "./smithsonianMuseumCodes.js";
+import { parseYearForFiltering, parseDateRange, categoriseYear } from "../../utils/dateUtils.js";
 
 // ================ MAIN ADAPTER FUNCTIONS ================
 
@@ -24,6 +24,7 @@ export const adaptSmithsonianSearchResults = (apiData) => {
         const dateCreated = getSearchDate(item);
         const filterDate = parseYearForFiltering(dateCreated);
         const century = categoriseYear(filterDate);
+        const dateRange = parseDateRange(dateCreated);
 
         if (!imageData.thumbnail) {
           return null;
@@ -34,8 +35,11 @@ export const adaptSmithsonianSearchResults = (apiData) => {
           title: cleanHtmlTags(item.title) || "Untitled",
           source: "smithsonian",
           museum: getMuseumName(item.unitCode) || "Smithsonian Institution",
+          creator: item.content?.freetext?.name?.[0]?.content || "",
+          description: item.content?.freetext?.notes?.[0]?.content || "",
           dateCreated,
           filterDate,
+          dateRange,
           century,
           media: {
             thumbnail: imageData.thumbnail,
@@ -43,6 +47,7 @@ export const adaptSmithsonianSearchResults = (apiData) => {
             fullImage: imageData.fullImage
           },
           url: item.content?.descriptiveNonRepeating?.record_link || "",
+          mediaType: [].concat(item.content?.indexedStructured?.object_type || [])[0] || "",
         };
       } catch {
         return null;
@@ -73,6 +78,7 @@ export const adaptSmithsonianItemDetails = (apiData) => {
     const dateCreated = extractItemDate(data, freetext);
     const filterDate = parseYearForFiltering(dateCreated);
     const century = categoriseYear(filterDate);
+    const dateRange = parseDateRange(dateCreated);
     const place = extractPlace(data, freetext);
 
     return {
@@ -90,6 +96,7 @@ export const adaptSmithsonianItemDetails = (apiData) => {
       ) || "Smithsonian Institution",
       dateCreated,
       filterDate,
+      dateRange,
       century,
 
       media: {
@@ -124,6 +131,7 @@ export const adaptSmithsonianItemDetails = (apiData) => {
       museum: "Smithsonian Institution",
       dateCreated: basicDateCreated,
       filterDate: basicFilterDate,
+      dateRange: parseDateRange(basicDateCreated),
       century: basicCentury,
       media: {
         thumbnail: "",
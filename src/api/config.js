@@ -1,17 +1,22 @@
 export const API_CONFIG = {
-  SMITHSONIAN_SERVER: "https://nc-curation-platform.onrender.com",  // Proxy server for Smithsonian API
-  EUROPEANA: {
-    BASE_URL: "https://api.europeana.eu/record/v2",
-    API_KEY: import.meta.env.VITE_EUROPEANA_API_KEY || "",
-  },
+  PROXY_SERVER: "https://nc-curation-platform.onrender.com",  // Proxy server for Smithsonian & Europeana APIs (holds API keys)
 };
 
-export const supportedSources = ["smithsonian", "europeana"] 
-
 export const resultsConfig = {
   defaultPageSize: 44, 
+  searchMode: "browser",  // "browser": fan out to each source from this tab, "stream": server-side fan-out via /api/search/stream, "server": one page at a time from /api/search
+  mergeStrategy: "interleave",  // "interleave": alternate sources by rank, "score": local query-term scoring, "concatenate": source by source
+  sourceWeights: {},  // Per-source weight for interleave/score, default 1 - eg. { smithsonian: 2 } shows twice as many Smithsonian items early
+  savedSearchRefreshDays: 7,  // Saved searches last run longer ago than this are re-run on app load to find new items
 }
 
+// Browser results cache (IndexedDB, see utils/searchResultsManager.js)
+export const cacheConfig = {
+  budgetMB: 50,                // Least recently used searches are evicted past this size
+  expiryMinutes: 30,           // Cached results older than this are stale - shown at once, then refreshed in the background
+  staleMaxHours: 24,           // Stale results older than this are dropped rather than shown
+};
+
 // Smithsonian config 
 export const smithsonianConfig = {
   batchSize: 500,
@@ -31,4 +36,28 @@ export const europeanaConfig = {
   defaultProfile: "standard", 
   requireThumbnails: true, 
   filterToImages: true, 
-};
\ No newline at end of file
+};
+
+// Met Museum config
+export const metConfig = {
+  maxResults: 300,             // Object IDs hydrated per search (search returns IDs only)
+  batchSize: 50,               // Objects adapted & reported per batch
+  maxParallelRequests: 10,     // Concurrent object requests (API allows ~80/s)
+  requestTimeout: 15000,
+};
+
+// Art Institute of Chicago config
+export const aicConfig = {
+  batchSize: 100,              // Items per API call (API max limit is 100)
+  maxResults: 500,             // Maximum total results to fetch (search pages stop at 1000)
+  maxParallelRequests: 3,      // Concurrent page requests after the first
+  requestTimeout: 15000,
+};
+
+// Rijksmuseum config
+export const rijksmuseumConfig = {
+  batchSize: 100,              // Items per API call (API max page size is 100)
+  maxResults: 500,             // Maximum total results to fetch
+  requestTimeout: 15000,
+  preferredLanguage: "en",     // 'en' or 'nl' - titles & descriptions fall back to the other
+};
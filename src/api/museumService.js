@@ -1,27 +1,38 @@
 import axios from "axios";
-import { smithsonianConfig, europeanaConfig, supportedSources } from "./config";
-import * as smithsonianRepository from "./repositories/smithsonianRepository";
-import * as smithsonianAdapter from "./adapters/smithsonianAdapter";
-import { europeanaRepository } from "./repositories/europeanaRepository";
-import { adaptEuropeanaItemDetails, adaptEuropeanaSearchResults } from "./adapters/europeanaAdapter";
+import { resultsConfig } from "./config";
+import "./sources";
+import { getSource, getEnabledSources, isSourceSupported } from "./sourceRegistry";
+import { searchUnified, streamUnifiedSearch } from "./repositories/unifiedSearchRepository";
 import searchResultsManager from "../utils/searchResultsManager";
+import { getQueryWarnings, isQueryWarning, selectQuerySources } from "../utils/queryParser";
 
 /**
  * UNIFIED FETCH FUNCTION 
- * Search all museum sources with progressive results
+ * Search all enabled museum sources with progressive results
+ * Fast sources are awaited; if they return results, slower sources complete in the background
  */
 export const searchAllSources = async (query, progressCallback = null) => {
   if (!query) {
     throw new Error("Search query is required");
   }
 
+  // source: clauses in the query narrow the enabled sources
+  const sources = selectQuerySources(query, getEnabledSources());
+
+  if (sources.length === 0) {
+    return {
+      success: false,
+      error: { type: 'validation', message: 'None of the requested sources can be searched' }
+    };
+  }
+
   const results = {
     items: [],
-    totalSmithsonian: 0,
-    totalEuropeana: 0,
-    errors: [],
+    totals: {},
+    // Clauses a source can't honour are reported up front, alongside source failures
+    errors: getQueryWarnings(query, sources),
     get total() {
-      return this.totalSmithsonian + this.totalEuropeana;
+      return Object.values(this.totals).reduce((sum, total) => sum + total, 0);
     }
   };
 
@@ -40,70 +51,54 @@ export const searchAllSources = async (query, progressCallback = null) => {
 
   updateProgress("Searching museum collections...", false);
 
-  // Search Europeana first (faster)
-  const europeanaPromise = searchEuropeanaComplete(query)
-    .then((europeanaResponse) => {
-      if (europeanaResponse.success) {
-        results.totalEuropeana = europeanaResponse.data.total || 0;
-        
-        if (europeanaResponse.data.items?.length > 0) {
-          results.items.push(...europeanaResponse.data.items);
-          updateProgress(`Found ${results.items.length} results, searching for more...`);
-        }
-      } else {
-        results.errors.push({
-          source: 'Europeana',
-          error: europeanaResponse.error
-        });
-        updateProgress("Europeana temporarily unavailable, searching other sources...", false);
+  const searchPromises = sources.map((source) => {
+    const isFast = source.capabilities.fastSearch;
+
+    return searchSourceComplete(source, query, (progress) => {
+      if (!isFast && progress.itemsFound > 0) {
+        updateProgress(`Found ${results.items.length + progress.itemsFound} results, searching for more...`);
       }
-      
-      return europeanaResponse;
     })
-    .catch((error) => {
-      results.errors.push({
-        source: 'Europeana',
-        error: { type: 'unknown', message: 'Europeana search failed unexpectedly' }
-      });
-      return { success: false, error: { type: 'unknown', message: 'Search failed' } };
-    });
-
-  // Search Smithsonian in parallel
-  const smithsonianPromise = searchSmithsonianComplete(query, (progress) => {
-    if (progress.itemsFound > 0) {
-      updateProgress(`Found ${results.items.length + progress.itemsFound} results, searching for more...`);
-    }
-  })
-    .then((smithsonianResponse) => {
-      if (smithsonianResponse.success) {
-        results.totalSmithsonian = smithsonianResponse.data.total || 0;
-        
-        if (smithsonianResponse.data.items?.length > 0) {
-          results.items.push(...smithsonianResponse.data.items);
+      .then((response) => {
+        if (response.success) {
+          results.totals[source.id] = response.data.total || 0;
+
+          if (response.data.items?.length > 0) {
+            results.items.push(...response.data.items);
+            if (isFast) {
+              updateProgress(`Found ${results.items.length} results, searching for more...`);
+            }
+          }
+        } else {
+          results.errors.push({
+            source: source.label,
+            error: response.error
+          });
+          if (isFast) {
+            updateProgress(`${source.label} temporarily unavailable, searching other sources...`, false);
+          }
         }
-      } else {
+
+        return response;
+      })
+      .catch(() => {
         results.errors.push({
-          source: 'Smithsonian',
-          error: smithsonianResponse.error
+          source: source.label,
+          error: { type: 'unknown', message: `${source.label} search failed unexpectedly` }
         });
-      }
-
-      return smithsonianResponse;
-    })
-    .catch((error) => {
-      results.errors.push({
-        source: 'Smithsonian',
-        error: { type: 'unknown', message: 'Smithsonian search failed unexpectedly' }
+        return { success: false, error: { type: 'unknown', message: 'Search failed' } };
       });
-      return { success: false, error: { type: 'unknown', message: 'Search failed' } };
-    });
+  });
 
-  // Wait for Europeana
-  await europeanaPromise;
+  const fastPromises = searchPromises.filter((_, i) => sources[i].capabilities.fastSearch);
+  const backgroundPromises = searchPromises.filter((_, i) => !sources[i].capabilities.fastSearch);
 
-  // If we have some results, return: Smithsonian completes in background
-  if (results.items.length > 0) {
-    smithsonianPromise.then(() => {
+  // Wait for fast sources
+  await Promise.all(fastPromises);
+
+  // If we have some results, return: slower sources complete in background
+  if (results.items.length > 0 && backgroundPromises.length > 0) {
+    const backgroundPromise = Promise.all(backgroundPromises).then(() => {
       updateProgress(`Search complete: ${results.items.length} results found`);
     });
 
@@ -114,16 +109,16 @@ export const searchAllSources = async (query, progressCallback = null) => {
         items: [...results.items],
         errors: results.errors
       },
-      smithsonianPromise, 
+      backgroundPromise, 
     };
   }
 
-  // No Europeana results, wait for Smithsonian
-  await smithsonianPromise;
+  // No fast results, wait for everything
+  await Promise.all(backgroundPromises);
   
   // Determine success
   const hasResults = results.items.length > 0;
-  const hasErrors = results.errors.length > 0;
+  const hasErrors = results.errors.some((sourceError) => !isQueryWarning(sourceError));
   
   updateProgress(`Search complete: ${results.items.length} results found`);
   
@@ -133,7 +128,7 @@ export const searchAllSources = async (query, progressCallback = null) => {
       success: false,
       error: {
         type: 'api',
-        message: 'Both museum sources are temporarily unavailable',
+        message: 'All museum sources are temporarily unavailable',
         details: results.errors
       }
     };
@@ -149,6 +144,173 @@ export const searchAllSources = async (query, progressCallback = null) => {
   };
 };
 
+/**
+ * Search all enabled sources and wait for the slower ones too - for checks with no results page to update
+ * @param {string} query - Search term
+ * @returns {Promise<Object>} { success, data: { total, items, errors } } with every source's items
+ */
+export const searchAllSourcesComplete = async (query) => {
+  let latestProgress = null;
+  const result = await searchAllSources(query, (progress) => {
+    latestProgress = progress;
+  });
+
+  if (!result.success || !result.backgroundPromise) {
+    return result;
+  }
+
+  await result.backgroundPromise;
+
+  return {
+    success: true,
+    data: {
+      total: latestProgress.totalResults,
+      items: latestProgress.currentResults,
+      errors: latestProgress.errors,
+    },
+  };
+};
+
+/**
+ * SERVER-SIDE UNIFIED SEARCH
+ * Same fan-out as searchAllSources, but run on the proxy server - returns a single page of unified items
+ * @param {string} query - Search term
+ * @param {Object} options - { sources, page, pageSize, cancelToken }
+ * @returns {Promise<Object>} { success, data: { total, items, errors, page, pageSize, itemCount, totalPages } }
+ */
+export const searchAllSourcesPaged = async (query, options = {}) => {
+  if (!query) {
+    throw new Error("Search query is required");
+  }
+
+  return searchUnified(query, {
+    sources: options.sources,
+    page: options.page || 1,
+    pageSize: options.pageSize || resultsConfig.defaultPageSize,
+    cancelToken: options.cancelToken,
+  });
+};
+
+/**
+ * STREAMED UNIFIED SEARCH
+ * Server-side fan-out delivered over Server-Sent Events. Reports progress in the same shape
+ * as searchAllSources, so SearchContext can merge currentResults as batches arrive
+ * @param {string} query - Search term
+ * @param {Function} progressCallback - Called per progress/items event
+ * @param {Object} cancelToken - Optional axios cancel token, closes the stream when cancelled
+ * @returns {Promise<Object>} Resolves on completion: { success, data: { total, items, errors } }
+ */
+export const streamAllSources = (query, progressCallback = null, cancelToken = null) => {
+  if (!query) {
+    throw new Error("Search query is required");
+  }
+
+  const results = {
+    items: [],
+    total: 0,
+    errors: getQueryWarnings(query, selectQuerySources(query, getEnabledSources())),
+  };
+
+  const updateProgress = (message, includeResults = true) => {
+    if (progressCallback) {
+      progressCallback({
+        message,
+        itemsFound: includeResults ? results.items.length : 0,
+        totalResults: results.total,
+        currentResults: includeResults ? [...results.items] : [],
+        query: query,
+        errors: results.errors,
+      });
+    }
+  };
+
+  return new Promise((resolve) => {
+    const closeStream = streamUnifiedSearch(query, {
+      onProgress: (progress) => {
+        results.total = progress.totalResults || results.total;
+        updateProgress(progress.message, results.items.length > 0);
+      },
+      onItems: ({ items }) => {
+        results.items.push(...items);
+      },
+      onSourceError: (sourceError) => {
+        results.errors.push(sourceError);
+        updateProgress(`${sourceError.source} temporarily unavailable, searching other sources...`, results.items.length > 0);
+      },
+      onComplete: (complete) => {
+        if (!complete.success) {
+          resolve({ success: false, error: complete.error });
+          return;
+        }
+
+        results.total = complete.totalResults || 0;
+        // The server's errors include query warnings, as well as failures already sent as source-error
+        results.errors = complete.errors || results.errors;
+        cacheStreamedResults(query, results.items, complete.totals);
+        updateProgress(complete.message);
+
+        resolve({
+          success: true,
+          data: {
+            total: results.total,
+            items: results.items,
+            errors: results.errors,
+          },
+        });
+      },
+      onError: (error) => {
+        // Keep whatever arrived before the connection dropped
+        if (results.items.length > 0) {
+          results.errors.push({ source: 'Search server', error });
+          resolve({
+            success: true,
+            data: { total: results.total, items: results.items, errors: results.errors },
+          });
+          return;
+        }
+        resolve({ success: false, error });
+      },
+    });
+
+    cancelToken?.promise.then(() => {
+      closeStream();
+      resolve({ success: false, error: { type: 'cancelled', message: 'Request cancelled' } });
+    });
+  });
+};
+
+/**
+ * Warnings for query syntax the sources searched can't honour, in the results.errors shape
+ * Worked out from the query alone, so cached results can show them too
+ */
+export const getUnifiedQueryWarnings = (query) =>
+  getQueryWarnings(query, selectQuerySources(query, getEnabledSources()));
+
+/**
+ * Cached unified results - only returned when every source the query searches has a cached entry
+ * @param {string} query - Search term
+ * @param {Object} options - { allowStale } - include expired entries, for stale-while-revalidate
+ * @returns {Promise<Object|null>} { items, totalResults, isStale } merged in source registration order -
+ *   isStale when any source's entry has expired
+ */
+export const getCachedUnifiedResults = async (query, { allowStale = false } = {}) => {
+  const cachedEntries = await Promise.all(
+    selectQuerySources(query, getEnabledSources()).map((source) =>
+      searchResultsManager.getCachedResults(query, source.id, { allowStale })
+    )
+  );
+
+  if (cachedEntries.length === 0 || cachedEntries.some((entry) => !entry)) {
+    return null;
+  }
+
+  return {
+    items: cachedEntries.flatMap((entry) => entry.items),
+    totalResults: cachedEntries.reduce((sum, entry) => sum + (entry.totalResults || 0), 0),
+    isStale: cachedEntries.some((entry) => entry.isStale),
+  };
+};
+
 export const searchItems = async (
   source,
   query,
@@ -162,18 +324,7 @@ export const searchItems = async (
     throw new Error(`Unsupported source: ${source}`);
   }
 
-  try {
-    switch (source) {
-      case "smithsonian":
-        return await searchSmithsonianComplete(query, progressCallback);
-      case "europeana":
-        return await searchEuropeanaComplete(query, progressCallback);
-      default:
-        throw new Error(`Source implementation not found: ${source}`);
-    }
-  } catch (error) {
-    throw error;
-  }
+  return searchSourceComplete(getSource(source), query, progressCallback);
 };
 
 /**
@@ -195,17 +346,7 @@ export const getItemDetails = async (source, id, cancelToken = null) => {
   }
 
   try {
-    switch (source) {
-      case "smithsonian":
-        return await getSmithsonianItemDetails(id, cancelToken);
-      case "europeana":
-        return await getEuropeanaItemDetails(id, cancelToken);
-      default:
-        return {
-          success: false,
-          error: { type: 'validation', message: `Source implementation not found: ${source}` }
-        };
-    }
+    return await getSourceItemDetails(getSource(source), id, cancelToken);
   } catch (error) {
     if (axios.isCancel(error)) {
       return {
@@ -227,37 +368,8 @@ export const getItemDetails = async (source, id, cancelToken = null) => {
 
 // ================ SINGLE ITEM FETCH ================
 
-async function getSmithsonianItemDetails(id, cancelToken = null) {
-  const result = await smithsonianRepository.getSmithsonianItemDetails(id, cancelToken);
-  
-  if (!result.success) {
-    return result;
-  }
-
-  try {
-    const adaptedData = smithsonianAdapter.adaptSmithsonianItemDetails(result.data);
-    adaptedData.rawData = result.data; // debug
-    
-    return {
-      success: true,
-      data: adaptedData
-    };
-  } catch (error) {
-    console.error('Error adapting Smithsonian item data:', error);
-    return {
-      success: false,
-      error: { 
-        type: 'data', 
-        message: 'Item data could not be processed' 
-      }
-    };
-  }
-}
-
-async function getEuropeanaItemDetails(id, cancelToken = null) {
-  const result = await europeanaRepository.getRecord(id, {
-    profile: "rich",
-  });
+async function getSourceItemDetails(source, id, cancelToken = null) {
+  const result = await source.getDetails(id, cancelToken);
   
   if (!result.success) {
     return result;
@@ -271,7 +383,7 @@ async function getEuropeanaItemDetails(id, cancelToken = null) {
   }
 
   try {
-    const adaptedData = adaptEuropeanaItemDetails(result.data);
+    const adaptedData = source.adaptDetails(result.data);
     adaptedData.rawData = result.data; // debug
     
     return {
@@ -279,7 +391,7 @@ async function getEuropeanaItemDetails(id, cancelToken = null) {
       data: adaptedData
     };
   } catch (error) {
-    console.error('Error adapting Europeana item data:', error);
+    console.error(`Error adapting ${source.label} item data:`, error);
     return {
       success: false,
       error: { 
@@ -292,167 +404,67 @@ async function getEuropeanaItemDetails(id, cancelToken = null) {
 
 // ================ FULL RECORDS SEARCH ================
 
-async function searchEuropeanaComplete(query, progressCallback = null) {
+/**
+ * Run a source's full (batched) search, adapting each raw batch to unified items
+ */
+async function searchSourceComplete(source, query, progressCallback = null) {
   try {
-    const maxResults = europeanaConfig.maxResults || 1000;
-    const batchSize = europeanaConfig.batchSize || 100;
-    const totalBatches = Math.ceil(maxResults / batchSize);
-    
-    let allItems = [];
+    const allItems = [];
     let totalResults = 0;
 
-    for (let batch = 0; batch < totalBatches; batch++) {
-      const start = batch * batchSize;
-      const searchOptions = {
-        rows: batchSize,
-      };
-
-      if (start > 0) {
-        searchOptions.start = start;
-      }
-      
-      const result = await europeanaRepository.search(query, searchOptions);
-      
-      if (!result.success) {
-        // Return error for first batch, continue for subsequent batches
-        if (batch === 0) {
-          return result;
-        } else {
-          console.warn(`Europeana batch ${batch} failed:`, result.error);
-          break;
+    const result = await source.search(query, {
+      onProgress: (progress) => {
+        totalResults = progress.totalResults || totalResults;
+        if (progressCallback) {
+          progressCallback({
+            itemsFound: allItems.length,
+            ...progress,
+          });
         }
-      }
-
-      if (batch === 0) {
-        totalResults = result.data.totalResults || 0;
-      }
-      
-      const adaptedBatch = adaptEuropeanaSearchResults(result.data);
-      if (adaptedBatch.items?.length > 0) {
-        allItems.push(...adaptedBatch.items);
-      }
-      
-      if ((result.data.itemsCount || 0) < batchSize) {
-        break;
-      }
-
-      if (progressCallback) {
-        progressCallback({
-          message: `Found ${allItems.length} Europeana results...`,
-          itemsFound: allItems.length,
-          totalResults: totalResults,
-        });
-      }
-    }
-
-    // Cache results
-    if (allItems.length > 0) {
-      searchResultsManager.storeResults(query, allItems, totalResults, "europeana");
-    }
-    
-    return {
-      success: true,
-      data: {
-        total: totalResults,
-        items: allItems,
-      }
-    };
-  } catch (error) {
-    console.error('Europeana search failed:', error);
-    return {
-      success: false,
-      error: { 
-        type: 'unknown', 
-        message: 'Europeana search failed unexpectedly' 
-      }
-    };
-  }
-}
-
-async function searchSmithsonianComplete(query, progressCallback = null) {
-  try {
-    const initialResult = await smithsonianRepository.searchSmithsonianItems(query, 0, 1);
-    
-    if (!initialResult.success) {
-      return initialResult;
-    }
-
-    if (!initialResult.data?.response?.rowCount) {
-      return { 
-        success: true, 
-        data: { total: 0, items: [] } 
-      };
-    }
-
-    const totalResults = initialResult.data.response.rowCount;
-    const batchSize = smithsonianConfig.batchSize;
-    const maxBatches = smithsonianConfig.maxBatches; 
-    const totalBatches = Math.min(Math.ceil(totalResults / batchSize), maxBatches);
-
-    if (progressCallback) {
-      progressCallback({
-        message: `Searching through ${totalResults} results for items with images...`,
-        itemsFound: 0,
-        totalResults,
-      });
-    }
-
-    let allItemsWithImages = [];
-    const maxConcurrent = smithsonianConfig.maxParallelRequests;
-
-    for (
-      let groupStart = 0;
-      groupStart < totalBatches;
-      groupStart += maxConcurrent
-    ) {
-      const groupEnd = Math.min(groupStart + maxConcurrent, totalBatches);
-
-      const batchPromises = [];
-      for (let batchNum = groupStart; batchNum < groupEnd; batchNum++) {
-        const offset = batchNum * batchSize;
-        batchPromises.push(fetchBatch(query, offset, batchSize, batchNum));
-      }
-
-      const batchResults = await Promise.all(batchPromises);
+      },
+      onBatch: (rawBatch, { batchesProcessed, totalBatches } = {}) => {
+        const adaptedBatch = rawBatch ? source.adaptSearch(rawBatch) : { items: [] };
+        totalResults = adaptedBatch.total || totalResults;
 
-      for (let i = 0; i < batchResults.length; i++) {
-        const batchItems = batchResults[i];
-        if (batchItems.length > 0) {
-          allItemsWithImages = [...allItemsWithImages, ...batchItems];
+        if (adaptedBatch.items?.length > 0) {
+          allItems.push(...adaptedBatch.items);
         }
 
         if (progressCallback) {
-          const currentBatch = groupStart + i + 1;
           progressCallback({
-            message: `Searching through ${totalResults.toLocaleString()} items...`,
-            itemsFound: allItemsWithImages.length,
+            message: `Found ${allItems.length} ${source.label} results...`,
+            itemsFound: allItems.length,
             totalResults,
-            batchesProcessed: currentBatch,
+            batchesProcessed,
             totalBatches,
           });
         }
-      }
-    }
+      },
+    });
 
-    // Cache results
-    if (allItemsWithImages.length > 0) {
-      searchResultsManager.storeResults(query, allItemsWithImages, totalResults, "smithsonian");
+    if (!result.success) {
+      return result;
     }
+
+    totalResults = result.data?.total ?? totalResults;
+
+    // Cache results - empty ones too, so a source that found nothing still counts as cached
+    searchResultsManager.storeResults(query, allItems, totalResults, source.id);
     
     return {
       success: true,
       data: {
         total: totalResults,
-        items: allItemsWithImages, 
+        items: allItems,
       }
     };
   } catch (error) {
-    console.error('Smithsonian search failed:', error);
+    console.error(`${source.label} search failed:`, error);
     return {
       success: false,
       error: { 
         type: 'unknown', 
-        message: 'Smithsonian search failed unexpectedly' 
+        message: `${source.label} search failed unexpectedly` 
       }
     };
   }
@@ -460,27 +472,10 @@ async function searchSmithsonianComplete(query, progressCallback = null) {
 
 // ================ UTILS ================
 
-const isSourceSupported = (source) => {
-  return supportedSources.includes(source);
+// Store streamed results per source, matching what searchSource caches (including empty ones)
+const cacheStreamedResults = (query, items, totals = {}) => {
+  Object.entries(totals).forEach(([source, total]) => {
+    const sourceItems = items.filter((item) => item.source === source);
+    searchResultsManager.storeResults(query, sourceItems, total, source);
+  });
 };
-
-async function fetchBatch(query, offset, batchSize, batchNum) {
-  try {
-    const result = await smithsonianRepository.searchSmithsonianItems(
-      query,
-      offset,
-      batchSize
-    );
-
-    if (!result.success) {
-      console.log(`❌ Batch ${batchNum + 1} failed:`, result.error.message);
-      return [];
-    }
-
-    const adaptedBatch = smithsonianAdapter.adaptSmithsonianSearchResults(result.data);
-    return adaptedBatch.items || [];
-  } catch (error) {
-    console.log(`❌ Batch ${batchNum + 1} failed:`, error.message);
-    return [];
-  }
-}
\ No newline at end of file
@@ -0,0 +1,128 @@
+import axios from "axios";
+import { aicConfig } from "../config.js";
+import { createApiErrorResult } from "../../utils/apiErrorHandler.js";
+import { parseQuery, toPlainTextQuery } from "../../utils/queryParser.js";
+import { AIC_MUSEUM_NAME } from "../adapters/aicAdapter.js";
+
+// AIC API is public (no key) and CORS-enabled, so it is called directly
+const aicAPI = axios.create({
+  baseURL: "https://api.artic.edu/api/v1",
+  timeout: aicConfig.requestTimeout,
+});
+
+/**
+ * Raw AIC requests - resolve with the response data, throw on failure
+ * The server's search passes its own cached requests in their place
+ */
+export const aicFetchers = {
+  search: async (params) => (await aicAPI.get("/artworks/search", { params })).data,
+};
+
+// Only request the fields the adapter uses - full artwork records are large
+const SEARCH_FIELDS = [
+  "id",
+  "title",
+  "image_id",
+  "is_public_domain",
+  "date_start",
+  "date_end",
+  "date_display",
+  "place_of_origin",
+  "artist_title",
+  "artwork_type_title",
+].join(",");
+
+const DETAIL_FIELDS = [
+  SEARCH_FIELDS,
+  "artist_display",
+  "medium_display",
+  "dimensions",
+  "credit_line",
+  "main_reference_number",
+  "department_title",
+  "classification_titles",
+  "description",
+  "inscriptions",
+  "provenance_text",
+].join(",");
+
+/**
+ * Translate query syntax into AIC search text - q has no field or boolean syntax
+ * @param {string} query - eg. 'creator:"Hokusai" AND wave -print'
+ * @returns {Object} { q, matchesNothing, warnings } - matchesNothing when a museum: clause rules out AIC
+ */
+export const translateAicQuery = (query) => {
+  const { text, matchesNothing, warnings } = toPlainTextQuery(parseQuery(query), {
+    label: "Art Institute of Chicago",
+    museum: AIC_MUSEUM_NAME,
+  });
+
+  return { q: text, matchesNothing, warnings };
+};
+
+/**
+ * Search AIC artworks
+ * @param {string} query - Search query
+ * @param {number} page - 1-based page number
+ * @param {number} limit - Items per page (max 100)
+ * @param {Object} fetchers - Optional raw requests, see aicFetchers
+ * @returns {Promise<Object>} { success, data: { pagination, data, config } }
+ */
+export const searchAicArtworks = async (query, page = 1, limit = 100, fetchers = aicFetchers) => {
+  if (!query) {
+    return {
+      success: false,
+      error: { type: 'validation', message: 'Search query is required' }
+    };
+  }
+
+  const { q, matchesNothing } = translateAicQuery(query);
+  if (matchesNothing) {
+    return { success: true, data: { pagination: { total: 0 }, data: [] } };
+  }
+
+  try {
+    const data = await fetchers.search({
+      q: q || undefined,
+      page,
+      limit,
+      fields: SEARCH_FIELDS,
+      query: { term: { is_public_domain: true } },
+    });
+
+    return { success: true, data };
+  } catch (error) {
+    console.error(`Error searching AIC artworks:`, error.message);
+    return createApiErrorResult(error, 'Art Institute of Chicago', 'search');
+  }
+};
+
+/**
+ * Fetch a single AIC artwork by ID
+ * @returns {Promise<Object>} { success, data: { data, config } }
+ */
+export const getAicArtwork = async (id, cancelToken = null) => {
+  if (!id) {
+    return {
+      success: false,
+      error: { type: 'validation', message: 'Item ID is required' }
+    };
+  }
+
+  try {
+    const requestConfig = { params: { fields: DETAIL_FIELDS } };
+    if (cancelToken) {
+      requestConfig.cancelToken = cancelToken;
+    }
+
+    const response = await aicAPI.get(
+      `/artworks/${encodeURIComponent(id)}`,
+      requestConfig
+    );
+
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error(`Error fetching AIC artwork ${id}:`, error.message);
+    return createApiErrorResult(error, 'Art Institute of Chicago', 'item');
+  }
+};
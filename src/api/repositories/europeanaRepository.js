@@ -1,17 +1,131 @@
-import { europeanaConfig } from "../config";
+import { API_CONFIG, europeanaConfig } from "../config.js";
 import { createApiErrorResult, checkFetchResponse } from "../../utils/apiErrorHandler.js";
+import {
+  parseQuery,
+  hasQuerySyntax,
+  isInOrGroup,
+  formatLuceneValue,
+  toLuceneQuery,
+  QUERY_RIGHTS,
+} from "../../utils/queryParser.js";
+import { parseDateRange } from "../../utils/dateUtils.js";
 
-const EUROPEANA_API_BASE = "https://api.europeana.eu";
+// Requests go via the proxy server, which adds the wskey
+const EUROPEANA_PROXY_BASE = `${API_CONFIG.PROXY_SERVER}/api/europeana`;
+
+/**
+ * Raw Europeana requests via the proxy - resolve with the response data, throw on failure
+ * The server's search passes its own cached requests in their place
+ */
+export const europeanaFetchers = {
+  // Array params (eg. qf) are repeated, qf=a&qf=b
+  search: async (params) => {
+    const url = new URL(`${EUROPEANA_PROXY_BASE}/search`);
+    Object.entries(params).forEach(([key, value]) => {
+      [].concat(value).forEach((v) => url.searchParams.append(key, v));
+    });
+
+    const response = await fetch(url, {
+      timeout: europeanaConfig.requestTimeout,
+    });
+
+    const fetchError = checkFetchResponse(response);
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    return response.json();
+  },
+};
+
+// Query syntax fields -> Europeana Solr fields
+const EUROPEANA_QUERY_FIELDS = {
+  title: "title",
+  creator: "who",
+  place: "where",
+  museum: "DATA_PROVIDER",
+};
+
+// rights: values -> reusability param or a RIGHTS filter (PDM and CC0 URLs both contain "publicdomain")
+const EUROPEANA_RIGHTS = {
+  open: { reusability: "open" },
+  publicdomain: { qf: "RIGHTS:*publicdomain*" },
+};
+
+/**
+ * Translate query syntax into Europeana's Solr syntax
+ * Field clauses every result must match become qf filters, everything else stays in query
+ * @param {string} query - eg. 'creator:"Hokusai" AND wave -print'
+ * @returns {Object} { query, qf, reusability, warnings } - eg. { query: 'wave AND NOT print', qf: ['who:"Hokusai"'] }
+ */
+export const translateEuropeanaQuery = (query) => {
+  const parsed = parseQuery(query);
+  if (!hasQuerySyntax(parsed)) {
+    return { query: query?.trim() || "*", qf: [], reusability: null, warnings: [] };
+  }
+
+  const { clauses } = parsed;
+  const qf = [];
+  const warnings = [];
+  let reusability = null;
+
+  const formatRights = (clause, index) => {
+    const rights = EUROPEANA_RIGHTS[clause.value.toLowerCase()];
+
+    if (!rights || clause.negated || isInOrGroup(clauses, index)) {
+      const options = Object.keys(QUERY_RIGHTS).join(" or ");
+      warnings.push(`Europeana can only require rights:${options} - "rights:${clause.value}" was ignored`);
+    } else if (rights.qf) {
+      qf.push(rights.qf);
+    } else {
+      reusability = rights.reusability;
+    }
+    return null;
+  };
+
+  const formatClause = (clause) => {
+    if (clause.field === "date") {
+      const range = parseDateRange(clause.value);
+      if (!range || range.certainty === "undated") {
+        warnings.push(`Europeana couldn't read the date "${clause.value}" - it was ignored`);
+        return null;
+      }
+      // Open-ended dates, eg. "before 1900", use an open Solr bound
+      return `YEAR:[${range.earliest ?? "*"} TO ${range.latest ?? "*"}]`;
+    }
+
+    // DATA_PROVIDER is matched exactly, so always quote it
+    const value = clause.field === "museum"
+      ? formatLuceneValue({ ...clause, phrase: true })
+      : formatLuceneValue(clause);
+
+    return clause.field ? `${EUROPEANA_QUERY_FIELDS[clause.field]}:${value}` : value;
+  };
+
+  const translatedQuery = toLuceneQuery(clauses, (clause, index) => {
+    if (clause.field === "rights") return formatRights(clause, index);
+    if (clause.field === "source") return null;
+
+    const text = formatClause(clause);
+
+    if (text && clause.field && !clause.negated && !isInOrGroup(clauses, index)) {
+      qf.push(text);
+      return null;
+    }
+    return text;
+  });
+
+  return { query: translatedQuery || "*", qf, reusability, warnings };
+};
 
 export const europeanaRepository = {
   /**
    * Health check
    */
   async healthCheck() {
-    const url = new URL(`${EUROPEANA_API_BASE}/record/v2/search.json`);
+    const url = new URL(`${EUROPEANA_PROXY_BASE}/search`);
 
     const params = {
-      wskey: import.meta.env.VITE_EUROPEANA_API_KEY,
       query: "*",
       rows: "100",
     };
@@ -48,7 +162,7 @@ export const europeanaRepository = {
   /**
    * Search Europeana records
    * @param {string} query 
-   * @param {Object} options 
+   * @param {Object} options - { rows, sort, start, fetchers } - fetchers are optional raw requests, see europeanaFetchers
    * @returns {Promise<Object>} 
    */
   async search(query, options = {}) {
@@ -56,13 +170,13 @@ export const europeanaRepository = {
       rows = 100,
       sort = europeanaConfig.defaultSort,
       start,
+      fetchers = europeanaFetchers,
     } = options;
 
-    const url = new URL(`${EUROPEANA_API_BASE}/record/v2/search.json`);
+    const translated = translateEuropeanaQuery(query);
 
     const params = {
-      wskey: import.meta.env.VITE_EUROPEANA_API_KEY,
-      query: query || "*",
+      query: translated.query,
       rows: rows.toString(),
     };
 
@@ -78,23 +192,18 @@ export const europeanaRepository = {
       params.thumbnail = "true";
     }
 
-    if (europeanaConfig.filterToImages) {
-      params.qf = "TYPE:IMAGE";
+    if (translated.reusability) {
+      params.reusability = translated.reusability;
     }
 
-    url.search = new URLSearchParams(params).toString();
+    // Repeated qf params are AND'd together
+    const qf = europeanaConfig.filterToImages ? [...translated.qf, "TYPE:IMAGE"] : translated.qf;
+    if (qf.length > 0) {
+      params.qf = qf;
+    }
 
     try {
-      const response = await fetch(url, {
-        timeout: europeanaConfig.requestTimeout,
-      });
-
-      const fetchError = checkFetchResponse(response);
-      if (fetchError) {
-        return createApiErrorResult(fetchError, 'Europeana', 'search');
-      }
-
-      const data = await response.json();
+      const data = await fetchers.search(params);
       return { success: true, data };
     } catch (error) {
       console.error("Europeana search error:", error);
@@ -115,10 +224,9 @@ export const europeanaRepository = {
       ? recordId.substring(1)
       : recordId;
 
-    const url = new URL(`${EUROPEANA_API_BASE}/record/v2/${cleanedId}.json`);
+    const url = new URL(`${EUROPEANA_PROXY_BASE}/record/${cleanedId}`);
 
     const params = {
-      wskey: import.meta.env.VITE_EUROPEANA_API_KEY,
       profile,
     };
 
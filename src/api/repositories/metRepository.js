@@ -0,0 +1,156 @@
+import axios from "axios";
+import { metConfig } from "../config.js";
+import { createApiErrorResult } from "../../utils/apiErrorHandler.js";
+import { parseQuery, isInOrGroup, toPlainTextQuery } from "../../utils/queryParser.js";
+import { parseDateRange } from "../../utils/dateUtils.js";
+import { MET_MUSEUM_NAME } from "../adapters/metAdapter.js";
+
+// Met Collection API is public (no key) and CORS-enabled, so it is called directly
+const metAPI = axios.create({
+  baseURL: "https://collectionapi.metmuseum.org/public/collection/v1",
+  timeout: metConfig.requestTimeout,
+});
+
+// dateBegin for open-ended dates, eg. "before 1900" - earlier than the Met's oldest objects
+const MET_EARLIEST_YEAR = -10000;
+
+/**
+ * Raw Met requests - resolve with the response data, throw on failure
+ * The server's search passes its own cached requests in their place
+ */
+export const metFetchers = {
+  search: async (params) => (await metAPI.get("/search", { params })).data,
+  // requestConfig - optional axios { cancelToken, signal }
+  object: async (id, requestConfig = {}) =>
+    (await metAPI.get(`/objects/${encodeURIComponent(id)}`, requestConfig)).data,
+};
+
+/**
+ * Translate query syntax into Met search params
+ * The Met can only limit a whole search to titles or artists, so title: / creator: are
+ * used when every term has that field. place: and date: become geoLocation and dateBegin/dateEnd
+ * @param {string} query - eg. 'creator:"Hokusai" AND wave -print'
+ * @returns {Object} { params, matchesNothing, warnings } - matchesNothing when a museum: clause rules out the Met
+ */
+export const translateMetQuery = (query) => {
+  const parsed = parseQuery(query);
+  const { clauses } = parsed;
+  const params = {};
+  const warnings = [];
+
+  const textFields = new Set(
+    clauses
+      .filter((clause) => !clause.negated && [null, "title", "creator"].includes(clause.field))
+      .map((clause) => clause.field)
+  );
+  if (textFields.size === 1 && textFields.has("title")) params.title = true;
+  if (textFields.size === 1 && textFields.has("creator")) params.artistOrCulture = true;
+
+  const places = [];
+  clauses.forEach((clause, index) => {
+    if (clause.field !== "place" && clause.field !== "date") return;
+
+    if (clause.negated || isInOrGroup(clauses, index)) {
+      warnings.push(`Met Museum can only require a ${clause.field} - "${clause.field}:${clause.value}" was ignored`);
+      return;
+    }
+
+    if (clause.field === "place") {
+      places.push(clause.value);
+      return;
+    }
+
+    const range = parseDateRange(clause.value);
+    if (!range || range.certainty === "undated" || params.dateBegin !== undefined) {
+      warnings.push(`Met Museum couldn't filter by the date "${clause.value}" - it was ignored`);
+      return;
+    }
+    // The Met needs both years - open-ended dates, eg. "before 1900", run from its earliest objects or to this year
+    params.dateBegin = range.earliest ?? MET_EARLIEST_YEAR;
+    params.dateEnd = range.latest ?? new Date().getFullYear();
+  });
+
+  if (places.length > 0) {
+    params.geoLocation = places.join("|");
+  }
+
+  const plainText = toPlainTextQuery(parsed, {
+    label: "Met Museum",
+    museum: MET_MUSEUM_NAME,
+    textFields: params.title ? ["title"] : params.artistOrCulture ? ["creator"] : [],
+    handledFields: ["place", "date"],
+  });
+
+  return {
+    params: { ...params, q: plainText.text || "*" },
+    matchesNothing: plainText.matchesNothing,
+    warnings: [...warnings, ...plainText.warnings],
+  };
+};
+
+/**
+ * Search the Met collection - returns object IDs only, objects must be fetched individually
+ * @param {Object} fetchers - Optional raw requests, see metFetchers
+ * @returns {Promise<Object>} { success, data: { total, objectIDs } }
+ */
+export const searchMetObjectIds = async (query, fetchers = metFetchers) => {
+  if (!query) {
+    return {
+      success: false,
+      error: { type: 'validation', message: 'Search query is required' }
+    };
+  }
+
+  const { params, matchesNothing } = translateMetQuery(query);
+  if (matchesNothing) {
+    return { success: true, data: { total: 0, objectIDs: [] } };
+  }
+
+  try {
+    const data = await fetchers.search({
+      ...params,
+      hasImages: true,
+    });
+
+    return {
+      success: true,
+      data: {
+        total: data?.total || 0,
+        objectIDs: data?.objectIDs || [],
+      },
+    };
+  } catch (error) {
+    console.error(`Error searching Met objects:`, error.message);
+    return createApiErrorResult(error, 'Met Museum', 'search');
+  }
+};
+
+/**
+ * Fetch a single Met object by ID
+ * @param {Object} options - { cancelToken, signal, fetchers } - fetchers are optional raw requests, see metFetchers
+ */
+export const getMetObject = async (id, { cancelToken = null, signal, fetchers = metFetchers } = {}) => {
+  if (!id) {
+    return {
+      success: false,
+      error: { type: 'validation', message: 'Item ID is required' }
+    };
+  }
+
+  try {
+    const requestConfig = {};
+    if (cancelToken) {
+      requestConfig.cancelToken = cancelToken;
+    }
+    if (signal) {
+      requestConfig.signal = signal;
+    }
+
+    const data = await fetchers.object(id, requestConfig);
+
+    return { success: true, data };
+  } catch (error) {
+    console.error(`Error fetching Met object ${id}:`, error.message);
+    return createApiErrorResult(error, 'Met Museum', 'item');
+  }
+};
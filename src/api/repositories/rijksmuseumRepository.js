@@ -0,0 +1,141 @@
+import { API_CONFIG, rijksmuseumConfig } from "../config.js";
+import { createApiErrorResult, checkFetchResponse } from "../../utils/apiErrorHandler.js";
+import { parseQuery, toPlainTextQuery } from "../../utils/queryParser.js";
+import { RIJKSMUSEUM_NAME } from "../adapters/rijksmuseumAdapter.js";
+
+// Requests go via the proxy server, which adds the API key
+const RIJKSMUSEUM_PROXY_BASE = `${API_CONFIG.PROXY_SERVER}/api/rijksmuseum`;
+
+export const RIJKSMUSEUM_LANGUAGES = ["en", "nl"];
+
+/**
+ * Raw Rijksmuseum requests via the proxy - resolve with the response data, throw on failure
+ * The server's search passes its own cached requests in their place
+ */
+export const rijksmuseumFetchers = {
+  search: async (language, params) => {
+    const url = new URL(`${RIJKSMUSEUM_PROXY_BASE}/${language}/search`);
+    url.search = new URLSearchParams(params).toString();
+
+    const response = await fetch(url, {
+      timeout: rijksmuseumConfig.requestTimeout,
+    });
+
+    const fetchError = checkFetchResponse(response);
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    return response.json();
+  },
+};
+
+/**
+ * Translate query syntax into Rijksmuseum search text - q has no field or boolean syntax
+ * @param {string} query - eg. 'creator:"Rembrandt" night -sketch'
+ * @returns {Object} { q, matchesNothing, warnings } - matchesNothing when a museum: clause rules out the Rijksmuseum
+ */
+export const translateRijksmuseumQuery = (query) => {
+  const { text, matchesNothing, warnings } = toPlainTextQuery(parseQuery(query), {
+    label: "Rijksmuseum",
+    museum: RIJKSMUSEUM_NAME,
+  });
+
+  return { q: text, matchesNothing, warnings };
+};
+
+export const rijksmuseumRepository = {
+  /**
+   * Search Rijksmuseum objects with images
+   * @param {string} query
+   * @param {Object} options - { page (1-based), pageSize, language, fetchers } - fetchers are optional
+   *   raw requests, see rijksmuseumFetchers
+   * @returns {Promise<Object>} { success, data: { count, artObjects, language } }
+   */
+  async search(query, options = {}) {
+    const {
+      page = 1,
+      pageSize = rijksmuseumConfig.batchSize,
+      language = rijksmuseumConfig.preferredLanguage,
+      fetchers = rijksmuseumFetchers,
+    } = options;
+
+    if (!query) {
+      return {
+        success: false,
+        error: { type: 'validation', message: 'Search query is required' }
+      };
+    }
+
+    const { q, matchesNothing } = translateRijksmuseumQuery(query);
+    if (matchesNothing) {
+      return { success: true, data: { count: 0, artObjects: [], language } };
+    }
+
+    try {
+      const data = await fetchers.search(language, {
+        q,
+        p: page.toString(),
+        ps: pageSize.toString(),
+        imgonly: "True",
+      });
+      return { success: true, data: { ...data, language } };
+    } catch (error) {
+      console.error("Rijksmuseum search error:", error);
+      return createApiErrorResult(error, 'Rijksmuseum', 'search');
+    }
+  },
+
+  /**
+   * Get a single object in every supported language
+   * @param {string} objectNumber - eg. SK-C-5
+   * @returns {Promise<Object>} { success, data: { en: artObject, nl: artObject } } - a language map,
+   *   missing languages are left out
+   */
+  async getObject(objectNumber) {
+    if (!objectNumber) {
+      return {
+        success: false,
+        error: { type: 'validation', message: 'Item ID is required' }
+      };
+    }
+
+    const fetchLanguage = async (language) => {
+      const url = `${RIJKSMUSEUM_PROXY_BASE}/${language}/object/${encodeURIComponent(objectNumber)}`;
+      const response = await fetch(url, {
+        timeout: rijksmuseumConfig.requestTimeout,
+      });
+
+      const fetchError = checkFetchResponse(response);
+      if (fetchError) {
+        throw fetchError;
+      }
+
+      const data = await response.json();
+      return data.artObject;
+    };
+
+    const responses = await Promise.allSettled(RIJKSMUSEUM_LANGUAGES.map(fetchLanguage));
+
+    const languageMap = {};
+    responses.forEach((response, index) => {
+      if (response.status === "fulfilled" && response.value) {
+        languageMap[RIJKSMUSEUM_LANGUAGES[index]] = response.value;
+      }
+    });
+
+    if (Object.keys(languageMap).length === 0) {
+      const error = responses.find((response) => response.status === "rejected")?.reason;
+
+      if (error?.status === 404 || !error) {
+        console.warn(`Rijksmuseum object ${objectNumber} not found`);
+        return { success: false, error: { type: 'not_found', message: 'Record not found' } };
+      }
+
+      console.warn(`Rijksmuseum object ${objectNumber} failed:`, error.message);
+      return createApiErrorResult(error, 'Rijksmuseum', 'item');
+    }
+
+    return { success: true, data: languageMap };
+  },
+};
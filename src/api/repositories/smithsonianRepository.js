@@ -1,11 +1,87 @@
 import axios from "axios";
 import { API_CONFIG } from "../config.js";
 import { createApiErrorResult } from "../../utils/apiErrorHandler.js";
+import {
+  parseQuery,
+  hasQuerySyntax,
+  formatLuceneValue,
+  SCOPE_FIELDS,
+  toLuceneQuery,
+} from "../../utils/queryParser.js";
+import { parseDateRange } from "../../utils/dateUtils.js";
 
 const smithsonianAPI = axios.create({
-  baseURL: API_CONFIG.SMITHSONIAN_SERVER,
+  baseURL: API_CONFIG.PROXY_SERVER,
 });
 
+/**
+ * Raw Smithsonian requests via the proxy - resolve with the response data, throw on failure
+ * The server's search passes its own cached requests in their place
+ */
+export const smithsonianFetchers = {
+  search: async (params) => (await smithsonianAPI.get("/api/smithsonian/search", { params })).data,
+};
+
+// Query syntax fields -> Smithsonian indexed fields
+const SMITHSONIAN_QUERY_FIELDS = {
+  title: "title",
+  creator: "name",
+  place: "place",
+  museum: "data_source",
+};
+
+// Smithsonian indexes dates by decade, eg. "1850s" - longer ranges need too many clauses
+const MAX_DATE_DECADES = 20;
+
+const formatDateClause = (clause, warnings) => {
+  const range = parseDateRange(clause.value);
+  if (!range || range.certainty === "undated" || (range.earliest ?? range.latest) < 0) {
+    warnings.push(`Smithsonian couldn't filter by the date "${clause.value}" - it was ignored`);
+    return null;
+  }
+
+  // Open-ended dates, eg. "after 1900", run to this year - ones open into the past span too many decades
+  const latest = range.latest ?? new Date().getFullYear();
+  const firstDecade = Math.floor(range.earliest / 10) * 10;
+  const lastDecade = Math.floor(latest / 10) * 10;
+  if (range.earliest === null || (lastDecade - firstDecade) / 10 + 1 > MAX_DATE_DECADES) {
+    warnings.push(`Smithsonian can only filter dates spanning ${MAX_DATE_DECADES * 10} years or less - "date:${clause.value}" was ignored`);
+    return null;
+  }
+
+  const decades = [];
+  for (let decade = firstDecade; decade <= lastDecade; decade += 10) {
+    decades.push(`date:"${decade}s"`);
+  }
+
+  return decades.length === 1 ? decades[0] : `(${decades.join(" OR ")})`;
+};
+
+/**
+ * Translate query syntax into a Smithsonian q with field prefixes
+ * @param {string} query - eg. 'creator:"Hokusai" AND wave -print'
+ * @returns {Object} { q, warnings } - eg. { q: 'name:"Hokusai" AND wave AND NOT print' }
+ */
+export const translateSmithsonianQuery = (query) => {
+  const parsed = parseQuery(query);
+  if (!hasQuerySyntax(parsed)) {
+    return { q: query?.trim() || "*", warnings: [] };
+  }
+
+  const warnings = [];
+
+  const q = toLuceneQuery(parsed.clauses, (clause) => {
+    if (clause.field === "date") return formatDateClause(clause, warnings);
+    // Open Access media is all CC0, so rights: needs no filter
+    if (SCOPE_FIELDS.includes(clause.field)) return null;
+
+    const value = formatLuceneValue(clause);
+    return clause.field ? `${SMITHSONIAN_QUERY_FIELDS[clause.field]}:${value}` : value;
+  });
+
+  return { q: q || "*", warnings };
+};
+
 /**
  * Fetch details for a specific Smithsonian item by ID
  */
@@ -38,12 +114,14 @@ export const getSmithsonianItemDetails = async (id, cancelToken = null) => {
 
 /**
  * Make a search request to the Smithsonian API
+ * @param {Object} fetchers - Optional raw requests, see smithsonianFetchers
  */
 export const searchSmithsonianItems = async (
   query,
   start,
   rows,
-  additionalParams = {}
+  additionalParams = {},
+  fetchers = smithsonianFetchers
 ) => {
   if (!query) {
     return { 
@@ -53,7 +131,7 @@ export const searchSmithsonianItems = async (
   }
 
   const params = {
-    q: query,
+    q: translateSmithsonianQuery(query).q,
     start,
     rows,
     online_media_type: "Images",
@@ -61,11 +139,9 @@ export const searchSmithsonianItems = async (
   };
 
   try {
-    const response = await smithsonianAPI.get("/api/smithsonian/search", {
-      params
-    });
+    const data = await fetchers.search(params);
 
-    return { success: true, data: response.data };
+    return { success: true, data };
   } catch (error) {
     console.error(`Error searching Smithsonian items:`, error.message);
     return createApiErrorResult(error, 'Smithsonian', 'search');
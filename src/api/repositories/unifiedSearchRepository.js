@@ -0,0 +1,114 @@
+import axios from "axios";
+import { API_CONFIG } from "../config.js";
+import { createApiErrorResult } from "../../utils/apiErrorHandler.js";
+
+const proxyAPI = axios.create({
+  baseURL: API_CONFIG.PROXY_SERVER,
+});
+
+/**
+ * Fetch one page of unified, already-adapted results from the server-side search
+ * @param {string} query - Search term
+ * @param {Object} options
+ * @param {Array<string>} options.sources - Source IDs to search (defaults to all on the server)
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.pageSize - Items per page
+ * @param {Object} options.cancelToken - Optional axios cancel token
+ */
+export const searchUnified = async (query, options = {}) => {
+  if (!query) {
+    return {
+      success: false,
+      error: { type: 'validation', message: 'Search query is required' }
+    };
+  }
+
+  const { sources, page = 1, pageSize, cancelToken } = options;
+
+  const params = {
+    q: query,
+    page,
+  };
+
+  if (sources?.length > 0) {
+    params.sources = sources.join(",");
+  }
+
+  if (pageSize) {
+    params.pageSize = pageSize;
+  }
+
+  try {
+    const response = await proxyAPI.get("/api/search", {
+      params,
+      cancelToken,
+    });
+
+    return response.data;
+  } catch (error) {
+    // Server returns { success: false, error } for validation errors & complete source failures
+    if (error.response?.data?.success === false) {
+      return error.response.data;
+    }
+
+    console.error(`Error fetching unified search results:`, error.message);
+    return createApiErrorResult(error, 'Search server', 'search');
+  }
+};
+
+/**
+ * Open a Server-Sent Events stream of progressive unified search results
+ * @param {string} query - Search term
+ * @param {Object} handlers - Called with the parsed event data
+ * @param {Function} handlers.onProgress - { message, itemsFound, totalResults, ... }
+ * @param {Function} handlers.onItems - { source, items } per adapted batch
+ * @param {Function} handlers.onSourceError - { source, error }
+ * @param {Function} handlers.onComplete - { success, totals, errors } or { success: false, error }
+ * @param {Function} handlers.onError - Connection failed or dropped before completion
+ * @param {Array<string>} sources - Optional source IDs to search
+ * @returns {Function} Closes the stream
+ */
+export const streamUnifiedSearch = (query, handlers = {}, sources = []) => {
+  const url = new URL(`${API_CONFIG.PROXY_SERVER}/api/search/stream`);
+  url.searchParams.set("q", query);
+  if (sources.length > 0) {
+    url.searchParams.set("sources", sources.join(","));
+  }
+
+  const eventSource = new EventSource(url);
+  let finished = false;
+
+  const listen = (event, handler) => {
+    eventSource.addEventListener(event, (e) => {
+      try {
+        handler?.(JSON.parse(e.data));
+      } catch (error) {
+        console.error(`Invalid ${event} event from search stream:`, error.message);
+      }
+    });
+  };
+
+  listen("progress", handlers.onProgress);
+  listen("items", handlers.onItems);
+  listen("source-error", handlers.onSourceError);
+  listen("complete", (data) => {
+    finished = true;
+    eventSource.close();
+    handlers.onComplete?.(data);
+  });
+
+  // EventSource would otherwise keep reconnecting and re-run the search
+  eventSource.onerror = () => {
+    if (finished) return;
+    finished = true;
+    eventSource.close();
+    handlers.onError?.(
+      createApiErrorResult({ name: 'NetworkError' }, 'Search server', 'search').error
+    );
+  };
+
+  return () => {
+    finished = true;
+    eventSource.close();
+  };
+};
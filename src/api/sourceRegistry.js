@@ -0,0 +1,58 @@
+// ================ SOURCE REGISTRY ================
+// Museum sources register themselves here; museumService iterates the enabled sources
+// instead of switching on source IDs - as does the server's search (server/searchService.js).
+// Adding a museum = repository + adapter + provider in /sources.
+
+/**
+ * @typedef {Object} SourceProvider
+ * @property {string} id - Source ID used in URLs and on items, eg. 'smithsonian'
+ * @property {string} label - Display name used in progress & error messages
+ * @property {Function} search - (query, { onBatch, onProgress, signal, fetchers }) => Promise<{ success, data: { total } } | error result>
+ *   Fetches raw search pages, passing each to onBatch(rawData, { batchesProcessed, totalBatches }).
+ *   Stops fetching further pages once signal is aborted. fetchers optionally replace the repository's
+ *   raw requests - the server passes in its cached ones
+ * @property {Function} getDetails - (id, cancelToken) => Promise<{ success, data } | error result> with raw record data
+ * @property {Function} adaptSearch - (rawData) => { total, items } in unified item format
+ * @property {Function} adaptDetails - (rawData) => unified item details
+ * @property {Function} translateQuery - Optional (query) => { warnings, ... } - the repository's translation of
+ *   query syntax (see queryParser.js) into its API's own, warnings list clauses the API can't honour
+ * @property {Object} capabilities - { fastSearch: boolean } - fast sources are awaited before results are first shown
+ * @property {boolean} enabled - Disabled sources are skipped by unified search
+ */
+
+const REQUIRED_FIELDS = ["id", "label", "search", "getDetails", "adaptSearch", "adaptDetails"];
+
+const sources = new Map();
+
+/**
+ * Register (or replace) a source provider
+ * @param {SourceProvider} provider
+ */
+export const registerSource = (provider) => {
+  const missing = REQUIRED_FIELDS.filter((field) => !provider?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Source provider is missing: ${missing.join(", ")}`);
+  }
+
+  sources.set(provider.id, {
+    enabled: true,
+    ...provider,
+    capabilities: { fastSearch: false, ...provider.capabilities },
+  });
+};
+
+export const getSource = (id) => sources.get(id) || null;
+
+export const isSourceSupported = (id) => sources.has(id);
+
+export const getAllSources = () => [...sources.values()];
+
+export const getEnabledSources = () =>
+  getAllSources().filter((source) => source.enabled);
+
+export const setSourceEnabled = (id, enabled) => {
+  const source = sources.get(id);
+  if (source) {
+    source.enabled = enabled;
+  }
+};
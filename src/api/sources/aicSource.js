@@ -0,0 +1,81 @@
+import { aicConfig } from "../config.js";
+import { searchAicArtworks, getAicArtwork, translateAicQuery } from "../repositories/aicRepository.js";
+import { adaptAicSearchResults, adaptAicItemDetails } from "../adapters/aicAdapter.js";
+
+/**
+ * AIC search: first page gives the total, remaining pages of batchSize rows
+ * are fetched maxParallelRequests at a time, up to maxResults
+ */
+export const aicSource = {
+  id: "aic",
+  label: "Art Institute of Chicago",
+  capabilities: { fastSearch: false },
+
+  async search(query, { onBatch, onProgress, signal, fetchers } = {}) {
+    const batchSize = aicConfig.batchSize;
+    const firstResult = await searchAicArtworks(query, 1, batchSize, fetchers);
+
+    if (!firstResult.success) {
+      return firstResult;
+    }
+
+    const totalResults = firstResult.data?.pagination?.total || 0;
+    if (!totalResults) {
+      return { success: true, data: { total: 0 } };
+    }
+
+    const totalBatches = Math.ceil(Math.min(totalResults, aicConfig.maxResults) / batchSize);
+
+    onProgress?.({
+      message: `Searching through ${totalResults} AIC artworks for public domain images...`,
+      totalResults,
+    });
+
+    onBatch?.(firstResult.data, { batchesProcessed: 1, totalBatches });
+
+    for (
+      let groupStart = 1;
+      groupStart < totalBatches;
+      groupStart += aicConfig.maxParallelRequests
+    ) {
+      if (signal?.aborted) break;
+
+      const groupEnd = Math.min(groupStart + aicConfig.maxParallelRequests, totalBatches);
+
+      const pagePromises = [];
+      for (let batchNum = groupStart; batchNum < groupEnd; batchNum++) {
+        pagePromises.push(fetchPage(query, batchNum + 1, batchSize, fetchers));
+      }
+
+      const pageResults = await Promise.all(pagePromises);
+
+      pageResults.forEach((pageData, i) => {
+        onBatch?.(pageData, {
+          batchesProcessed: groupStart + i + 1,
+          totalBatches,
+        });
+      });
+    }
+
+    return { success: true, data: { total: totalResults } };
+  },
+
+  getDetails: (id, cancelToken = null) => getAicArtwork(id, cancelToken),
+
+  translateQuery: translateAicQuery,
+
+  adaptSearch: adaptAicSearchResults,
+  adaptDetails: adaptAicItemDetails,
+};
+
+// Failed pages are skipped rather than failing the whole search
+async function fetchPage(query, page, limit, fetchers) {
+  const result = await searchAicArtworks(query, page, limit, fetchers);
+
+  if (!result.success) {
+    console.warn(`AIC page ${page} failed:`, result.error.message);
+    return null;
+  }
+
+  return result.data;
+}
@@ -0,0 +1,72 @@
+import { europeanaConfig } from "../config.js";
+import { europeanaRepository, translateEuropeanaQuery } from "../repositories/europeanaRepository.js";
+import {
+  adaptEuropeanaSearchResults,
+  adaptEuropeanaItemDetails,
+} from "../adapters/europeanaAdapter.js";
+
+/**
+ * Europeana search: sequential pages of batchSize rows, up to maxResults
+ * Fast API - awaited before results are first shown
+ */
+export const europeanaSource = {
+  id: "europeana",
+  label: "Europeana",
+  capabilities: { fastSearch: true },
+
+  async search(query, { onBatch, signal, fetchers } = {}) {
+    const maxResults = europeanaConfig.maxResults || 1000;
+    const batchSize = europeanaConfig.batchSize || 100;
+    const totalBatches = Math.ceil(maxResults / batchSize);
+
+    let totalResults = 0;
+
+    for (let batch = 0; batch < totalBatches; batch++) {
+      if (signal?.aborted) break;
+
+      const start = batch * batchSize;
+      const searchOptions = {
+        rows: batchSize,
+        fetchers,
+      };
+
+      if (start > 0) {
+        searchOptions.start = start;
+      }
+
+      const result = await europeanaRepository.search(query, searchOptions);
+
+      if (!result.success) {
+        // Return error for first batch, continue for subsequent batches
+        if (batch === 0) {
+          return result;
+        } else {
+          console.warn(`Europeana batch ${batch} failed:`, result.error);
+          break;
+        }
+      }
+
+      if (batch === 0) {
+        totalResults = result.data.totalResults || 0;
+      }
+
+      onBatch?.(result.data, {
+        batchesProcessed: batch + 1,
+        totalBatches,
+      });
+
+      if ((result.data.itemsCount || 0) < batchSize) {
+        break;
+      }
+    }
+
+    return { success: true, data: { total: totalResults } };
+  },
+
+  getDetails: (id) => europeanaRepository.getRecord(id, { profile: "rich" }),
+
+  translateQuery: translateEuropeanaQuery,
+
+  adaptSearch: adaptEuropeanaSearchResults,
+  adaptDetails: adaptEuropeanaItemDetails,
+};
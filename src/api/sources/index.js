@@ -0,0 +1,13 @@
+import { registerSource } from "../sourceRegistry.js";
+import { europeanaSource } from "./europeanaSource.js";
+import { smithsonianSource } from "./smithsonianSource.js";
+import { metSource } from "./metSource.js";
+import { aicSource } from "./aicSource.js";
+import { rijksmuseumSource } from "./rijksmuseumSource.js";
+
+// Registration order breaks ties when interleaving unified results
+registerSource(europeanaSource);
+registerSource(smithsonianSource);
+registerSource(metSource);
+registerSource(aicSource);
+registerSource(rijksmuseumSource);
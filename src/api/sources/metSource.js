@@ -0,0 +1,79 @@
+import { metConfig } from "../config.js";
+import { searchMetObjectIds, getMetObject, translateMetQuery } from "../repositories/metRepository.js";
+import { adaptMetSearchResults, adaptMetItemDetails } from "../adapters/metAdapter.js";
+
+/**
+ * Met search: the search endpoint only returns object IDs, so the first maxResults
+ * IDs are hydrated in batches, with at most maxParallelRequests object requests in flight
+ */
+export const metSource = {
+  id: "met",
+  label: "Met Museum",
+  capabilities: { fastSearch: false },
+
+  async search(query, { onBatch, onProgress, signal, fetchers } = {}) {
+    const idResult = await searchMetObjectIds(query, fetchers);
+
+    if (!idResult.success) {
+      return idResult;
+    }
+
+    const { total, objectIDs } = idResult.data;
+    if (!total || objectIDs.length === 0) {
+      return { success: true, data: { total: 0 } };
+    }
+
+    const idsToFetch = objectIDs.slice(0, metConfig.maxResults);
+    const batchSize = metConfig.batchSize;
+    const totalBatches = Math.ceil(idsToFetch.length / batchSize);
+
+    onProgress?.({
+      message: `Searching through ${total} Met objects for public domain images...`,
+      totalResults: total,
+    });
+
+    for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
+      if (signal?.aborted) break;
+
+      const batchIds = idsToFetch.slice(batchNum * batchSize, (batchNum + 1) * batchSize);
+      const objects = await fetchObjects(batchIds, metConfig.maxParallelRequests, { signal, fetchers });
+
+      onBatch?.({ total, objects }, {
+        batchesProcessed: batchNum + 1,
+        totalBatches,
+      });
+    }
+
+    return { success: true, data: { total } };
+  },
+
+  getDetails: (id, cancelToken = null) => getMetObject(id, { cancelToken }),
+
+  translateQuery: translateMetQuery,
+
+  adaptSearch: adaptMetSearchResults,
+  adaptDetails: adaptMetItemDetails,
+};
+
+// Fetch objects with a fixed pool of workers; failed objects are skipped
+// Once signal is aborted no further objects are requested
+async function fetchObjects(ids, concurrency, { signal, fetchers } = {}) {
+  const objects = new Array(ids.length).fill(null);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < ids.length && !signal?.aborted) {
+      const index = nextIndex++;
+      const result = await getMetObject(ids[index], { signal, fetchers });
+      if (result.success) {
+        objects[index] = result.data;
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, ids.length) }, worker)
+  );
+
+  return objects.filter(Boolean);
+}
@@ -0,0 +1,67 @@
+import { rijksmuseumConfig } from "../config.js";
+import {
+  rijksmuseumRepository,
+  translateRijksmuseumQuery,
+} from "../repositories/rijksmuseumRepository.js";
+import {
+  adaptRijksmuseumSearchResults,
+  adaptRijksmuseumItemDetails,
+} from "../adapters/rijksmuseumAdapter.js";
+
+/**
+ * Rijksmuseum search: sequential pages of batchSize objects, up to maxResults,
+ * in the preferred language
+ */
+export const rijksmuseumSource = {
+  id: "rijksmuseum",
+  label: "Rijksmuseum",
+  capabilities: { fastSearch: false },
+
+  async search(query, { onBatch, signal, fetchers } = {}) {
+    const { maxResults, batchSize } = rijksmuseumConfig;
+    let totalBatches = Math.ceil(maxResults / batchSize);
+    let totalResults = 0;
+
+    for (let batch = 0; batch < totalBatches; batch++) {
+      if (signal?.aborted) break;
+
+      const result = await rijksmuseumRepository.search(query, {
+        page: batch + 1,
+        pageSize: batchSize,
+        fetchers,
+      });
+
+      if (!result.success) {
+        // Return error for first batch, continue for subsequent batches
+        if (batch === 0) {
+          return result;
+        }
+        console.warn(`Rijksmuseum batch ${batch} failed:`, result.error);
+        break;
+      }
+
+      if (batch === 0) {
+        totalResults = result.data.count || 0;
+        totalBatches = Math.min(totalBatches, Math.ceil(totalResults / batchSize));
+      }
+
+      onBatch?.(result.data, {
+        batchesProcessed: batch + 1,
+        totalBatches,
+      });
+
+      if ((result.data.artObjects?.length || 0) < batchSize) {
+        break;
+      }
+    }
+
+    return { success: true, data: { total: totalResults } };
+  },
+
+  getDetails: (id) => rijksmuseumRepository.getObject(id),
+
+  translateQuery: translateRijksmuseumQuery,
+
+  adaptSearch: adaptRijksmuseumSearchResults,
+  adaptDetails: adaptRijksmuseumItemDetails,
+};
@@ -0,0 +1,96 @@
+import { smithsonianConfig } from "../config.js";
+import * as smithsonianRepository from "../repositories/smithsonianRepository.js";
+import {
+  adaptSmithsonianSearchResults,
+  adaptSmithsonianItemDetails,
+} from "../adapters/smithsonianAdapter.js";
+
+/**
+ * Smithsonian search: one request for the total, then parallel batches of batchSize rows
+ * Slow API - results are appended in the background
+ */
+export const smithsonianSource = {
+  id: "smithsonian",
+  label: "Smithsonian",
+  capabilities: { fastSearch: false },
+
+  async search(query, { onBatch, onProgress, signal, fetchers } = {}) {
+    const initialResult = await smithsonianRepository.searchSmithsonianItems(query, 0, 1, {}, fetchers);
+
+    if (!initialResult.success) {
+      return initialResult;
+    }
+
+    const totalResults = initialResult.data?.response?.rowCount || 0;
+    if (!totalResults) {
+      return { success: true, data: { total: 0 } };
+    }
+
+    const batchSize = smithsonianConfig.batchSize;
+    const maxBatches = smithsonianConfig.maxBatches;
+    const totalBatches = Math.min(Math.ceil(totalResults / batchSize), maxBatches);
+    const maxConcurrent = smithsonianConfig.maxParallelRequests;
+
+    onProgress?.({
+      message: `Searching through ${totalResults} results for items with images...`,
+      totalResults,
+    });
+
+    for (
+      let groupStart = 0;
+      groupStart < totalBatches;
+      groupStart += maxConcurrent
+    ) {
+      if (signal?.aborted) break;
+
+      const groupEnd = Math.min(groupStart + maxConcurrent, totalBatches);
+
+      const batchPromises = [];
+      for (let batchNum = groupStart; batchNum < groupEnd; batchNum++) {
+        batchPromises.push(fetchBatch(query, batchNum * batchSize, batchSize, batchNum, fetchers));
+      }
+
+      const batchResults = await Promise.all(batchPromises);
+
+      batchResults.forEach((batchData, i) => {
+        onBatch?.(batchData, {
+          batchesProcessed: groupStart + i + 1,
+          totalBatches,
+        });
+      });
+    }
+
+    return { success: true, data: { total: totalResults } };
+  },
+
+  getDetails: (id, cancelToken = null) =>
+    smithsonianRepository.getSmithsonianItemDetails(id, cancelToken),
+
+  translateQuery: smithsonianRepository.translateSmithsonianQuery,
+
+  adaptSearch: adaptSmithsonianSearchResults,
+  adaptDetails: adaptSmithsonianItemDetails,
+};
+
+// Failed batches are skipped rather than failing the whole search
+async function fetchBatch(query, offset, batchSize, batchNum, fetchers) {
+  try {
+    const result = await smithsonianRepository.searchSmithsonianItems(
+      query,
+      offset,
+      batchSize,
+      {},
+      fetchers
+    );
+
+    if (!result.success) {
+      console.log(`❌ Batch ${batchNum + 1} failed:`, result.error.message);
+      return null;
+    }
+
+    return result.data;
+  } catch (error) {
+    console.log(`❌ Batch ${batchNum + 1} failed:`, error.message);
+    return null;
+  }
+}
@@ -58,8 +58,8 @@ export default function AddToCollectionButton({ item }) {
   const handleCollectionAction = (e, collectionId, collectionName) => {
     e.stopPropagation();
 
-    if (itemExistsInCollection(collectionId, item.id)) {
-      removeItemFromCollection(collectionId, item.id);
+    if (itemExistsInCollection(collectionId, item)) {
+      removeItemFromCollection(collectionId, item);
       setFeedback({
         show: true,
         message: `Removed from "${collectionName}"`,
@@ -140,12 +140,12 @@ export default function AddToCollectionButton({ item }) {
                   <div
                     key={collection.id}
                     className={
-                      itemExistsInCollection(collection.id, item.id)
+                      itemExistsInCollection(collection.id, item)
                         ? "menu-item-added"
                         : "menu-item"
                     }
                   >
-                    {itemExistsInCollection(collection.id, item.id) ? (
+                    {itemExistsInCollection(collection.id, item) ? (
                       <>
                         <span className="truncate menu-text">
                           {collection.name}
@@ -2,6 +2,7 @@ import { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useCollections } from "../../context/CollectionsContext";
 import DeleteConfirmation from "../common/DeleteConfirmation";
+import { getCollectionItemKey } from "../../utils/collectionsStorage";
 
 /**
  * @param {Object} collection - The collection to display
@@ -77,7 +78,7 @@ export default function CollectionCard({ collection }) {
           >
             {previewItems.map((item, index) => (
               <div
-                key={item.id}
+                key={getCollectionItemKey(item)}
                 className={`bg-gray-100 overflow-hidden ${
                   previewItems.length === 1
                     ? "w-full h-full"
@@ -0,0 +1,132 @@
+import { useState, useRef, useEffect } from "react";
+import {
+  downloadFile,
+  exportCollectionsCsv,
+  exportCollectionsGallery,
+  exportCollectionsJson,
+  getExportFilename,
+} from "../../utils/collectionExport";
+
+const EXPORT_OPTIONS = [
+  { value: "json", label: "JSON (full backup)" },
+  { value: "csv", label: "CSV spreadsheet" },
+  { value: "gallery", label: "Offline gallery (zip)" },
+];
+
+/**
+ * Export menu for one or several collections
+ * @param {Array} collections - Collections to export
+ * @param {string} label - Optional button label
+ */
+export default function ExportMenu({ collections, label = "Export" }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [status, setStatus] = useState("");
+  const menuRef = useRef(null);
+
+  // Close menu when clicking outside or pressing escape
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    function handleEscape(event) {
+      if (event.key === "Escape") {
+        setIsOpen(false);
+      }
+    }
+
+    document.addEventListener("mousedown", handleClickOutside);
+    document.addEventListener("keydown", handleEscape);
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+      document.removeEventListener("keydown", handleEscape);
+    };
+  }, []);
+
+  const handleExport = async (format) => {
+    setIsOpen(false);
+    setStatus("");
+
+    try {
+      if (format === "json") {
+        downloadFile(
+          exportCollectionsJson(collections),
+          getExportFilename(collections, "json"),
+          "application/json"
+        );
+        return;
+      }
+
+      if (format === "csv") {
+        downloadFile(
+          exportCollectionsCsv(collections),
+          getExportFilename(collections, "csv"),
+          "text/csv;charset=utf-8"
+        );
+        return;
+      }
+
+      setIsExporting(true);
+      setStatus("Downloading images...");
+
+      const { blob, missingImages } = await exportCollectionsGallery(
+        collections,
+        ({ done, total }) => setStatus(`Downloading images (${done} of ${total})...`)
+      );
+      downloadFile(blob, getExportFilename(collections, "zip"));
+
+      setStatus(
+        missingImages > 0
+          ? `Gallery exported - ${missingImages} ${
+              missingImages === 1 ? "image" : "images"
+            } couldn't be downloaded and will load from the museum's site`
+          : ""
+      );
+    } catch (err) {
+      console.error("Export failed:", err);
+      setStatus("Export failed. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="btn-action"
+        disabled={isExporting || collections.length === 0}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        {isExporting ? "Exporting..." : label}
+      </button>
+
+      {isOpen && (
+        <div className="dropdown-menu left-auto right-0 w-56" role="menu">
+          {EXPORT_OPTIONS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              role="menuitem"
+              onClick={() => handleExport(option.value)}
+              className="dropdown-option"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {status && (
+        <p className="absolute right-0 mt-1 w-64 text-xs text-gray-600" role="status">
+          {status}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+import { useRef, useState } from "react";
+import { useCollections } from "../../context/CollectionsContext";
+import { hydrateItem, needsHydration, parseImportFile } from "../../utils/collectionImport";
+
+// Imported collections clash with an existing one on ID - or, for CSVs which have no IDs, on name
+const findExistingCollection = (collections, imported) =>
+  collections.find((collection) =>
+    imported.id
+      ? collection.id === imported.id
+      : collection.name.trim().toLowerCase() === imported.name.trim().toLowerCase()
+  );
+
+/**
+ * Import collections from a CURA JSON export or a CSV with source & id columns
+ * Items with only a source & ID are looked up at their source - any that can't be are left out and reported
+ */
+export default function ImportCollections() {
+  const { collections, importCollection } = useCollections();
+  const fileInputRef = useRef(null);
+
+  // "idle", "review", "importing" or "done"
+  const [stage, setStage] = useState("idle");
+  const [error, setError] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  // Per imported collection that clashes - "merge" or "copy"
+  const [resolutions, setResolutions] = useState({});
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [report, setReport] = useState(null);
+
+  const reset = () => {
+    setStage("idle");
+    setError(null);
+    setParsed(null);
+    setResolutions({});
+    setReport(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    reset();
+
+    try {
+      const result = parseImportFile(await file.text(), file.name);
+      if (result.error) {
+        setError(result.error);
+        return;
+      }
+      if (result.collections.length === 0) {
+        setError("No collections were found in this file");
+        return;
+      }
+
+      setParsed(result);
+      setStage("review");
+    } catch (err) {
+      console.error("Error reading import file:", err);
+      setError("This file couldn't be read");
+    }
+  };
+
+  const handleImport = async () => {
+    setStage("importing");
+
+    const toHydrate = parsed.collections.flatMap((collection) =>
+      collection.items.filter(needsHydration)
+    );
+    setProgress({ done: 0, total: toHydrate.length });
+
+    const failed = [];
+    let importedItems = 0;
+    let done = 0;
+
+    for (const [index, imported] of parsed.collections.entries()) {
+      const items = [];
+
+      for (const item of imported.items) {
+        if (!needsHydration(item)) {
+          items.push(item);
+          continue;
+        }
+
+        const result = await hydrateItem(item);
+        if (result.success) {
+          items.push(result.item);
+        } else {
+          failed.push({ collection: imported.name, item, error: result.error });
+        }
+
+        done += 1;
+        setProgress({ done, total: toHydrate.length });
+      }
+
+      const existing = findExistingCollection(collections, imported);
+      const resolution = resolutions[index] || "merge";
+
+      if (existing && resolution === "merge") {
+        importCollection({ ...imported, items }, existing.id);
+      } else {
+        importCollection({
+          ...imported,
+          name: existing ? `${imported.name} (copy)` : imported.name,
+          items,
+        });
+      }
+      importedItems += items.length;
+    }
+
+    setReport({
+      collections: parsed.collections.length,
+      items: importedItems,
+      failed,
+      skipped: parsed.skipped || [],
+    });
+    setStage("done");
+  };
+
+  return (
+    <div className="mb-6">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        onChange={handleFileChange}
+        className="hidden"
+        aria-label="Choose a collections file to import"
+      />
+
+      {stage === "idle" && (
+        <button
+          type="button"
+          className="text-sm underline"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Import collections from JSON or CSV
+        </button>
+      )}
+
+      {error && (
+        <p className="mt-2 text-sm text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+
+      {stage === "review" && (
+        <div className="bg-white border border-gray-300 rounded-lg p-4">
+          <h2 className="text-subtitle text-lg mb-2">Import collections</h2>
+          <ul className="space-y-3 mb-4">
+            {parsed.collections.map((imported, index) => {
+              const existing = findExistingCollection(collections, imported);
+              const lookups = imported.items.filter(needsHydration).length;
+
+              return (
+                <li key={index}>
+                  <p className="text-body">
+                    {imported.name} - {imported.items.length}{" "}
+                    {imported.items.length === 1 ? "item" : "items"}
+                    {lookups > 0 && (
+                      <span className="text-sm text-gray-500">
+                        {" "}
+                        ({lookups} to look up at their source)
+                      </span>
+                    )}
+                  </p>
+                  {existing && (
+                    <div className="flex gap-4 text-sm mt-1">
+                      <label className="flex items-center gap-1">
+                        <input
+                          type="radio"
+                          name={`resolution-${index}`}
+                          checked={(resolutions[index] || "merge") === "merge"}
+                          onChange={() => setResolutions({ ...resolutions, [index]: "merge" })}
+                        />
+                        Merge into &quot;{existing.name}&quot;
+                      </label>
+                      <label className="flex items-center gap-1">
+                        <input
+                          type="radio"
+                          name={`resolution-${index}`}
+                          checked={resolutions[index] === "copy"}
+                          onChange={() => setResolutions({ ...resolutions, [index]: "copy" })}
+                        />
+                        Import as a copy
+                      </label>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {parsed.skipped?.length > 0 && (
+            <p className="text-sm text-gray-500 mb-4">
+              {parsed.skipped.length} invalid{" "}
+              {parsed.skipped.length === 1 ? "entry" : "entries"} will be skipped.
+            </p>
+          )}
+          <div className="flex gap-2">
+            <button type="button" className="btn-action" onClick={handleImport}>
+              Import
+            </button>
+            <button type="button" className="text-sm underline" onClick={reset}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {stage === "importing" && (
+        <div className="flex items-center text-body" role="status">
+          <div className="w-4 h-4 mr-2 border-2 border-gray-200 border-t-gray-600 rounded-full animate-spin"></div>
+          {progress.total > 0
+            ? `Looking up items at their source (${progress.done} of ${progress.total})...`
+            : "Importing..."}
+        </div>
+      )}
+
+      {stage === "done" && report && (
+        <div className="bg-white border border-gray-300 rounded-lg p-4" role="status">
+          <p className="text-body mb-2">
+            Imported {report.items} {report.items === 1 ? "item" : "items"} from{" "}
+            {report.collections} {report.collections === 1 ? "collection" : "collections"}.
+          </p>
+          {report.failed.length > 0 && (
+            <>
+              <p className="text-sm text-red-600">
+                {report.failed.length} {report.failed.length === 1 ? "item" : "items"} couldn&apos;t
+                be found at their source and {report.failed.length === 1 ? "was" : "were"} left out:
+              </p>
+              <ul className="text-sm text-gray-600 list-disc list-inside mb-2 max-h-40 overflow-y-auto">
+                {report.failed.map(({ collection, item, error: reason }, index) => (
+                  <li key={index}>
+                    {collection}: {item.source} {item.id} - {reason}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          {report.skipped.length > 0 && (
+            <p className="text-sm text-gray-500 mb-2">
+              {report.skipped.length} invalid{" "}
+              {report.skipped.length === 1 ? "entry was" : "entries were"} skipped.
+            </p>
+          )}
+          <button type="button" className="text-sm underline" onClick={reset}>
+            Done
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -10,7 +10,7 @@ export default function RemoveFromCollectionButton({ item, collectionId }) {
 
   const handleRemove = (e) => {
     e.stopPropagation();
-    removeItemFromCollection(collectionId, item.id);
+    removeItemFromCollection(collectionId, item);
   };
 
   return (
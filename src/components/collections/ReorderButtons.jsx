@@ -0,0 +1,66 @@
+import { useEffect, useRef } from "react";
+
+const ARROW_PATHS = {
+  earlier: "M15 19l-7-7 7-7",
+  later: "M9 5l7 7-7 7",
+};
+
+/**
+ * Keyboard-accessible alternative to dragging an item within a collection
+ * @param {Object} item - The item to move
+ * @param {number} index - Item's position in the current order
+ * @param {number} count - Number of items in the collection
+ * @param {Function} onMove - Callback (index, offset) - offset is -1 for earlier, 1 for later
+ * @param {Object} focusRequest - Optional { direction } after this item was moved - a moved card can
+ *   remount in its new place, so its button is focused again. Falls back to the other button at either end
+ */
+export default function ReorderButtons({ item, index, count, onMove, focusRequest }) {
+  const buttonRefs = useRef({});
+
+  useEffect(() => {
+    if (!focusRequest) return;
+
+    const { earlier, later } = buttonRefs.current;
+    const button = focusRequest.direction === "earlier" ? earlier : later;
+    const fallback = focusRequest.direction === "earlier" ? later : earlier;
+    (button?.disabled ? fallback : button)?.focus();
+  }, [focusRequest]);
+
+  const renderButton = (direction, offset, disabled) => (
+    <button
+      ref={(node) => {
+        buttonRefs.current[direction] = node;
+      }}
+      className="p-3 rounded-full hover:bg-white/20 text-gray-400 hover:text-white transition-colors disabled:opacity-30"
+      onClick={(e) => {
+        e.stopPropagation();
+        onMove(index, offset);
+      }}
+      disabled={disabled}
+      aria-label={`Move ${item.title || "item"} ${direction}`}
+      title={`Move ${direction}`}
+    >
+      <svg
+        xmlns="http://www.w3.org/2000/svg"
+        className="h-5 w-5"
+        fill="none"
+        viewBox="0 0 24 24"
+        stroke="currentColor"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d={ARROW_PATHS[direction]}
+        />
+      </svg>
+    </button>
+  );
+
+  return (
+    <div className="flex">
+      {renderButton("earlier", -1, index === 0)}
+      {renderButton("later", 1, index === count - 1)}
+    </div>
+  );
+}
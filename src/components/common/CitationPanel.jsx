@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { getItemDetails } from "../../api/museumService";
+import {
+  CITATION_FILE_FORMATS,
+  CITATION_STYLES,
+  formatCitation,
+  formatCitationFile,
+} from "../../utils/citations";
+import { downloadFile, getExportFilename } from "../../utils/collectionExport";
+
+/**
+ * Citations for one item or a whole collection - copy as Chicago/MLA/APA, or download BibTeX/RIS/CSL-JSON
+ * @param {Array} items - Items to cite, in the unified detail shape or as collection items
+ * @param {string} name - Names downloaded files, eg. the item title or collection name
+ * @param {string} label - Toggle button label
+ * @param {boolean} lookupDetails - Fetch each item's details first - collection items lack creators & identifiers
+ */
+export default function CitationPanel({ items, name, label = "Cite", lookupDetails = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [style, setStyle] = useState("chicago");
+  const [copyStatus, setCopyStatus] = useState("");
+  // Items with their details looked up - null until they are
+  const [detailedItems, setDetailedItems] = useState(null);
+  const [lookupProgress, setLookupProgress] = useState(null);
+
+  const citedItems = lookupDetails ? detailedItems : items;
+
+  const lookupItemDetails = async () => {
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      setLookupProgress({ done: index, total: items.length });
+      const result = await getItemDetails(item.source, item.id);
+      // Keep the saved snapshot when the source can't be reached
+      results.push(result.success ? { ...item, ...result.data } : item);
+    }
+    setLookupProgress(null);
+    setDetailedItems(results);
+  };
+
+  const handleToggle = () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    setCopyStatus("");
+
+    if (opening && lookupDetails && !detailedItems && !lookupProgress) {
+      lookupItemDetails();
+    }
+  };
+
+  const citationText = citedItems
+    ? citedItems.map((item) => formatCitation(item, style)).join("\n\n")
+    : "";
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(citationText);
+      setCopyStatus("Copied to clipboard");
+    } catch (err) {
+      console.error("Error copying citation:", err);
+      setCopyStatus("Couldn't copy - select the text to copy it instead");
+    }
+  };
+
+  const handleDownload = (format) => {
+    downloadFile(
+      formatCitationFile(citedItems, format.value),
+      getExportFilename([{ name: `${name} citations` }], format.extension),
+      format.type
+    );
+  };
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={handleToggle}
+        className="btn-action"
+        aria-expanded={isOpen}
+        disabled={items.length === 0}
+      >
+        {label}
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 p-4 bg-white border border-gray-300 rounded-lg text-gray-900">
+          {!citedItems ? (
+            <div className="flex items-center text-sm" role="status">
+              <div className="w-4 h-4 mr-2 border-2 border-gray-200 border-t-gray-600 rounded-full animate-spin"></div>
+              Looking up item details
+              {lookupProgress && ` (${lookupProgress.done} of ${lookupProgress.total})`}...
+            </div>
+          ) : (
+            <>
+              {/* Text styles */}
+              <div className="flex items-center gap-2 mb-2" role="tablist">
+                {CITATION_STYLES.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    role="tab"
+                    aria-selected={style === option.value}
+                    onClick={() => {
+                      setStyle(option.value);
+                      setCopyStatus("");
+                    }}
+                    className={`px-3 py-1 text-sm rounded-md ${
+                      style === option.value ? "bg-black text-white" : "bg-gray-100"
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <textarea
+                readOnly
+                value={citationText}
+                rows={Math.min(8, citedItems.length * 3)}
+                className="w-full p-2 text-sm border border-gray-300 rounded-md"
+                aria-label={`${style.toUpperCase()} citation`}
+                onFocus={(e) => e.target.select()}
+              />
+              <div className="flex flex-wrap items-center gap-3 mt-2 text-sm">
+                <button type="button" onClick={handleCopy} className="underline">
+                  Copy
+                </button>
+                {copyStatus && (
+                  <span className="text-gray-500" role="status">
+                    {copyStatus}
+                  </span>
+                )}
+
+                {/* Reference manager files */}
+                <span className="ml-auto text-gray-500">Download:</span>
+                {CITATION_FILE_FORMATS.map((format) => (
+                  <button
+                    key={format.value}
+                    type="button"
+                    onClick={() => handleDownload(format)}
+                    className="underline"
+                  >
+                    {format.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
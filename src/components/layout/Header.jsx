@@ -1,10 +1,36 @@
+import { useState, useRef, useEffect } from "react";
 import { Link } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
+import SearchHistoryPanel from "../search/SearchHistoryPanel";
 import userIcon from "../../assets/user-icon.svg";
 import collectionIcon from "../../assets/collection-icon.svg";
 
 export default function Header() {
   const { currentUser, isAuthenticated, logout } = useAuth();
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const historyRef = useRef(null);
+
+  // Close search history when clicking outside or pressing escape
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (historyRef.current && !historyRef.current.contains(event.target)) {
+        setIsHistoryOpen(false);
+      }
+    }
+
+    function handleEscape(event) {
+      if (event.key === "Escape") {
+        setIsHistoryOpen(false);
+      }
+    }
+
+    document.addEventListener("mousedown", handleClickOutside);
+    document.addEventListener("keydown", handleEscape);
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+      document.removeEventListener("keydown", handleEscape);
+    };
+  }, []);
 
   return (
     <header className="bg-main border-b py-3">
@@ -46,6 +72,55 @@ export default function Header() {
                   </span>
                 </Link>
 
+                {/* Search history */}
+                <div className="relative" ref={historyRef}>
+                  <button
+                    onClick={() => setIsHistoryOpen(!isHistoryOpen)}
+                    className="icon-circle"
+                    aria-label="Search history"
+                    aria-haspopup="dialog"
+                    aria-expanded={isHistoryOpen}
+                  >
+                    <span className="text-icon">
+                      <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        className="w-7 h-7"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                        aria-hidden="true"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+                        />
+                      </svg>
+                    </span>
+                  </button>
+
+                  {isHistoryOpen && (
+                    <div
+                      className="absolute right-0 mt-2 w-80 max-h-[70vh] overflow-y-auto bg-white border border-gray-300 rounded-lg shadow-lg p-4 z-50"
+                      role="dialog"
+                      aria-label="Search history"
+                    >
+                      <SearchHistoryPanel
+                        onNavigate={() => setIsHistoryOpen(false)}
+                        historyLimit={10}
+                      />
+                      <Link
+                        to={`/user/${currentUser.username}`}
+                        onClick={() => setIsHistoryOpen(false)}
+                        className="block mt-4 text-sm underline"
+                      >
+                        See all on your profile
+                      </Link>
+                    </div>
+                  )}
+                </div>
+
                 {/* User account icon */}
                 <Link
                   to={`/user/${currentUser.username}`}
@@ -2,12 +2,22 @@ import { useEffect, useRef, useState } from "react";
 
 /**
  * @param {Array} items - Items to render
- * @param {Function} renderItem - Function that renders each item
+ * @param {Function} renderItem - Function that renders each item - (item, index)
  * @param {number} minItemWidth - Minimum width for each item (default: 250px)
+ * @param {Function} onReorder - Optional (fromIndex, toIndex) callback - items can be dragged into place when set
+ * @param {string} label - Accessible name for the list
  */
-export default function MasonryGrid({ items, renderItem, minItemWidth = 250 }) {
+export default function MasonryGrid({
+  items,
+  renderItem,
+  minItemWidth = 250,
+  onReorder,
+  label = "Search results",
+}) {
   const containerRef = useRef(null);
   const [columns, setColumns] = useState(1);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
 
   useEffect(() => {
     const updateColumns = () => {
@@ -31,21 +41,63 @@ export default function MasonryGrid({ items, renderItem, minItemWidth = 250 }) {
 
   items.forEach((item, index) => {
     const columnIndex = index % columns;
-    columnItems[columnIndex].push(item);
+    columnItems[columnIndex].push({ item, index });
   });
 
+  const endDrag = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  // Drag handlers - dragstart bubbles up from images & links inside the card too
+  const getDragProps = (index) =>
+    onReorder
+      ? {
+          draggable: true,
+          onDragStart: (e) => {
+            e.dataTransfer.effectAllowed = "move";
+            e.dataTransfer.setData("text/plain", String(index));
+            setDragIndex(index);
+          },
+          onDragOver: (e) => {
+            if (dragIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+            setDropIndex(index);
+          },
+          onDrop: (e) => {
+            e.preventDefault();
+            if (dragIndex !== null && dragIndex !== index) {
+              onReorder(dragIndex, index);
+            }
+            endDrag();
+          },
+          onDragEnd: endDrag,
+        }
+      : {};
+
   return (
     <div
       ref={containerRef}
       className="flex gap-4"
       role="list"
-      aria-label="Search results"
+      aria-label={label}
     >
       {columnItems.map((columnData, columnIndex) => (
         <div key={columnIndex} className="flex-1 space-y-4">
-          {columnData.map((item) => (
-            <div key={item.id} role="listitem">
-              {renderItem(item)}
+          {/* IDs are only unique within a source, so key on source + ID */}
+          {columnData.map(({ item, index }) => (
+            <div
+              key={`${item.source}:${item.id}`}
+              role="listitem"
+              {...getDragProps(index)}
+              className={`${dragIndex === index ? "opacity-50" : ""} ${
+                dropIndex === index && dragIndex !== index
+                  ? "ring-2 ring-accent-primary rounded-lg"
+                  : ""
+              }`}
+            >
+              {renderItem(item, index)}
             </div>
           ))}
         </div>
@@ -1,12 +1,13 @@
 import CustomDropdown from "../common/CustomDropdown";
 /**
  * Date sorting component for search results
- * @param {string} sortOrder - Current sort order ('relevance', 'oldest', 'newest')
+ * @param {string} sortOrder - Current sort order ('relevance', 'best', 'oldest', 'newest')
  * @param {function} onSortChange - Callback when sort order changes
  */
 export default function DateSort({ sortOrder, onSortChange }) {
   const sortOptions = [
     { value: "relevance", label: "Relevance" },
+    { value: "best", label: "Best Match" },
     { value: "oldest", label: "Oldest First" },
     { value: "newest", label: "Newest First" },
   ];
@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { getSource } from "../../api/sourceRegistry";
+
+const COLLAPSED_VALUE_LIMIT = 8;
+
+/**
+ * Multi-select facet group, eg. Museum
+ * @param {string} label - Group label
+ * @param {object} counts - Count of results for each value
+ * @param {array} selectedValues - Currently selected values
+ * @param {function} onChange - Callback with the new selected values
+ * @param {function} getValueLabel - Optional display label for a value
+ */
+function FacetGroup({ label, counts, selectedValues, onChange, getValueLabel }) {
+  const [showAll, setShowAll] = useState(false);
+
+  // Selected values stay visible even when their count drops to 0
+  const values = [
+    ...new Set([
+      ...selectedValues,
+      ...Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b)),
+    ]),
+  ];
+
+  if (values.length === 0) return null;
+
+  const visibleValues = showAll ? values : values.slice(0, COLLAPSED_VALUE_LIMIT);
+
+  const toggleValue = (value) => {
+    onChange(
+      selectedValues.includes(value)
+        ? selectedValues.filter((selected) => selected !== value)
+        : [...selectedValues, value]
+    );
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-2">
+      <span className="text-body text-inverse mr-2">{label}:</span>
+
+      {visibleValues.map((value) => {
+        const isActive = selectedValues.includes(value);
+
+        return (
+          <button
+            key={value}
+            onClick={() => toggleValue(value)}
+            aria-pressed={isActive}
+            className={`px-2 py-1 text-sm rounded-full transition-colors ${
+              isActive
+                ? "bg-accent-primary text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-300"
+            }`}
+          >
+            {getValueLabel ? getValueLabel(value) : value} ({counts[value] || 0})
+          </button>
+        );
+      })}
+
+      {values.length > COLLAPSED_VALUE_LIMIT && (
+        <button
+          onClick={() => setShowAll((prev) => !prev)}
+          className="px-2 py-1 text-sm text-inverse underline"
+        >
+          {showAll ? "Show fewer" : `Show all ${values.length}`}
+        </button>
+      )}
+
+      {selectedValues.length > 0 && (
+        <button
+          onClick={() => onChange([])}
+          className="px-2 py-1 text-sm text-inverse underline"
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Source, museum, country & type facets
+ * @param {array} groups - Facet group definitions ({ key, label })
+ * @param {object} selectedFacets - Selected values per group key
+ * @param {function} onFacetsChange - Callback with the new facet selections
+ * @param {object} facetCounts - Counts per group key, then per value
+ */
+export default function FacetFilter({
+  groups,
+  selectedFacets,
+  onFacetsChange,
+  facetCounts,
+}) {
+  const handleGroupChange = (key, values) => {
+    onFacetsChange({ ...selectedFacets, [key]: values });
+  };
+
+  return (
+    <div className="mt-2">
+      {groups.map((group) => (
+        <FacetGroup
+          key={group.key}
+          label={group.label}
+          counts={facetCounts[group.key] || {}}
+          selectedValues={selectedFacets[group.key] || []}
+          onChange={(values) => handleGroupChange(group.key, values)}
+          getValueLabel={
+            group.key === "source"
+              ? (value) => getSource(value)?.label || value
+              : undefined
+          }
+        />
+      ))}
+    </div>
+  );
+}
@@ -1,24 +1,55 @@
 import DateSort from "./DateSort";
-import DateFilter from "./DateFilter";
+import YearRangeFilter from "./YearRangeFilter";
+import FacetFilter from "./FacetFilter";
+import { FACET_GROUPS } from "../../utils/facetUtils";
+
+const formatNewSince = (isoDate) =>
+  isoDate ? new Date(isoDate).toLocaleDateString() : "last run";
 
 /**
  * Main filtering menu
  * @param {object} filters - Current filter state
  * @param {function} onFiltersChange - Callback when any filter changes
- * @param {object} resultCounts - Counts for filter options
+ * @param {object} resultCounts - Counts for filter options ({ facets, facetedResults, yearExtent, newCount })
+ * @param {string} newSince - When a saved search's new items are new since (ISO date)
  */
-export default function FilterMenu({ filters, onFiltersChange, resultCounts }) {
+export default function FilterMenu({
+  filters,
+  onFiltersChange,
+  resultCounts,
+  newSince,
+}) {
   const handleSortChange = (sortOrder) => {
     onFiltersChange({ ...filters, sortOrder });
   };
 
-  const handleCenturyChange = (selectedCentury) => {
-    onFiltersChange({ ...filters, selectedCentury });
+  const handleYearRangeChange = (yearRange) => {
+    onFiltersChange({ ...filters, yearRange });
+  };
+
+  const handleFacetsChange = (facets) => {
+    onFiltersChange({ ...filters, facets });
+  };
+
+  const handleOnlyNewChange = (onlyNew) => {
+    onFiltersChange({ ...filters, onlyNew });
   };
 
   return (
     <div className="bg-main border rounded-lg p-4 mb-4">
       <div className="flex flex-col gap-1">
+        {/* Saved search alerts */}
+        {resultCounts.newCount > 0 && (
+          <label className="flex items-center gap-1 text-body text-inverse mb-2">
+            <input
+              type="checkbox"
+              checked={filters.onlyNew}
+              onChange={(e) => handleOnlyNewChange(e.target.checked)}
+            />
+            Show only new since {formatNewSince(newSince)} ({resultCounts.newCount})
+          </label>
+        )}
+
         {/* Sort Controls */}
         <div className="flex-shrink-0">
           <DateSort
@@ -29,14 +60,23 @@ export default function FilterMenu({ filters, onFiltersChange, resultCounts }) {
 
         {/* Date Filters */}
         <div className="flex-grow">
-          <DateFilter
-            selectedCentury={filters.selectedCentury}
-            onCenturyChange={handleCenturyChange}
-            resultCounts={resultCounts.centuries}
+          <YearRangeFilter
+            yearRange={filters.yearRange}
+            onYearRangeChange={handleYearRangeChange}
+            items={resultCounts.facetedResults || []}
+            extent={resultCounts.yearExtent}
           />
         </div>
 
-        {/* Future filters go here */}
+        {/* Source, museum, country & type facets */}
+        <div className="flex-grow">
+          <FacetFilter
+            groups={FACET_GROUPS}
+            selectedFacets={filters.facets}
+            onFacetsChange={handleFacetsChange}
+            facetCounts={resultCounts.facets || {}}
+          />
+        </div>
       </div>
     </div>
   );
@@ -2,12 +2,14 @@ import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import AddToCollectionButton from "../collections/AddToCollectionButton";
 import missingRecordImage from "../../assets/missing-image.png";
+import { getSource } from "../../api/sourceRegistry";
 
 /**
  * @param {Object} item - The item to display
  * @param {React.ReactNode} actionButtons - Optional additional action buttons
+ * @param {boolean} isNew - Badge the item as new since a saved search's last run
  */
-export default function ItemCard({ item, actionButtons }) {
+export default function ItemCard({ item, actionButtons, isNew = false }) {
   const [imageLoaded, setImageLoaded] = useState(false);
   const [currentImageSrc, setCurrentImageSrc] = useState(null);
   const [finalError, setFinalError] = useState(false);
@@ -17,6 +19,11 @@ export default function ItemCard({ item, actionButtons }) {
     navigate(`/item/${item.source}/${encodeURIComponent(item.id)}`);
   };
 
+  const handleAlternateClick = (e, alternate) => {
+    e.stopPropagation();
+    navigate(`/item/${alternate.source}/${encodeURIComponent(alternate.id)}`);
+  };
+
   const defaultImage = missingRecordImage;
 
   // Initialize image source when component mounts or item changes
@@ -111,8 +118,15 @@ export default function ItemCard({ item, actionButtons }) {
             onError={handleImageError}
           />
 
+          {/* New since saved search's last run */}
+          {isNew && (
+            <span className="absolute top-3 left-3 px-2 py-1 text-xs rounded-full bg-accent-primary text-white">
+              New
+            </span>
+          )}
+
           {/* Hover Overlay */}
-          <div className="absolute inset-0 bg-main/40 opacity-0 group-hover:opacity-100 transition-opacity duration-300 ease-out">
+          <div className="absolute inset-0 bg-main/40 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity duration-300 ease-out">
             {/* Add to Collection Button */}
             <div className="absolute top-3 right-3">
               <AddToCollectionButton item={item} />
@@ -140,6 +154,27 @@ export default function ItemCard({ item, actionButtons }) {
                   <span className="whitespace-nowrap">{item.dateCreated}</span>
                 )}
               </div>
+
+              {/* Same object merged from other sources */}
+              {item.alternateSources?.length > 0 && (
+                <div className="text-xs text-gray-300 mt-1 truncate">
+                  Also available from{" "}
+                  {item.alternateSources.map((alternate, index) => (
+                    <span key={`${alternate.source}:${alternate.id}`}>
+                      {index > 0 && ", "}
+                      <button
+                        type="button"
+                        className="underline hover:text-white"
+                        onClick={(e) => handleAlternateClick(e, alternate)}
+                        onKeyDown={(e) => e.stopPropagation()}
+                        title={alternate.museum}
+                      >
+                        {getSource(alternate.source)?.label || alternate.source}
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -1,8 +1,16 @@
 import { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { useSearch } from "../../context/SearchContext";
 
-export default function SearchBar({ initialValue = "" }) {
+/**
+ * Search input, with a link to the advanced search form
+ * @param {string} initialValue - Query to show in the input
+ * @param {object} advancedLink - { to, label } - eg. refining the current search from results
+ */
+export default function SearchBar({
+  initialValue = "",
+  advancedLink = { to: "/advanced-search", label: "Advanced search" },
+}) {
   const [inputValue, setInputValue] = useState(initialValue);
   const navigate = useNavigate();
   const { loading } = useSearch();
@@ -71,6 +79,14 @@ export default function SearchBar({ initialValue = "" }) {
           )}
         </button>
       </form>
+      <div className="text-right mt-1">
+        <Link
+          to={advancedLink.to}
+          className="text-sm text-gray-500 underline hover:text-accent-primary"
+        >
+          {advancedLink.label}
+        </Link>
+      </div>
     </div>
   );
 }
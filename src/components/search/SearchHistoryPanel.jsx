@@ -0,0 +1,193 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { useSearchHistory } from "../../context/SearchHistoryContext";
+
+// Re-running passes applyFilters, so SearchResultsPage takes the entry's filters even on the same query
+const getSearchLink = (search) => {
+  const params = new URLSearchParams(search.filters);
+  params.set("q", search.query);
+
+  return { to: `/search?${params}`, state: { applyFilters: true } };
+};
+
+const formatFilters = (filters) =>
+  [...new URLSearchParams(filters)].map(([key, value]) => `${key}: ${value}`).join(", ");
+
+const formatTimestamp = (isoDate) => {
+  if (!isoDate) return "";
+  const date = new Date(isoDate);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  })}`;
+};
+
+/**
+ * Name input shown in place of the Save button while pinning a history entry
+ */
+function SaveSearchForm({ entry, onSave, onCancel }) {
+  const [name, setName] = useState(entry.query);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(name);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-center gap-2 mt-1">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-accent-secondary"
+        aria-label="Saved search name"
+        autoFocus
+      />
+      <button type="submit" className="text-sm underline">
+        Save
+      </button>
+      <button type="button" className="text-sm underline" onClick={onCancel}>
+        Cancel
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Saved searches and search history, each re-run in one click
+ * @param {function} onNavigate - Optional callback when a search is re-run, eg. to close a dropdown
+ * @param {number} historyLimit - Optional number of history entries to show
+ */
+export default function SearchHistoryPanel({ onNavigate, historyLimit }) {
+  const {
+    history,
+    savedSearches,
+    removeHistoryEntry,
+    clearHistory,
+    saveSearch,
+    removeSavedSearch,
+  } = useSearchHistory();
+  const [savingEntryId, setSavingEntryId] = useState(null);
+
+  const visibleHistory = historyLimit ? history.slice(0, historyLimit) : history;
+
+  const handleSave = (entry, name) => {
+    saveSearch(name, entry);
+    setSavingEntryId(null);
+  };
+
+  return (
+    <div className="text-body">
+      {/* Saved Searches */}
+      <section className="mb-4">
+        <h3 className="text-subtitle text-lg mb-2">Saved searches</h3>
+        {savedSearches.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Save a search from your history to keep it here.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {savedSearches.map((search) => (
+              <li key={search.id} className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <Link
+                    {...getSearchLink(search)}
+                    onClick={onNavigate}
+                    className="block truncate hover:text-accent-primary"
+                  >
+                    {search.name}
+                    {/* New items found by the app-load check, not yet looked at */}
+                    {search.lastRun && !search.lastRun.viewed && search.lastRun.newItemKeys.length > 0 && (
+                      <span className="ml-2 px-2 text-xs rounded-full bg-accent-primary text-white">
+                        {search.lastRun.newItemKeys.length} new
+                      </span>
+                    )}
+                  </Link>
+                  <p className="text-xs text-gray-500 truncate">
+                    {[search.name !== search.query && `"${search.query}"`, formatFilters(search.filters)]
+                      .filter(Boolean)
+                      .join(" - ")}
+                  </p>
+                </div>
+                <button
+                  onClick={() => removeSavedSearch(search.id)}
+                  className="text-sm text-gray-500 hover:text-red-600"
+                  aria-label={`Delete saved search ${search.name}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {/* History */}
+      <section>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-subtitle text-lg">Recent searches</h3>
+          {history.length > 0 && (
+            <button onClick={clearHistory} className="text-sm underline">
+              Clear all
+            </button>
+          )}
+        </div>
+        {visibleHistory.length === 0 ? (
+          <p className="text-sm text-gray-500">No searches yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {visibleHistory.map((entry) => (
+              <li key={entry.id}>
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <Link
+                      {...getSearchLink(entry)}
+                      onClick={onNavigate}
+                      className="block truncate hover:text-accent-primary"
+                    >
+                      {entry.query}
+                    </Link>
+                    <p className="text-xs text-gray-500 truncate">
+                      {[
+                        `${entry.resultCount.toLocaleString()} ${
+                          entry.resultCount === 1 ? "result" : "results"
+                        }`,
+                        formatTimestamp(entry.timestamp),
+                        formatFilters(entry.filters),
+                      ]
+                        .filter(Boolean)
+                        .join(" - ")}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <button
+                      onClick={() => setSavingEntryId(entry.id)}
+                      className="text-sm underline"
+                      aria-label={`Save search ${entry.query}`}
+                    >
+                      Save
+                    </button>
+                    <button
+                      onClick={() => removeHistoryEntry(entry.id)}
+                      className="text-sm text-gray-500 hover:text-red-600"
+                      aria-label={`Delete ${entry.query} from history`}
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+                {savingEntryId === entry.id && (
+                  <SaveSearchForm
+                    entry={entry}
+                    onSave={(name) => handleSave(entry, name)}
+                    onCancel={() => setSavingEntryId(null)}
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
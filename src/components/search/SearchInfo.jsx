@@ -1,6 +1,56 @@
 import { useEffect, useState } from "react";
 
-export default function SearchInfo({ progress }) {
+const formatRevalidation = ({ added, removed }) => {
+  if (added === 0 && removed === 0) {
+    return "Results refreshed - nothing has changed";
+  }
+
+  const changes = [
+    added > 0 && `${added.toLocaleString()} new`,
+    removed > 0 && `${removed.toLocaleString()} no longer found`,
+  ].filter(Boolean);
+
+  return `Results refreshed: ${changes.join(", ")}`;
+};
+
+/**
+ * Stale-while-revalidate status - cached results that have expired, and what refreshing them changed
+ */
+function RevalidationStatus({ isStale, isRevalidating, revalidation }) {
+  if (!isStale && !isRevalidating && !revalidation) return null;
+
+  return (
+    <div className="bg-accent-primary p-2 mb-2 rounded-md" role="status">
+      <div className="flex items-center">
+        {isRevalidating && (
+          <div className="mr-3">
+            <div className="w-4 h-4 border-2 border-inverse border-t-main rounded-full animate-spin"></div>
+          </div>
+        )}
+        <div className="text-body text-inverse">
+          {revalidation && !isRevalidating
+            ? formatRevalidation(revalidation)
+            : isStale
+            ? "These cached results may be out of date - refreshing..."
+            : "Refreshing results..."}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} progress - Search progress from the fan-out
+ * @param {boolean} isStale - Results shown are expired cache entries
+ * @param {boolean} isRevalidating - A background refresh is running
+ * @param {Object} revalidation - What the last refresh changed - { added, removed }
+ */
+export default function SearchInfo({
+  progress,
+  isStale = false,
+  isRevalidating = false,
+  revalidation = null,
+}) {
   const [isVisible, setIsVisible] = useState(false);
   const [shouldHide, setShouldHide] = useState(false);
 
@@ -36,48 +86,59 @@ export default function SearchInfo({ progress }) {
     }
   }, [itemsFound]);
 
-  if (!progress || shouldHide || !isVisible) return null;
+  const status = (
+    <RevalidationStatus
+      isStale={isStale}
+      isRevalidating={isRevalidating}
+      revalidation={revalidation}
+    />
+  );
+
+  if (!progress || shouldHide || !isVisible) return status;
 
   return (
-    <div className="bg-accent-primary p-2 mb-2 rounded-md">
-      <div className="flex items-center justify-between">
-        {/* Status Message */}
-        <div className="flex items-center">
-          {/* Small loading spinner */}
-          {isFetchingMore && (
-            <div className="mr-3">
-              <div className="w-4 h-4 border-2 border-inverse border-t-main rounded-full animate-spin"></div>
-            </div>
-          )}
-
-          <div>
-            {/* Main status text */}
-            <div className="text-body text-inverse">
-              {isComplete ? (
-                <>
-                  Search complete:{"text-main"}
-                  <span className="">{itemsFound.toLocaleString()}</span>{" "}
-                  results found
-                </>
-              ) : (
-                <>
-                  Found{" "}
-                  <span className="text-bold">
-                    {itemsFound.toLocaleString()}
-                  </span>{" "}
-                  items, fetching more (may take a while)...
-                </>
-              )}
-            </div>
-            {/* Subtitle with total available */}
-            {/* {totalResults > itemsFound && (
+    <>
+      {status}
+      <div className="bg-accent-primary p-2 mb-2 rounded-md">
+        <div className="flex items-center justify-between">
+          {/* Status Message */}
+          <div className="flex items-center">
+            {/* Small loading spinner */}
+            {isFetchingMore && (
+              <div className="mr-3">
+                <div className="w-4 h-4 border-2 border-inverse border-t-main rounded-full animate-spin"></div>
+              </div>
+            )}
+
+            <div>
+              {/* Main status text */}
               <div className="text-body text-inverse">
-                From {totalResults.toLocaleString()} archvie items
+                {isComplete ? (
+                  <>
+                    Search complete:{"text-main"}
+                    <span className="">{itemsFound.toLocaleString()}</span>{" "}
+                    results found
+                  </>
+                ) : (
+                  <>
+                    Found{" "}
+                    <span className="text-bold">
+                      {itemsFound.toLocaleString()}
+                    </span>{" "}
+                    items, fetching more (may take a while)...
+                  </>
+                )}
               </div>
-            )} */}
+              {/* Subtitle with total available */}
+              {/* {totalResults > itemsFound && (
+                <div className="text-body text-inverse">
+                  From {totalResults.toLocaleString()} archvie items
+                </div>
+              )} */}
+            </div>
           </div>
         </div>
       </div>
-    </div>
+    </>
   );
 }
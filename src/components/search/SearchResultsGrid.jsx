@@ -4,35 +4,49 @@ import Pagination from "./Pagination";
 import { useSearch } from "../../context/SearchContext";
 import MasonryGrid from "../layout/MasonryGrid";
 import { useAutoAnimate } from "../../utils/useAutoAnimate";
+import { isNewItem } from "../../utils/searchAlerts";
 
-const CacheIndicator = ({ itemCount, onRefresh }) => (
+const CacheIndicator = ({ itemCount, onRefresh, isRefreshing }) => (
   <div className="flex justify-between items-center mb-3 py-1 px-2 bg-accent-primary rounded">
     <span className="text-body text-inverse">
       Showing cached results ({itemCount} {itemCount === 1 ? "item" : "items"})
     </span>
     <button
       onClick={onRefresh}
-      className="btn-base text-sm text-inverse py-1 px-3 bg-main hover:bg-inverse hover:text-main"
+      disabled={isRefreshing}
+      className="btn-base text-sm text-inverse py-1 px-3 bg-main hover:bg-inverse hover:text-main disabled:opacity-50"
       aria-label="Refresh search results"
     >
-      Refresh
+      {isRefreshing ? "Refreshing..." : "Refresh"}
     </button>
   </div>
 );
 
 /**
  * @param {Array} results - Pre-filtered and sorted results to display - any sorting/filtering orchestrated in the parent component
+ * @param {Set} newItemKeys - Optional keys of items new since a saved search's last run, badged as new
  */
-export default function SearchResultsGrid({ results = [] }) {
+export default function SearchResultsGrid({ results = [], newItemKeys = new Set() }) {
   const [animateRef] = useAutoAnimate();
 
-  const { isFromCache, page, changePage, refreshSearch, pageSize, allResults } =
-    useSearch();
+  const {
+    isFromCache,
+    isRevalidating,
+    page,
+    changePage,
+    refreshSearch,
+    pageSize,
+    allResults,
+    isServerPaged,
+    itemCount,
+    totalPages,
+  } = useSearch();
 
-  const totalFilteredPages = Math.ceil(results.length / pageSize);
+  // Server-paged results are already one page - filters only apply within it
+  const totalFilteredPages = isServerPaged ? totalPages : Math.ceil(results.length / pageSize);
   const startIdx = (page - 1) * pageSize;
   const endIdx = startIdx + pageSize;
-  const paginatedResults = results.slice(startIdx, endIdx);
+  const paginatedResults = isServerPaged ? results : results.slice(startIdx, endIdx);
 
   const validPage = page > totalFilteredPages ? 1 : page;
 
@@ -49,12 +63,13 @@ export default function SearchResultsGrid({ results = [] }) {
         <CacheIndicator
           itemCount={allResults?.length || 0}
           onRefresh={refreshSearch}
+          isRefreshing={isRevalidating}
         />
       )}
 
       {/* Results count */}
       <div className="mb-4 text-sm text-gray-600">
-        Showing {paginatedResults.length} of {results.length} results
+        Showing {paginatedResults.length} of {isServerPaged ? itemCount : results.length} results
         {results.length !== allResults?.length && (
           <span className="text-gray-500">
             {" "}
@@ -67,7 +82,9 @@ export default function SearchResultsGrid({ results = [] }) {
       <div ref={animateRef}>
         <MasonryGrid
           items={paginatedResults}
-          renderItem={(item) => <ItemCard item={item} />}
+          renderItem={(item) => (
+            <ItemCard item={item} isNew={isNewItem(item, newItemKeys)} />
+          )}
           minItemWidth={250}
         />
       </div>
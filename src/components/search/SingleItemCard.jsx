@@ -3,6 +3,7 @@ import AddToCollectionButton from "../collections/AddToCollectionButton";
 import ImageZoomModal from "../common/ImageZoomModal";
 import BrokenImage from "../common/BrokenImage";
 import RecordUnavailable from "../common/RecordUnavailable";
+import CitationPanel from "../common/CitationPanel";
 import missingRecordImage from "../../assets/missing-image.png";
 
 /**
@@ -304,6 +305,11 @@ export default function SingleItemCard({ item, isLoading, error }) {
               </div>
             </section>
 
+            {/* Citation */}
+            <section className="mb-12">
+              <CitationPanel items={[item]} name={item.title} label="Cite this object" />
+            </section>
+
             {/* External Link */}
             {item.url && (
               <div>
@@ -0,0 +1,194 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  calculateYearHistogram,
+  formatDisplayDate,
+} from "../../utils/dateUtils";
+
+// Wait for the handle to settle before filtering thousands of results
+const COMMIT_DELAY_MS = 250;
+
+const formatBinLabel = (bin, binSize) =>
+  binSize === 10
+    ? `${formatDisplayDate(bin.start)}s`
+    : `${formatDisplayDate(bin.start)} – ${formatDisplayDate(bin.end)}`;
+
+// Empty input = open bound; negative numbers are BCE
+const parseYearInput = (value) => {
+  if (value === "" || value === "-") return null;
+  const year = parseInt(value, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+/**
+ * Dual-handle year range filter with a result density histogram
+ * @param {object} yearRange - { from, to, includeUndated } - null bounds are open
+ * @param {function} onYearRangeChange - Callback with the new year range
+ * @param {array} items - Results the histogram is built from (already filtered by other facets)
+ * @param {object} extent - { min, max } year extent of all results, or null if none are dated
+ */
+export default function YearRangeFilter({
+  yearRange,
+  onYearRangeChange,
+  items,
+  extent,
+}) {
+  const [draft, setDraft] = useState(yearRange);
+  // Typed years are applied on blur / Enter, so partial input isn't clamped mid-typing
+  const [fromText, setFromText] = useState("");
+  const [toText, setToText] = useState("");
+  // Parent re-renders as results stream in - keep the pending commit timer alive across them
+  const onChangeRef = useRef(onYearRangeChange);
+  onChangeRef.current = onYearRangeChange;
+
+  useEffect(() => {
+    setDraft(yearRange);
+  }, [yearRange]);
+
+  useEffect(() => {
+    setFromText(draft.from ?? "");
+    setToText(draft.to ?? "");
+  }, [draft.from, draft.to]);
+
+  // Commit slider / input changes once they stop moving
+  useEffect(() => {
+    if (
+      draft.from === yearRange.from &&
+      draft.to === yearRange.to &&
+      draft.includeUndated === yearRange.includeUndated
+    ) {
+      return;
+    }
+
+    const timer = setTimeout(() => onChangeRef.current(draft), COMMIT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draft, yearRange]);
+
+  // Histogram zooms to the selected range - decades when narrow, centuries when wide
+  const histogram = useMemo(
+    () => calculateYearHistogram(items, { from: draft.from, to: draft.to }),
+    [items, draft.from, draft.to]
+  );
+
+  if (!extent) return null;
+
+  const sliderFrom = Math.max(draft.from ?? extent.min, extent.min);
+  const sliderTo = Math.min(draft.to ?? extent.max, extent.max);
+  const maxCount = Math.max(1, ...histogram.bins.map((bin) => bin.count));
+  const isActive =
+    yearRange.from !== null || yearRange.to !== null || !yearRange.includeUndated;
+
+  // Handles at the very ends mean "no bound", so new results outside the extent still show
+  const setFrom = (year) =>
+    setDraft((prev) => ({
+      ...prev,
+      from: year === null || year <= extent.min ? null : Math.min(year, prev.to ?? year),
+    }));
+
+  const setTo = (year) =>
+    setDraft((prev) => ({
+      ...prev,
+      to: year === null || year >= extent.max ? null : Math.max(year, prev.from ?? year),
+    }));
+
+  return (
+    <div className="mb-2">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span className="text-subtitle text-xl text-inverse mr-2">
+          Filter by:
+        </span>
+
+        <label className="text-body text-inverse">
+          From
+          <input
+            type="number"
+            value={fromText}
+            placeholder={formatDisplayDate(extent.min)}
+            onChange={(e) => setFromText(e.target.value)}
+            onBlur={() => setFrom(parseYearInput(String(fromText)))}
+            onKeyDown={(e) => e.key === "Enter" && setFrom(parseYearInput(String(fromText)))}
+            className="ml-2 w-24 px-2 py-1 text-sm rounded text-gray-700"
+            aria-label="From year (negative for BCE)"
+          />
+        </label>
+
+        <label className="text-body text-inverse">
+          To
+          <input
+            type="number"
+            value={toText}
+            placeholder={formatDisplayDate(extent.max)}
+            onChange={(e) => setToText(e.target.value)}
+            onBlur={() => setTo(parseYearInput(String(toText)))}
+            onKeyDown={(e) => e.key === "Enter" && setTo(parseYearInput(String(toText)))}
+            className="ml-2 w-24 px-2 py-1 text-sm rounded text-gray-700"
+            aria-label="To year (negative for BCE)"
+          />
+        </label>
+
+        <label className="flex items-center gap-1 text-body text-inverse">
+          <input
+            type="checkbox"
+            checked={draft.includeUndated}
+            onChange={(e) =>
+              setDraft((prev) => ({ ...prev, includeUndated: e.target.checked }))
+            }
+          />
+          Include undated ({histogram.undatedCount})
+        </label>
+
+        {isActive && (
+          <button
+            onClick={() => onYearRangeChange({ from: null, to: null, includeUndated: true })}
+            className="px-2 py-1 text-sm text-inverse underline"
+          >
+            Reset dates
+          </button>
+        )}
+      </div>
+
+      {/* Histogram of result density */}
+      <div className="flex items-end gap-px h-16" aria-hidden="true">
+        {histogram.bins.map((bin) => (
+          <div
+            key={bin.start}
+            className="flex-1 bg-accent-primary min-h-px"
+            style={{ height: `${(bin.count / maxCount) * 100}%` }}
+            title={`${formatBinLabel(bin, histogram.binSize)}: ${bin.count}`}
+          />
+        ))}
+      </div>
+
+      {/* Dual-handle slider - two overlaid range inputs */}
+      <div className="relative h-6">
+        <input
+          type="range"
+          min={extent.min}
+          max={extent.max}
+          value={sliderFrom}
+          onChange={(e) => setFrom(Number(e.target.value))}
+          className="year-range-thumb absolute inset-x-0 w-full pointer-events-none appearance-none bg-transparent"
+          aria-label="Earliest year"
+          aria-valuetext={formatDisplayDate(sliderFrom)}
+        />
+        <input
+          type="range"
+          min={extent.min}
+          max={extent.max}
+          value={sliderTo}
+          onChange={(e) => setTo(Number(e.target.value))}
+          className="year-range-thumb absolute inset-x-0 w-full pointer-events-none appearance-none bg-transparent"
+          aria-label="Latest year"
+          aria-valuetext={formatDisplayDate(sliderTo)}
+        />
+      </div>
+
+      <div className="flex justify-between text-sm text-inverse">
+        <span>{formatDisplayDate(sliderFrom)}</span>
+        <span>
+          {histogram.binSize === 10 ? "By decade" : "By century"}
+        </span>
+        <span>{formatDisplayDate(sliderTo)}</span>
+      </div>
+    </div>
+  );
+}
@@ -4,8 +4,19 @@ import {
   useState,
   useCallback,
   useEffect,
+  useRef,
 } from "react";
 import CollectionModal from "../components/collections/CollectionModal";
+import WarningMessage from "../components/common/WarningMessage";
+import { mergeCollections, touchCollection } from "../utils/collectionsSync";
+import {
+  COLLECTIONS_STORAGE_KEY,
+  createCollectionItem,
+  getCollectionItemKey,
+  loadCollections,
+  quarantineEntries,
+  serializeCollections,
+} from "../utils/collectionsStorage";
 
 const CollectionsContext = createContext();
 
@@ -24,6 +35,16 @@ export function CollectionsProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [pendingItem, setPendingItem] = useState(null);
+  // Edits from another tab that couldn't be merged automatically
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  // Corrupt collections or items set aside on load
+  const [quarantinedEntries, setQuarantinedEntries] = useState([]);
+
+  // Cross-tab sync - the localStorage value this tab last read or wrote, and its collections,
+  // are the base when merging another tab's changes
+  const syncedRef = useRef({ raw: null, collections: [] });
+  const collectionsRef = useRef(collections);
+  collectionsRef.current = collections;
 
   // Modal popup
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -31,9 +52,18 @@ export function CollectionsProvider({ children }) {
 
   useEffect(() => {
     try {
-      const savedCollections = localStorage.getItem("collections");
+      const savedCollections = localStorage.getItem(COLLECTIONS_STORAGE_KEY);
       if (savedCollections) {
-        const parsedCollections = JSON.parse(savedCollections);
+        const { collections: loadedCollections, quarantined } =
+          loadCollections(savedCollections);
+        const parsedCollections = loadedCollections || [];
+
+        if (quarantined.length > 0) {
+          quarantineEntries(quarantined);
+          setQuarantinedEntries(quarantined);
+        }
+
+        syncedRef.current = { raw: savedCollections, collections: parsedCollections };
         setCollections(parsedCollections);
 
         if (parsedCollections.length > 0) {
@@ -56,10 +86,52 @@ export function CollectionsProvider({ children }) {
     }
   }, []);
 
+  /**
+   * Merge collections saved by another tab into this tab's
+   * @param {string} raw - The stored localStorage value
+   * @returns {boolean} Whether they were merged - false when unreadable, so this tab's are kept
+   */
+  const syncWithStored = useCallback((raw) => {
+    const { collections: storedCollections } = loadCollections(raw);
+    if (!storedCollections) {
+      console.error("Couldn't read collections saved by another tab");
+      syncedRef.current = { ...syncedRef.current, raw };
+      return false;
+    }
+
+    const { collections: merged, conflicts } = mergeCollections(
+      syncedRef.current.collections,
+      collectionsRef.current,
+      storedCollections
+    );
+
+    syncedRef.current = { raw, collections: storedCollections };
+    setCollections(merged);
+    setActiveCollection((prev) =>
+      prev ? merged.find((c) => c.id === prev.id) || merged[0] || null : prev
+    );
+
+    if (conflicts.length > 0) {
+      setSyncConflicts((prev) => [...prev, ...conflicts]);
+    }
+    return true;
+  }, []);
+
   useEffect(() => {
+    if (loading) return;
+
     try {
-      if (collections.length > 0) {
-        localStorage.setItem("collections", JSON.stringify(collections));
+      const storedRaw = localStorage.getItem(COLLECTIONS_STORAGE_KEY);
+
+      // Another tab saved since this one last synced - merge first rather than overwrite its changes
+      if (storedRaw !== syncedRef.current.raw && syncWithStored(storedRaw)) {
+        return;
+      }
+
+      const raw = serializeCollections(collections);
+      if (raw !== storedRaw) {
+        localStorage.setItem(COLLECTIONS_STORAGE_KEY, raw);
+        syncedRef.current = { raw, collections };
       }
 
       if (activeCollection) {
@@ -68,7 +140,28 @@ export function CollectionsProvider({ children }) {
     } catch (err) {
       console.error("Error saving collections to localStorage:", err);
     }
-  }, [collections, activeCollection]);
+  }, [collections, activeCollection, loading, syncWithStored]);
+
+  // Changes saved by other tabs
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== COLLECTIONS_STORAGE_KEY || e.newValue === syncedRef.current.raw) {
+        return;
+      }
+      syncWithStored(e.newValue);
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [syncWithStored]);
+
+  const dismissSyncConflicts = useCallback(() => {
+    setSyncConflicts([]);
+  }, []);
+
+  const dismissQuarantinedEntries = useCallback(() => {
+    setQuarantinedEntries([]);
+  }, []);
 
   // Modal methods
   const openCreateModal = useCallback((item = null) => {
@@ -103,28 +196,13 @@ export function CollectionsProvider({ children }) {
         name: name.trim(),
         description: description.trim(),
         items: [],
+        version: 1,
         dateCreated: new Date().toISOString(),
         dateModified: new Date().toISOString(),
       };
 
       if (pendingItem && pendingItem.id) {
-        const cleanItem = {
-          id: pendingItem.id,
-          title: pendingItem.title,
-          description: pendingItem.description,
-          media: {
-            thumbnail: pendingItem.media?.thumbnail,
-            primaryImage: pendingItem.media?.primaryImage,
-            fullImage: pendingItem.media?.fullImage,
-          },
-          museum: pendingItem.museum,
-          source: pendingItem.source,
-          dateCreated: pendingItem.dateCreated,
-          url: pendingItem.url,
-          dateAdded: new Date().toISOString(),
-        };
-
-        newCollection.items = [cleanItem];
+        newCollection.items = [createCollectionItem(pendingItem)];
       }
       setCollections((prev) => [...prev, newCollection]);
       setActiveCollection(newCollection);
@@ -141,11 +219,7 @@ export function CollectionsProvider({ children }) {
         const index = prev.findIndex((c) => c.id === collectionId);
         if (index === -1) return prev;
 
-        const updatedCollection = {
-          ...prev[index],
-          ...updates,
-          dateModified: new Date().toISOString(),
-        };
+        const updatedCollection = touchCollection(prev[index], updates);
 
         const newCollections = [...prev];
         newCollections[index] = updatedCollection;
@@ -191,34 +265,15 @@ export function CollectionsProvider({ children }) {
         const index = prev.findIndex((c) => c.id === collectionId);
         if (index === -1) return prev;
 
+        const itemKey = getCollectionItemKey(item);
         const itemExists = prev[index].items.some(
-          (existingItem) => existingItem.id === item.id
+          (existingItem) => getCollectionItemKey(existingItem) === itemKey
         );
         if (itemExists) return prev;
 
-        const cleanItem = {
-          id: item.id,
-          title: item.title,
-          description: item.description,
-          media: {
-            thumbnail: item.media?.thumbnail,
-            primaryImage: item.media?.primaryImage,
-            fullImage: item.media?.fullImage,
-          },
-          museum: item.museum,
-          source: item.source,
-          dateCreated: item.dateCreated,
-          filterDate: item.filterDate,
-          century: item.century,
-          url: item.url,
-          dateAdded: new Date().toISOString(),
-        };
-
-        const updatedCollection = {
-          ...prev[index],
-          items: [...prev[index].items, cleanItem],
-          dateModified: new Date().toISOString(),
-        };
+        const updatedCollection = touchCollection(prev[index], {
+          items: [...prev[index].items, createCollectionItem(item)],
+        });
 
         const newCollections = [...prev];
         newCollections[index] = updatedCollection;
@@ -236,19 +291,56 @@ export function CollectionsProvider({ children }) {
   /**
    * Remove an item from a collection
    * @param {string} collectionId - ID of collection to remove item from
-   * @param {string} itemId - ID of item to remove
+   * @param {Object} item - Item to remove - matched on its source & ID
    */
   const removeItemFromCollection = useCallback(
-    (collectionId, itemId) => {
+    (collectionId, item) => {
+      const itemKey = getCollectionItemKey(item);
+
       setCollections((prev) => {
         const index = prev.findIndex((c) => c.id === collectionId);
         if (index === -1) return prev;
 
-        const updatedCollection = {
-          ...prev[index],
-          items: prev[index].items.filter((item) => item.id !== itemId),
-          dateModified: new Date().toISOString(),
-        };
+        const updatedCollection = touchCollection(prev[index], {
+          items: prev[index].items.filter(
+            (existingItem) => getCollectionItemKey(existingItem) !== itemKey
+          ),
+        });
+
+        const newCollections = [...prev];
+        newCollections[index] = updatedCollection;
+
+        if (activeCollection?.id === collectionId) {
+          setActiveCollection(updatedCollection);
+        }
+
+        return newCollections;
+      });
+    },
+    [activeCollection]
+  );
+
+  /**
+   * Arrange a collection's items by hand - kept as each item's order, and shown by the "Custom order" sort
+   * @param {string} collectionId - ID of the collection
+   * @param {Array} itemKeys - Item keys (getCollectionItemKey) in their new order - items left out
+   *   (eg. added in another tab) go last
+   */
+  const reorderCollectionItems = useCallback(
+    (collectionId, itemKeys) => {
+      const positions = new Map(itemKeys.map((key, index) => [key, index]));
+
+      setCollections((prev) => {
+        const index = prev.findIndex((c) => c.id === collectionId);
+        if (index === -1) return prev;
+
+        const updatedCollection = touchCollection(prev[index], {
+          items: prev[index].items.map((item) => ({
+            ...item,
+            order: positions.get(getCollectionItemKey(item)) ?? itemKeys.length,
+          })),
+          customOrder: true,
+        });
 
         const newCollections = [...prev];
         newCollections[index] = updatedCollection;
@@ -263,29 +355,100 @@ export function CollectionsProvider({ children }) {
     [activeCollection]
   );
 
+  /**
+   * Add a collection from an import file
+   * @param {Object} imported - Imported collection - its items are kept as imported
+   * @param {string} mergeIntoId - Optional ID of an existing collection to add its items to instead
+   */
+  const importCollection = useCallback(
+    (imported, mergeIntoId = null) => {
+      const now = new Date().toISOString();
+      // Items already in the collection (or repeated in the file) aren't added twice
+      // Merged items drop their order from the exported collection, so they follow this one's custom
+      // order as newly added items do
+      const appendNewItems = (existingItems, items, { dropOrder = false } = {}) => {
+        const seenKeys = new Set(existingItems.map(getCollectionItemKey));
+        return [
+          ...existingItems,
+          ...items
+            .filter((item) => {
+              const key = getCollectionItemKey(item);
+              const isNew = !seenKeys.has(key);
+              seenKeys.add(key);
+              return isNew;
+            })
+            .map((item) => {
+              const newItem = { ...item, dateAdded: item.dateAdded || now };
+              if (dropOrder) delete newItem.order;
+              return newItem;
+            }),
+        ];
+      };
+
+      setCollections((prev) => {
+        if (mergeIntoId) {
+          const index = prev.findIndex((c) => c.id === mergeIntoId);
+          if (index === -1) return prev;
+
+          const updatedCollection = touchCollection(prev[index], {
+            items: appendNewItems(prev[index].items, imported.items, { dropOrder: true }),
+          });
+
+          const newCollections = [...prev];
+          newCollections[index] = updatedCollection;
+
+          if (activeCollection?.id === mergeIntoId) {
+            setActiveCollection(updatedCollection);
+          }
+
+          return newCollections;
+        }
+
+        const isIdTaken = !imported.id || prev.some((c) => c.id === imported.id);
+        const newCollection = {
+          ...imported,
+          id: isIdTaken ? `collection-${Date.now()}-${prev.length}` : imported.id,
+          name: imported.name.trim() || "Imported collection",
+          description: imported.description || "",
+          items: appendNewItems([], imported.items),
+          version: 1,
+          dateCreated: imported.dateCreated || now,
+          dateModified: now,
+        };
+
+        return [...prev, newCollection];
+      });
+    },
+    [activeCollection]
+  );
+
+  // Lookups take the item itself, as its ID alone can match another source's item
   const itemExistsInCollection = useCallback(
-    (collectionId, itemId) => {
+    (collectionId, item) => {
       const collection = collections.find((c) => c.id === collectionId);
       if (!collection) return false;
 
-      return collection.items.some((item) => item.id === itemId);
+      const itemKey = getCollectionItemKey(item);
+      return collection.items.some((existingItem) => getCollectionItemKey(existingItem) === itemKey);
     },
     [collections]
   );
 
   const itemExistsInAnyCollection = useCallback(
-    (itemId) => {
+    (item) => {
+      const itemKey = getCollectionItemKey(item);
       return collections.some((collection) =>
-        collection.items.some((item) => item.id === itemId)
+        collection.items.some((existingItem) => getCollectionItemKey(existingItem) === itemKey)
       );
     },
     [collections]
   );
 
   const getCollectionsWithItem = useCallback(
-    (itemId) => {
+    (item) => {
+      const itemKey = getCollectionItemKey(item);
       return collections.filter((collection) =>
-        collection.items.some((item) => item.id === itemId)
+        collection.items.some((existingItem) => getCollectionItemKey(existingItem) === itemKey)
       );
     },
     [collections]
@@ -303,9 +466,15 @@ export function CollectionsProvider({ children }) {
     deleteCollection,
     addItemToCollection,
     removeItemFromCollection,
+    reorderCollectionItems,
+    importCollection,
     itemExistsInCollection,
     itemExistsInAnyCollection,
     getCollectionsWithItem,
+    syncConflicts,
+    dismissSyncConflicts,
+    quarantinedEntries,
+    dismissQuarantinedEntries,
     isModalOpen,
     editingCollection,
     pendingItem,
@@ -322,6 +491,15 @@ export function CollectionsProvider({ children }) {
         isOpen={isModalOpen}
         onClose={closeModal}
       />
+      {syncConflicts.length > 0 && (
+        <div className="fixed bottom-4 right-4 z-50 max-w-md">
+          <WarningMessage
+            warnings={syncConflicts}
+            title="Collections changed in another tab"
+            onDismiss={dismissSyncConflicts}
+          />
+        </div>
+      )}
     </CollectionsContext.Provider>
   );
 }
@@ -5,6 +5,7 @@ import {
   useCallback,
   useRef,
   useEffect,
+  useMemo,
 } from "react";
 import { useNavigate } from "react-router-dom";
 
@@ -12,13 +13,43 @@ import axios from "axios";
 import {
   searchItems,
   searchAllSources,
+  searchAllSourcesComplete,
+  searchAllSourcesPaged,
+  streamAllSources,
+  getCachedUnifiedResults,
+  getUnifiedQueryWarnings,
   getItemDetails,
 } from "../api/museumService";
 import searchResultsManager from "../utils/searchResultsManager";
+import { deduplicateResults } from "../utils/resultsDeduplication";
+import { mergeResults } from "../utils/resultsMerging";
 import { resultsConfig } from "../api/config";
 
 const SearchContext = createContext();
 
+const getResultKey = (item) => `${item.source}:${item.id}`;
+
+/**
+ * Merge a background refresh into the results already shown - items still returned keep their
+ * place (with fresh data), new ones are appended and ones no longer returned are dropped
+ * @returns {Object} { items, added, removed }
+ */
+const mergeRevalidatedResults = (currentItems, freshItems) => {
+  const freshByKey = new Map(freshItems.map((item) => [getResultKey(item), item]));
+  const currentKeys = new Set(currentItems.map(getResultKey));
+
+  const kept = currentItems
+    .filter((item) => freshByKey.has(getResultKey(item)))
+    .map((item) => freshByKey.get(getResultKey(item)));
+  const added = freshItems.filter((item) => !currentKeys.has(getResultKey(item)));
+
+  return {
+    items: [...kept, ...added],
+    added: added.length,
+    removed: currentItems.length - kept.length,
+  };
+};
+
 export function useSearch() {
   const context = useContext(SearchContext);
   if (!context) {
@@ -35,7 +66,21 @@ export function SearchProvider({ children }) {
   const [warnings, setWarnings] = useState([]);
   const [totalResults, setTotalResults] = useState(0);
   const [isFromCache, setIsFromCache] = useState(false);
+  // Stale-while-revalidate - expired cached results are shown while a fresh search runs behind them
+  const [isStale, setIsStale] = useState(false);
+  const [isRevalidating, setIsRevalidating] = useState(false);
+  // Outcome of the last refresh - { added, removed }
+  const [revalidation, setRevalidation] = useState(null);
   const [progress, setProgress] = useState(null);
+  // Last search fetched fresh from every source - { query, completedAt } - cached results don't count
+  const [completedSearch, setCompletedSearch] = useState(null);
+  // "browser" fans out from this tab, "stream" consumes the server-side SSE search,
+  // "server" fetches one page at a time from the server-side search
+  const [searchMode, setSearchMode] = useState(resultsConfig.searchMode);
+  // Server search mode - { totalPages, itemCount } of the whole result set, as only one page is held
+  const [serverPaging, setServerPaging] = useState(null);
+  // How results from different sources are ordered - "interleave", "score" or "concatenate"
+  const [mergeStrategy, setMergeStrategy] = useState(resultsConfig.mergeStrategy);
 
   const [page, setPage] = useState(1);
   const [pageSize] = useState(resultsConfig.defaultPageSize);
@@ -48,6 +93,11 @@ export function SearchProvider({ children }) {
   const searchCancelTokenRef = useRef(null);
   const itemDetailsCache = useRef(new Map());
   const backgroundPromiseRef = useRef(null);
+  // Server search mode - { query, page } last requested, so a page is only fetched once
+  const serverPageRef = useRef(null);
+  // Refreshes merge into whatever is on screen when they finish
+  const resultsRef = useRef(results);
+  resultsRef.current = results;
 
   const navigate = useNavigate();
 
@@ -128,10 +178,13 @@ export function SearchProvider({ children }) {
       ) {
         setLoading(false);
 
+        // IDs are only unique within a source, so key on source + ID
         setResults((prevResults) => {
-          const existingIds = new Set(prevResults.map((item) => item.id));
+          const existingKeys = new Set(
+            prevResults.map((item) => `${item.source}:${item.id}`)
+          );
           const newItems = progressData.currentResults.filter(
-            (item) => !existingIds.has(item.id)
+            (item) => !existingKeys.has(`${item.source}:${item.id}`)
           );
 
           if (newItems.length > 0) {
@@ -146,8 +199,121 @@ export function SearchProvider({ children }) {
     [query]
   );
 
+  /**
+   * Fetch a search fresh from every source behind the results shown, then merge it in
+   * without resetting the page
+   * @param {string} searchQuery - Search term
+   * @param {Object} cancelToken - The search's token - a newer search abandons the refresh
+   */
+  const revalidateSearch = useCallback(
+    async (searchQuery, cancelToken) => {
+      setIsRevalidating(true);
+      setRevalidation(null);
+
+      try {
+        const result =
+          searchMode === "stream"
+            ? await streamAllSources(searchQuery, null, cancelToken)
+            : await searchAllSourcesComplete(searchQuery);
+
+        if (cancelToken.reason || result.error?.type === "cancelled") {
+          return;
+        }
+
+        if (!result.success) {
+          setWarnings((prev) => [
+            ...prev,
+            "Couldn't refresh these results - showing the cached ones",
+          ]);
+          return;
+        }
+
+        const merged = mergeRevalidatedResults(resultsRef.current, result.data.items || []);
+
+        setResults(merged.items);
+        setTotalResults(result.data.total || 0);
+        setWarnings((result.data.errors || []).map((err) => err.error.message));
+        setRevalidation({ added: merged.added, removed: merged.removed });
+        setIsStale(false);
+        setIsFromCache(false);
+        setCompletedSearch({
+          query: searchQuery,
+          completedAt: new Date().toISOString(),
+        });
+      } catch (error) {
+        if (axios.isCancel(error)) {
+          return;
+        }
+        console.error("Refreshing search failed:", error);
+        setWarnings((prev) => [
+          ...prev,
+          "Couldn't refresh these results - showing the cached ones",
+        ]);
+      } finally {
+        if (!cancelToken.reason) {
+          setIsRevalidating(false);
+        }
+      }
+    },
+    [searchMode]
+  );
+
+  /**
+   * Server search mode - fetch one page of merged results from the server-side search
+   * The server caches the merged results, so changing page doesn't re-run the search
+   * @param {string} searchQuery - Search term
+   * @param {number} pageNumber - 1-based page to show
+   */
+  const fetchServerPage = useCallback(
+    async (searchQuery, pageNumber) => {
+      if (searchCancelTokenRef.current) {
+        searchCancelTokenRef.current.cancel("New search started");
+      }
+      searchCancelTokenRef.current = axios.CancelToken.source();
+      const cancelToken = searchCancelTokenRef.current.token;
+      serverPageRef.current = { query: searchQuery, page: pageNumber };
+
+      setLoading(true);
+      setError(null);
+      setWarnings([]);
+      setResults([]);
+      setProgress({
+        message: pageNumber > 1 ? `Loading page ${pageNumber}...` : "Searching museum collections...",
+      });
+
+      const result = await searchAllSourcesPaged(searchQuery, {
+        page: pageNumber,
+        pageSize,
+        cancelToken,
+      });
+
+      if (cancelToken.reason) {
+        return;
+      }
+
+      if (result.success) {
+        setResults(result.data.items || []);
+        setTotalResults(result.data.total || 0);
+        setServerPaging({
+          totalPages: result.data.totalPages || 0,
+          itemCount: result.data.itemCount || 0,
+        });
+        setWarnings((result.data.errors || []).map((err) => err.error.message));
+      } else {
+        setError(result.error.message);
+        setTotalResults(0);
+        setServerPaging(null);
+      }
+
+      setLoading(false);
+      setProgress(null);
+    },
+    [pageSize]
+  );
+
   /**
    * Perform unified search across all sources (default method)
+   * Cached results are shown straight away - expired ones are marked stale and refreshed behind them
    */
   const performUnifiedSearch = useCallback(
     async (searchQuery, reset = true) => {
@@ -157,6 +323,18 @@ export function SearchProvider({ children }) {
 
       const normalizedQuery = searchQuery.trim();
 
+      // Server search mode - no browser cache or fan-out, each page comes from the server
+      // Results from one page aren't a complete run, so completedSearch isn't set
+      if (searchMode === "server") {
+        if (reset) {
+          setQuery(normalizedQuery);
+          setPage(1);
+          setIsFromCache(false);
+        }
+        await fetchServerPage(normalizedQuery, reset ? 1 : serverPageRef.current?.page || 1);
+        return;
+      }
+
       try {
         if (searchCancelTokenRef.current) {
           searchCancelTokenRef.current.cancel("New search started");
@@ -167,6 +345,9 @@ export function SearchProvider({ children }) {
         setError(null);
         setWarnings([]);
         setProgress(null);
+        setIsStale(false);
+        setIsRevalidating(false);
+        setRevalidation(null);
 
         if (reset) {
           setQuery(normalizedQuery);
@@ -175,40 +356,47 @@ export function SearchProvider({ children }) {
           setIsFromCache(false);
         }
 
-        // Check cache
-        const smithsonianCache = searchResultsManager.getCachedResults(
-          normalizedQuery,
-          "smithsonian"
-        );
-        const europeanaCache = searchResultsManager.getCachedResults(
-          normalizedQuery,
-          "europeana"
-        );
+        // Check cache - a newer search may start while it's read
+        const searchToken = searchCancelTokenRef.current.token;
+        const cachedResults = await getCachedUnifiedResults(normalizedQuery, {
+          allowStale: true,
+        });
+
+        if (searchToken.reason) {
+          return;
+        }
 
-        if (smithsonianCache && europeanaCache) {
-          const mergedResults = [
-            ...europeanaCache.items,
-            ...smithsonianCache.items,
-          ];
-          const totalResults =
-            (smithsonianCache.totalResults || 0) +
-            (europeanaCache.totalResults || 0);
-
-          setResults(mergedResults);
-          setTotalResults(totalResults);
+        if (cachedResults) {
+          setResults(cachedResults.items);
+          setTotalResults(cachedResults.totalResults);
+          setWarnings(
+            getUnifiedQueryWarnings(normalizedQuery).map((err) => err.error.message)
+          );
           setIsFromCache(true);
+          setIsStale(cachedResults.isStale);
           setLoading(false);
+
+          if (cachedResults.isStale) {
+            revalidateSearch(normalizedQuery, searchToken);
+          }
           return;
         }
 
         setIsFromCache(false);
 
-        const result = await searchAllSources(
-          normalizedQuery,
-          handleSearchProgress
-        );
-
-        if (searchCancelTokenRef.current?.token.reason) {
+        const result =
+          searchMode === "stream"
+            ? await streamAllSources(
+                normalizedQuery,
+                handleSearchProgress,
+                searchCancelTokenRef.current.token
+              )
+            : await searchAllSources(normalizedQuery, handleSearchProgress);
+
+        if (
+          searchCancelTokenRef.current?.token.reason ||
+          result.error?.type === "cancelled"
+        ) {
           return;
         }
 
@@ -234,21 +422,25 @@ export function SearchProvider({ children }) {
           setWarnings([]);
         }
 
-        if (result.smithsonianPromise) {
-          backgroundPromiseRef.current = result.smithsonianPromise;
+        if (result.backgroundPromise) {
+          backgroundPromiseRef.current = result.backgroundPromise;
 
-          result.smithsonianPromise
+          result.backgroundPromise
             .then(() => {
               setLoading(false);
               setProgress(null);
+              setCompletedSearch({
+                query: normalizedQuery,
+                completedAt: new Date().toISOString(),
+              });
             })
             .catch((error) => {
               if (!axios.isCancel(error)) {
-                console.error("Background Smithsonian search failed:", error);
+                console.error("Background search failed:", error);
                 if (results.length === 0) {
                   setWarnings((prev) => [
                     ...prev,
-                    "Smithsonian search incomplete",
+                    "Some museum sources did not finish searching",
                   ]);
                 }
               }
@@ -258,6 +450,10 @@ export function SearchProvider({ children }) {
         } else {
           setLoading(false);
           setProgress(null);
+          setCompletedSearch({
+            query: normalizedQuery,
+            completedAt: new Date().toISOString(),
+          });
         }
       } catch (error) {
         if (axios.isCancel(error)) {
@@ -269,11 +465,21 @@ export function SearchProvider({ children }) {
         setProgress(null);
       }
     },
-    [handleSearchProgress, results.length]
+    [handleSearchProgress, results.length, searchMode, revalidateSearch, fetchServerPage]
   );
 
+  // Server search mode - fetch each page as it's shown
+  useEffect(() => {
+    if (searchMode !== "server" || !query) return;
+
+    const requested = serverPageRef.current;
+    if (requested?.query === query && requested.page === page) return;
+
+    fetchServerPage(query, page);
+  }, [searchMode, query, page, fetchServerPage]);
+
   /**
-   * Perform search on a specific source (Smithsonian or Europeana) - LEGACY
+   * Perform search on a single registered source (eg. Smithsonian or Europeana) - LEGACY
    */
   const performSearch = useCallback(
     async (searchQuery, source = "smithsonian", reset = true) => {
@@ -301,12 +507,17 @@ export function SearchProvider({ children }) {
           setIsFromCache(false);
         }
 
-        // Check cache
-        const cachedResults = searchResultsManager.getCachedResults(
+        // Check cache - a newer search may start while it's read
+        const searchToken = searchCancelTokenRef.current.token;
+        const cachedResults = await searchResultsManager.getCachedResults(
           normalizedQuery,
           source
         );
 
+        if (searchToken.reason) {
+          return;
+        }
+
         if (cachedResults?.items?.length > 0) {
           setResults(cachedResults.items);
           setTotalResults(cachedResults.totalResults);
@@ -390,32 +601,29 @@ export function SearchProvider({ children }) {
       backgroundPromiseRef.current = null;
     }
 
+    serverPageRef.current = null;
+
     setQuery("");
     setResults([]);
+    setServerPaging(null);
     setPage(1);
     setError(null);
     setWarnings([]);
     setTotalResults(0);
     setIsFromCache(false);
+    setIsStale(false);
+    setIsRevalidating(false);
+    setRevalidation(null);
     setProgress(null);
     setLoading(false);
   }, []);
 
+  // Force revalidate - fetch the current search fresh and merge it into the results on screen
   const refreshSearch = useCallback(() => {
-    if (!query || results.length === 0) return;
-
-    searchResultsManager.clearCacheItem(query, "unified");
-
-    const sources = [...new Set(results.map((r) => r.source))];
-    sources.forEach((source) =>
-      searchResultsManager.clearCacheItem(query, source)
-    );
-
-    setIsFromCache(false);
-    setWarnings([]);
+    if (!query || loading || isRevalidating || !searchCancelTokenRef.current) return;
 
-    performUnifiedSearch(query, false);
-  }, [query, results, performUnifiedSearch]);
+    revalidateSearch(query, searchCancelTokenRef.current.token);
+  }, [query, loading, isRevalidating, revalidateSearch]);
 
   const clearItemCache = useCallback(() => {
     itemDetailsCache.current.clear();
@@ -425,21 +633,54 @@ export function SearchProvider({ children }) {
     setWarnings([]);
   }, []);
 
-  const totalPages = Math.ceil(results.length / pageSize);
+  const isServerPaged = searchMode === "server";
+
+  // Order sources fairly, then collapse the same object from several sources into one card
+  // A server page arrives already ordered, so is only deduplicated
+  const { items: mergedResults, mergedCount: duplicatesMerged } = useMemo(
+    () =>
+      deduplicateResults(
+        isServerPaged
+          ? results
+          : mergeResults(results, {
+              strategy: mergeStrategy,
+              weights: resultsConfig.sourceWeights,
+              query,
+            })
+      ),
+    [results, mergeStrategy, query, isServerPaged]
+  );
+
+  // Server pages hold only the current page - the rest of the results stay on the server
+  const itemCount = isServerPaged ? serverPaging?.itemCount || 0 : mergedResults.length;
+  const totalPages = isServerPaged
+    ? serverPaging?.totalPages || 0
+    : Math.ceil(mergedResults.length / pageSize);
   const startIdx = (page - 1) * pageSize;
   const endIdx = startIdx + pageSize;
-  const pageResults = results.slice(startIdx, endIdx);
+  const pageResults = isServerPaged ? mergedResults : mergedResults.slice(startIdx, endIdx);
 
   const value = {
     query,
     results: pageResults,
-    allResults: results,
+    allResults: mergedResults,
+    itemCount,
+    isServerPaged,
+    duplicatesMerged,
     loading,
     error,
     warnings,
     totalResults,
     isFromCache,
+    isStale,
+    isRevalidating,
+    revalidation,
     progress,
+    completedSearch,
+    searchMode,
+    setSearchMode,
+    mergeStrategy,
+    setMergeStrategy,
 
     page,
     pageSize,
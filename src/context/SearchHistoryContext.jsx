@@ -0,0 +1,224 @@
+import {
+  createContext,
+  useContext,
+  useState,
+  useCallback,
+  useEffect,
+  useRef,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { searchAllSourcesComplete } from "../api/museumService";
+import { resultsConfig } from "../api/config";
+import { diffSearchRun, isSearchRunDue } from "../utils/searchAlerts";
+
+// Most recent searches kept per user - saved searches aren't capped
+const MAX_HISTORY_ENTRIES = 50;
+
+const SearchHistoryContext = createContext();
+
+export function useSearchHistory() {
+  const context = useContext(SearchHistoryContext);
+  if (!context) {
+    throw new Error("useSearchHistory must be used within a SearchHistoryProvider");
+  }
+  return context;
+}
+
+/**
+ * Search history and saved searches, stored per user in localStorage
+ * Entries are { query, filters, ... } - filters are the /search URL params besides q & page,
+ * eg. "sort=oldest&from=1800", so an entry re-runs with the same view
+ */
+export function SearchHistoryProvider({ children }) {
+  const { currentUser } = useAuth();
+  const storageKey = currentUser ? `searchHistory_${currentUser.id}` : null;
+
+  const [history, setHistory] = useState([]);
+  const [savedSearches, setSavedSearches] = useState([]);
+  // Which user's entries are loaded - nothing is saved until they are, so they can't be overwritten
+  const [loadedKey, setLoadedKey] = useState(null);
+  const checkedKeyRef = useRef(null);
+  // The app-load check reads the loaded saved searches without restarting as runs are recorded
+  const savedSearchesRef = useRef(savedSearches);
+  savedSearchesRef.current = savedSearches;
+
+  useEffect(() => {
+    setHistory([]);
+    setSavedSearches([]);
+
+    try {
+      const saved = storageKey && localStorage.getItem(storageKey);
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        setHistory(parsed.history || []);
+        setSavedSearches(parsed.savedSearches || []);
+      }
+    } catch (err) {
+      console.error("Error loading search history:", err);
+    } finally {
+      setLoadedKey(storageKey);
+    }
+  }, [storageKey]);
+
+  useEffect(() => {
+    if (!storageKey || loadedKey !== storageKey) return;
+
+    try {
+      localStorage.setItem(storageKey, JSON.stringify({ history, savedSearches }));
+    } catch (err) {
+      console.error("Error saving search history to localStorage:", err);
+    }
+  }, [storageKey, loadedKey, history, savedSearches]);
+
+  /**
+   * Record a search - the latest entry is updated rather than repeated while the same
+   * query is refined or its results stream in
+   * @param {Object} search - { query, filters, resultCount }
+   */
+  const recordSearch = useCallback(
+    ({ query, filters = "", resultCount = 0 }) => {
+      const trimmedQuery = query?.trim();
+      if (!storageKey || !trimmedQuery) return;
+
+      setHistory((prev) => {
+        const latest = prev[0];
+        const timestamp = new Date().toISOString();
+
+        if (latest?.query === trimmedQuery) {
+          if (latest.filters === filters && latest.resultCount === resultCount) {
+            return prev;
+          }
+          return [{ ...latest, filters, resultCount, timestamp }, ...prev.slice(1)];
+        }
+
+        const entry = {
+          id: `search-${Date.now()}`,
+          query: trimmedQuery,
+          filters,
+          resultCount,
+          timestamp,
+        };
+
+        return [
+          entry,
+          ...prev.filter(
+            (existing) => existing.query !== trimmedQuery || existing.filters !== filters
+          ),
+        ].slice(0, MAX_HISTORY_ENTRIES);
+      });
+    },
+    [storageKey]
+  );
+
+  const removeHistoryEntry = useCallback((entryId) => {
+    setHistory((prev) => prev.filter((entry) => entry.id !== entryId));
+  }, []);
+
+  const clearHistory = useCallback(() => {
+    setHistory([]);
+  }, []);
+
+  /**
+   * Pin a search as a saved search
+   * @param {string} name - Saved search name - defaults to the query
+   * @param {Object} search - History entry or { query, filters }
+   */
+  const saveSearch = useCallback(
+    (name, search) => {
+      if (!storageKey || !search?.query) return null;
+
+      const savedSearch = {
+        id: `saved-${Date.now()}`,
+        name: name?.trim() || search.query,
+        query: search.query,
+        filters: search.filters || "",
+        dateCreated: new Date().toISOString(),
+      };
+
+      setSavedSearches((prev) => [savedSearch, ...prev]);
+      return savedSearch;
+    },
+    [storageKey]
+  );
+
+  const removeSavedSearch = useCallback((savedSearchId) => {
+    setSavedSearches((prev) => prev.filter((search) => search.id !== savedSearchId));
+  }, []);
+
+  /**
+   * Store a saved search's run and work out which of its items are new
+   * @param {string} savedSearchId - Saved search ID
+   * @param {Array} items - Every item the run returned
+   * @param {Object} options - { runAt, viewed } - runs at or before the stored one are ignored,
+   *   so the same run can't be recorded twice
+   */
+  const recordSavedSearchRun = useCallback(
+    (savedSearchId, items, { runAt = new Date().toISOString(), viewed = true } = {}) => {
+      setSavedSearches((prev) =>
+        prev.map((search) => {
+          if (search.id !== savedSearchId) return search;
+          if (search.lastRun && search.lastRun.lastRunAt >= runAt) return search;
+
+          return { ...search, lastRun: diffSearchRun(search.lastRun, items, { runAt, viewed }) };
+        })
+      );
+    },
+    []
+  );
+
+  // Once per user on app load, re-run saved searches that are due, one at a time
+  useEffect(() => {
+    if (!storageKey || loadedKey !== storageKey || checkedKeyRef.current === storageKey) {
+      return;
+    }
+    checkedKeyRef.current = storageKey;
+
+    const dueSearches = savedSearchesRef.current.filter((search) =>
+      isSearchRunDue(search, resultsConfig.savedSearchRefreshDays)
+    );
+    if (dueSearches.length === 0) return;
+
+    let cancelled = false;
+
+    const checkSavedSearches = async () => {
+      for (const search of dueSearches) {
+        if (cancelled) return;
+
+        try {
+          const runAt = new Date().toISOString();
+          const result = await searchAllSourcesComplete(search.query);
+
+          if (!cancelled && result.success) {
+            recordSavedSearchRun(search.id, result.data.items, { runAt, viewed: false });
+          }
+        } catch (err) {
+          console.error(`Error checking saved search "${search.name}":`, err);
+        }
+      }
+    };
+
+    checkSavedSearches();
+
+    return () => {
+      cancelled = true;
+      checkedKeyRef.current = null;
+    };
+  }, [storageKey, loadedKey, recordSavedSearchRun]);
+
+  const value = {
+    history,
+    savedSearches,
+    recordSearch,
+    removeHistoryEntry,
+    clearHistory,
+    saveSearch,
+    removeSavedSearch,
+    recordSavedSearchRun,
+  };
+
+  return (
+    <SearchHistoryContext.Provider value={value}>
+      {children}
+    </SearchHistoryContext.Provider>
+  );
+}
@@ -0,0 +1,252 @@
+import { useMemo, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { getEnabledSources } from "../api/sourceRegistry";
+import { MET_MUSEUM_NAME } from "../api/adapters/metAdapter";
+import { AIC_MUSEUM_NAME } from "../api/adapters/aicAdapter";
+import { RIJKSMUSEUM_NAME } from "../api/adapters/rijksmuseumAdapter";
+import { QUERY_RIGHTS } from "../utils/queryParser";
+import {
+  buildAdvancedSearchParams,
+  readAdvancedSearch,
+} from "../utils/advancedSearch";
+import collectionData from "../utils/collectionsList.json";
+
+// Museum picker suggestions - museum: matches any museum name, so free text still works
+const MUSEUM_SUGGESTIONS = [
+  ...new Set([
+    ...collectionData.collections.filter((name) => !name.startsWith("...")),
+    MET_MUSEUM_NAME,
+    AIC_MUSEUM_NAME,
+    RIJKSMUSEUM_NAME,
+  ]),
+].sort((a, b) => a.localeCompare(b));
+
+const INPUT_CLASS =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-accent-secondary";
+const LABEL_CLASS = "block text-sm font-medium text-gray-700 mb-1";
+
+// Empty input = open bound; negative numbers are BCE
+const parseYearInput = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+/**
+ * Advanced search form - builds a /search URL in the query syntax, so results can be
+ * shared and re-run. Opened from /search results it is pre-filled from the URL to refine
+ */
+export default function AdvancedSearchPage() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const sources = useMemo(() => getEnabledSources(), []);
+
+  const [form, setForm] = useState(() =>
+    readAdvancedSearch(new URLSearchParams(location.search), sources)
+  );
+  const [validationMessage, setValidationMessage] = useState("");
+
+  const isRefining = new URLSearchParams(location.search).has("q");
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const setYear = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: parseYearInput(e.target.value) }));
+
+  const toggleSource = (id) =>
+    setForm((prev) => ({
+      ...prev,
+      sources: prev.sources.includes(id)
+        ? prev.sources.filter((selected) => selected !== id)
+        : [...prev.sources, id],
+    }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const hasSearchTerm =
+      [form.keywords, form.creator, form.place, form.museum].some((value) => value.trim()) ||
+      form.from !== null ||
+      form.to !== null;
+
+    if (!hasSearchTerm) {
+      setValidationMessage("Enter keywords, a creator, place, museum or date to search for");
+      return;
+    }
+
+    if (form.sources.length === 0) {
+      setValidationMessage("Choose at least one source to search");
+      return;
+    }
+
+    // Reversed years are swapped rather than matching nothing
+    const { from, to } =
+      form.from !== null && form.to !== null && form.from > form.to
+        ? { from: form.to, to: form.from }
+        : form;
+
+    const params = buildAdvancedSearchParams(
+      { ...form, from, to },
+      sources.map((source) => source.id)
+    );
+    navigate(`/search?${params}`);
+  };
+
+  return (
+    <div className="py-8">
+      <div className="container mx-auto px-4">
+        <div className="max-w-2xl mx-auto">
+          <h1 className="text-title text-5xl mb-2">
+            {isRefining ? "Refine search" : "Advanced search"}
+          </h1>
+          <p className="text-body mb-6">
+            Every field is optional - results must match all of them.
+          </p>
+
+          <form onSubmit={handleSubmit} role="search">
+            <div className="mb-4">
+              <label htmlFor="advanced-keywords" className={LABEL_CLASS}>
+                Keywords
+              </label>
+              <input
+                id="advanced-keywords"
+                type="text"
+                value={form.keywords}
+                onChange={setField("keywords")}
+                placeholder='eg. wave OR sea -print'
+                className={INPUT_CLASS}
+              />
+            </div>
+
+            <div className="grid gap-4 sm:grid-cols-2 mb-4">
+              <div>
+                <label htmlFor="advanced-creator" className={LABEL_CLASS}>
+                  Creator
+                </label>
+                <input
+                  id="advanced-creator"
+                  type="text"
+                  value={form.creator}
+                  onChange={setField("creator")}
+                  placeholder="eg. Hokusai"
+                  className={INPUT_CLASS}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="advanced-place" className={LABEL_CLASS}>
+                  Place
+                </label>
+                <input
+                  id="advanced-place"
+                  type="text"
+                  value={form.place}
+                  onChange={setField("place")}
+                  placeholder="eg. Japan"
+                  className={INPUT_CLASS}
+                />
+              </div>
+            </div>
+
+            <fieldset className="mb-4">
+              <legend className={LABEL_CLASS}>Date range (negative years are BCE)</legend>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={form.from ?? ""}
+                  onChange={setYear("from")}
+                  placeholder="From"
+                  className={INPUT_CLASS}
+                  aria-label="From year (negative for BCE)"
+                />
+                <span className="text-body">to</span>
+                <input
+                  type="number"
+                  value={form.to ?? ""}
+                  onChange={setYear("to")}
+                  placeholder="To"
+                  className={INPUT_CLASS}
+                  aria-label="To year (negative for BCE)"
+                />
+              </div>
+            </fieldset>
+
+            <div className="mb-4">
+              <label htmlFor="advanced-museum" className={LABEL_CLASS}>
+                Museum
+              </label>
+              <input
+                id="advanced-museum"
+                type="text"
+                list="advanced-museum-options"
+                value={form.museum}
+                onChange={setField("museum")}
+                placeholder="Any museum"
+                className={INPUT_CLASS}
+              />
+              <datalist id="advanced-museum-options">
+                {MUSEUM_SUGGESTIONS.map((name) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+            </div>
+
+            <fieldset className="mb-4">
+              <legend className={LABEL_CLASS}>Sources</legend>
+              <div className="flex flex-wrap gap-4">
+                {sources.map((source) => (
+                  <label key={source.id} className="flex items-center gap-1 text-body">
+                    <input
+                      type="checkbox"
+                      checked={form.sources.includes(source.id)}
+                      onChange={() => toggleSource(source.id)}
+                    />
+                    {source.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <div className="mb-6">
+              <label htmlFor="advanced-rights" className={LABEL_CLASS}>
+                Rights / licence
+              </label>
+              <select
+                id="advanced-rights"
+                value={form.rights}
+                onChange={setField("rights")}
+                className={INPUT_CLASS}
+              >
+                <option value="">Any licence</option>
+                {Object.entries(QUERY_RIGHTS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {validationMessage && (
+              <p className="text-body text-red-600 mb-4" role="alert">
+                {validationMessage}
+              </p>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                className="btn-black"
+                onClick={() => navigate(-1)}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn-action">
+                Search
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
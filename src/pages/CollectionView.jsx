@@ -3,18 +3,33 @@ import { useParams, useNavigate } from "react-router-dom";
 import { useCollections } from "../context/CollectionsContext";
 import ItemCard from "../components/search/ItemCard";
 import RemoveFromCollectionButton from "../components/collections/RemoveFromCollectionButton";
+import ReorderButtons from "../components/collections/ReorderButtons";
 import EmptyCollectionCard from "../components/collections/EmptyCollectionCard";
 import CustomDropdown from "../components/common/CustomDropdown";
 import MasonryGrid from "../components/layout/MasonryGrid";
+import ExportMenu from "../components/collections/ExportMenu";
+import CitationPanel from "../components/common/CitationPanel";
+import { getCollectionItemKey } from "../utils/collectionsStorage";
 
 export default function CollectionView() {
   const { collectionId } = useParams();
   const navigate = useNavigate();
-  const { collections, setActiveCollection, loading, openEditModal } =
-    useCollections();
+  const {
+    collections,
+    setActiveCollection,
+    loading,
+    openEditModal,
+    reorderCollectionItems,
+  } = useCollections();
 
   const [collection, setCollection] = useState(null);
-  const [sortOption, setSortOption] = useState("dateAdded-desc");
+  // null until picked - defaults to the custom order once the collection has been arranged by hand
+  const [sortOption, setSortOption] = useState(null);
+  // Last item moved with the keyboard - its button keeps focus after the card moves
+  const [lastMove, setLastMove] = useState(null);
+
+  const activeSortOption =
+    sortOption || (collection?.customOrder ? "custom" : "dateAdded-desc");
 
   useEffect(() => {
     if (collections.length > 0 && collectionId) {
@@ -33,12 +48,18 @@ export default function CollectionView() {
     if (!collection || !collection.items) return [];
 
     const items = [...collection.items];
-    const [field, direction] = sortOption.split("-");
+    const [field, direction] = activeSortOption.split("-");
 
     return items.sort((a, b) => {
       let valueA, valueB;
 
       switch (field) {
+        case "custom":
+          // Items added since the last arrangement have no order - they follow, oldest first
+          valueA = a.order ?? Infinity;
+          valueB = b.order ?? Infinity;
+          if (valueA !== valueB) return valueA < valueB ? -1 : 1;
+          return (a.dateAdded || "").localeCompare(b.dateAdded || "");
         case "title":
           valueA = (a.title || "").toLowerCase();
           valueB = (b.title || "").toLowerCase();
@@ -53,6 +74,9 @@ export default function CollectionView() {
           valueB = b.dateAdded || "";
           break;
       }
+
+      const comparison = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+      return direction === "asc" ? comparison : -comparison;
     });
   };
 
@@ -78,7 +102,29 @@ export default function CollectionView() {
   if (sortedItems.length === 0) {
     return <EmptyCollectionCard collection={collection} />;
   }
+  // Moving or dragging arranges the items as currently shown, then switches to the custom order
+  const moveItem = (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= sortedItems.length || fromIndex === toIndex) return;
+
+    const itemKeys = sortedItems.map(getCollectionItemKey);
+    const [movedKey] = itemKeys.splice(fromIndex, 1);
+    itemKeys.splice(toIndex, 0, movedKey);
+
+    reorderCollectionItems(collection.id, itemKeys);
+    setSortOption("custom");
+  };
+
+  const handleKeyboardMove = (index, offset) => {
+    moveItem(index, index + offset);
+    setLastMove({
+      itemKey: getCollectionItemKey(sortedItems[index]),
+      direction: offset < 0 ? "earlier" : "later",
+      position: Math.min(Math.max(index + offset, 0), sortedItems.length - 1) + 1,
+    });
+  };
+
   const sortOptions = [
+    { value: "custom", label: "Custom order" },
     { value: "dateAdded-desc", label: "Recently Added" },
     { value: "dateAdded-asc", label: "First Added" },
     { value: "filterDate-desc", label: "Newest First" },
@@ -167,7 +213,7 @@ export default function CollectionView() {
           <div className="w-48">
             <CustomDropdown
               options={sortOptions}
-              value={sortOption}
+              value={activeSortOption}
               onChange={(newValue) => {
                 setSortOption(newValue);
               }}
@@ -175,23 +221,56 @@ export default function CollectionView() {
             />
           </div>
         </div>
+
+        {/* Export */}
+        <ExportMenu collections={[collection]} />
+      </div>
+
+      {/* Citations - keyed on version, so details are looked up again once the collection changes */}
+      <div className="mb-6">
+        <CitationPanel
+          key={collection.version}
+          items={collection.items}
+          name={collection.name}
+          label="Cite collection"
+          lookupDetails
+        />
       </div>
 
-      {/* Items Grid */}
+      {/* Keyboard moves announced for screen readers */}
+      <p className="sr-only" aria-live="polite">
+        {lastMove &&
+          `Moved to position ${lastMove.position} of ${sortedItems.length}`}
+      </p>
+
+      {/* Items Grid - drag cards, or use their move buttons, to arrange them */}
       <MasonryGrid
         items={sortedItems}
-        renderItem={(item) => (
+        renderItem={(item, index) => (
           <ItemCard
             item={item}
             actionButtons={
-              <RemoveFromCollectionButton
-                item={item}
-                collectionId={collectionId}
-              />
+              <div className="flex">
+                <RemoveFromCollectionButton
+                  item={item}
+                  collectionId={collectionId}
+                />
+                <ReorderButtons
+                  item={item}
+                  index={index}
+                  count={sortedItems.length}
+                  onMove={handleKeyboardMove}
+                  focusRequest={
+                    lastMove?.itemKey === getCollectionItemKey(item) ? lastMove : null
+                  }
+                />
+              </div>
             }
           />
         )}
         minItemWidth={250}
+        onReorder={moveItem}
+        label={`${collection.name} items`}
       />
     </div>
   );
@@ -2,9 +2,19 @@ import { useCollections } from "../context/CollectionsContext";
 import { useAuth } from "../context/AuthContext";
 import CollectionCard from "../components/collections/CollectionCard";
 import EmptyCollectionsList from "../components/collections/EmptyCollectionsList";
+import WarningMessage from "../components/common/WarningMessage";
+import ExportMenu from "../components/collections/ExportMenu";
+import ImportCollections from "../components/collections/ImportCollections";
 
 export default function CollectionsPage() {
-  const { collections, loading, error, openCreateModal } = useCollections();
+  const {
+    collections,
+    loading,
+    error,
+    openCreateModal,
+    quarantinedEntries,
+    dismissQuarantinedEntries,
+  } = useCollections();
   const { currentUser } = useAuth();
 
   // Loading state
@@ -36,11 +46,31 @@ export default function CollectionsPage() {
     <div className="container mx-auto px-4 py-8">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-title">{currentUser.username}'s Collections</h1>
-        <button className="btn-action" onClick={() => openCreateModal(null)}>
-          + New Collection
-        </button>
+        <div className="flex items-center gap-2">
+          {collections.length > 0 && (
+            <ExportMenu collections={collections} label="Export all" />
+          )}
+          <button className="btn-action" onClick={() => openCreateModal(null)}>
+            + New Collection
+          </button>
+        </div>
       </div>
 
+      <ImportCollections />
+
+      {/* Corrupt entries set aside on load */}
+      {quarantinedEntries.length > 0 && (
+        <WarningMessage
+          warnings={`${quarantinedEntries.length} damaged ${
+            quarantinedEntries.length === 1 ? "entry" : "entries"
+          } couldn't be loaded and ${
+            quarantinedEntries.length === 1 ? "has" : "have"
+          } been set aside. Your other collections are unaffected.`}
+          title="Some saved items couldn't be loaded"
+          onDismiss={dismissQuarantinedEntries}
+        />
+      )}
+
       {/* Collections List */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {collections.length === 0 ? (
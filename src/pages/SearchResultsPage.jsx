@@ -1,7 +1,20 @@
 import { useEffect, useRef } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
 import { useMemo, useState } from "react";
-import { calculateCenturyCounts } from "../utils/dateUtils";
+import {
+  filterByYearRange,
+  getCenturyYearRange,
+  getItemYearRange,
+  getYearExtent,
+} from "../utils/dateUtils";
+import { mergeResults } from "../utils/resultsMerging";
+import {
+  calculateFacetCounts,
+  filterByFacets,
+  readFacetsFromParams,
+  writeFacetsToParams,
+} from "../utils/facetUtils";
+import { resultsConfig } from "../api/config";
 import FilterMenu from "../components/search/FilterMenu";
 import SearchBar from "../components/search/SearchBar";
 import SearchResultsGrid from "../components/search/SearchResultsGrid";
@@ -10,6 +23,8 @@ import SearchInfo from "../components/search/SearchInfo";
 import WarningMessage from "../components/common/WarningMessage";
 import ErrorMessage from "../components/common/ErrorMessage";
 import { useSearch } from "../context/SearchContext";
+import { useSearchHistory } from "../context/SearchHistoryContext";
+import { isNewItem } from "../utils/searchAlerts";
 
 const EmptyResults = () => (
   <div className="text-center py-16" role="status" aria-live="polite">
@@ -20,24 +35,65 @@ const EmptyResults = () => (
   </div>
 );
 
-const sortByDate = (items, sortOrder) => {
+const sortByDate = (items, sortOrder, query) => {
   if (sortOrder === "relevance") return items;
 
+  // Local scoring on query terms in title, creator & description
+  if (sortOrder === "best") {
+    return mergeResults(items, {
+      strategy: "score",
+      weights: resultsConfig.sourceWeights,
+      query,
+    });
+  }
+
+  // Oldest sorts on the start of each item's date range, newest on the end
   return [...items].sort((a, b) => {
-    const yearA = a.filterDate;
-    const yearB = b.filterDate;
+    const rangeA = getItemYearRange(a);
+    const rangeB = getItemYearRange(b);
 
-    if (!yearA && !yearB) return 0;
-    if (!yearA) return 1;
-    if (!yearB) return -1;
+    if (!rangeA && !rangeB) return 0;
+    if (!rangeA) return 1;
+    if (!rangeB) return -1;
 
-    return sortOrder === "newest" ? yearB - yearA : yearA - yearB;
+    return sortOrder === "newest"
+      ? rangeB.latest - rangeA.latest || rangeB.earliest - rangeA.earliest
+      : rangeA.earliest - rangeB.earliest || rangeA.latest - rangeB.latest;
   });
 };
 
-const filterByDate = (items, selectedCentury) => {
-  if (selectedCentury === "all") return items;
-  return items.filter((item) => item.century === selectedCentury);
+const parseYearParam = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+const readFiltersFromParams = (searchParams) => ({
+  sortOrder: searchParams.get("sort") || "relevance",
+  yearRange: readYearRangeFromParams(searchParams),
+  facets: readFacetsFromParams(searchParams),
+  onlyNew: searchParams.get("new") === "only",
+});
+
+// Search history keeps the filters as URL params, without the query or page
+const getFilterParams = (search) => {
+  const params = new URLSearchParams(search);
+  params.delete("q");
+  params.delete("page");
+  return params.toString();
+};
+
+// from/to are years (negative for BCE), undated=exclude hides undated items.
+// Older links with ?century= are converted to the equivalent range
+const readYearRangeFromParams = (searchParams) => {
+  const centuryRange = getCenturyYearRange(searchParams.get("century"));
+
+  return {
+    from: parseYearParam(searchParams.get("from")) ?? centuryRange?.from ?? null,
+    to: parseYearParam(searchParams.get("to")) ?? centuryRange?.to ?? null,
+    includeUndated: centuryRange
+      ? false
+      : searchParams.get("undated") !== "exclude",
+  };
 };
 
 export default function SearchResultsPage() {
@@ -53,7 +109,9 @@ export default function SearchResultsPage() {
     performUnifiedSearch,
     results,
     allResults,
+    itemCount,
     totalResults,
+    duplicatesMerged,
     loading,
     error,
     warnings,
@@ -63,13 +121,31 @@ export default function SearchResultsPage() {
     page,
     dismissWarnings,
     refreshSearch,
+    completedSearch,
+    isStale,
+    isRevalidating,
+    revalidation,
   } = useSearch();
 
+  const { recordSearch, savedSearches, recordSavedSearchRun } = useSearchHistory();
+
+  // Saved search alerts - items the saved search hadn't returned before its last run
+  const savedSearch = savedSearches.find((search) => search.query === queryParam.trim());
+  const newItemKeys = useMemo(
+    () => new Set(savedSearch?.lastRun?.newItemKeys || []),
+    [savedSearch?.lastRun?.newItemKeys]
+  );
+
   // Read filters from URL
-  const [filters, setFilters] = useState({
-    sortOrder: searchParams.get("sort") || "relevance",
-    selectedCentury: searchParams.get("century") || "all",
-  });
+  const [filters, setFilters] = useState(() => readFiltersFromParams(searchParams));
+
+  // Re-running a past or saved search applies its filters, even when the query is unchanged
+  useEffect(() => {
+    if (location.state?.applyFilters) {
+      setPage(1);
+      setFilters(readFiltersFromParams(new URLSearchParams(location.search)));
+    }
+  }, [location, setPage]);
 
   // Update URL when filters change
   useEffect(() => {
@@ -82,11 +158,16 @@ export default function SearchResultsPage() {
         newParams.set("sort", filters.sortOrder);
       }
 
-      if (filters.selectedCentury === "all") {
-        newParams.delete("century");
-      } else {
-        newParams.set("century", filters.selectedCentury);
-      }
+      const { from, to, includeUndated } = filters.yearRange;
+      newParams.delete("century");
+      from === null ? newParams.delete("from") : newParams.set("from", from);
+      to === null ? newParams.delete("to") : newParams.set("to", to);
+      includeUndated
+        ? newParams.delete("undated")
+        : newParams.set("undated", "exclude");
+
+      writeFacetsToParams(newParams, filters.facets);
+      filters.onlyNew ? newParams.set("new", "only") : newParams.delete("new");
 
       const newUrl = `/search?${newParams}`;
       if (newUrl !== location.pathname + location.search) {
@@ -96,10 +177,7 @@ export default function SearchResultsPage() {
   }, [filters, navigate, location]);
 
   const handleFiltersChange = (newFilters) => {
-    if (
-      newFilters.sortOrder !== filters.sortOrder ||
-      newFilters.selectedCentury !== filters.selectedCentury
-    ) {
+    if (JSON.stringify(newFilters) !== JSON.stringify(filters)) {
       setPage(1);
     }
     setFilters(newFilters);
@@ -112,6 +190,29 @@ export default function SearchResultsPage() {
     }
   }, [queryParam, performUnifiedSearch]);
 
+  // Record the search once results arrive - filter changes and streamed results update the same entry
+  useEffect(() => {
+    if (!queryParam || loading || error || query !== queryParam.trim()) return;
+
+    recordSearch({
+      query: queryParam,
+      filters: getFilterParams(location.search),
+      resultCount: totalResults,
+    });
+  }, [queryParam, query, loading, error, totalResults, location.search, recordSearch]);
+
+  // A fresh run of a saved search is compared with its last run - cached results aren't a new run
+  useEffect(() => {
+    if (!savedSearch || completedSearch?.query !== queryParam.trim() || allResults.length === 0) {
+      return;
+    }
+
+    recordSavedSearchRun(savedSearch.id, allResults, {
+      runAt: completedSearch.completedAt,
+      viewed: true,
+    });
+  }, [savedSearch, completedSearch, queryParam, allResults, recordSavedSearchRun]);
+
   // Sync URL pagination with context state - bidirectional to changePage() in searchContext
   useEffect(() => {
     const pageParam = searchParams.get("page");
@@ -135,24 +236,40 @@ export default function SearchResultsPage() {
     if (!allResults || allResults.length === 0) {
       return {
         processedResults: [],
-        resultCounts: { centuries: { all: 0 } },
+        resultCounts: { facets: {}, facetedResults: [], yearExtent: null, newCount: 0 },
       };
     }
 
-    const sortedResults = sortByDate(allResults, filters.sortOrder);
+    const sortedResults = sortByDate(allResults, filters.sortOrder, queryParam);
 
-    const filteredResults = filterByDate(
-      sortedResults,
-      filters.selectedCentury
+    const newCount = allResults.filter((item) => isNewItem(item, newItemKeys)).length;
+    const matchingResults =
+      filters.onlyNew && newCount > 0
+        ? sortedResults.filter((item) => isNewItem(item, newItemKeys))
+        : sortedResults;
+
+    const filteredResults = filterByFacets(
+      filterByYearRange(matchingResults, filters.yearRange),
+      filters.facets
     );
 
-    const counts = calculateCenturyCounts(allResults);
+    // Year histogram respects the facets, facet counts respect the year range
+    const facetedResults = filterByFacets(allResults, filters.facets);
+    const facets = calculateFacetCounts(
+      filterByYearRange(allResults, filters.yearRange),
+      filters.facets
+    );
 
     return {
       processedResults: filteredResults,
-      resultCounts: counts,
+      resultCounts: {
+        facets,
+        facetedResults,
+        yearExtent: getYearExtent(allResults),
+        newCount,
+      },
     };
-  }, [allResults, filters]);
+  }, [allResults, filters, queryParam, newItemKeys]);
 
   const getResultsMessage = () => {
     if (loading) {
@@ -163,15 +280,22 @@ export default function SearchResultsPage() {
       return "No results found";
     }
 
-    const itemsWithImages = allResults?.length || 0;
+    const itemsWithImages = itemCount;
 
     if (itemsWithImages === 0) {
       return "No items with images found";
     }
 
+    const mergedMessage =
+      duplicatesMerged > 0
+        ? `, ${duplicatesMerged.toLocaleString()} ${
+            duplicatesMerged === 1 ? "duplicate" : "duplicates"
+          } merged`
+        : "";
+
     return `Found ${itemsWithImages.toLocaleString()} ${
       itemsWithImages === 1 ? "interesting thing" : "interesting things"
-    } (from ${totalResults.toLocaleString()} archive items)`;
+    } (from ${totalResults.toLocaleString()} archive items${mergedMessage})`;
   };
 
   return (
@@ -180,7 +304,13 @@ export default function SearchResultsPage() {
         <div className="max-w-6xl mx-auto">
           {/* Search Box */}
           <div className="mb-8">
-            <SearchBar initialValue={queryParam} />
+            <SearchBar
+              initialValue={queryParam}
+              advancedLink={{
+                to: `/advanced-search${location.search}`,
+                label: "Refine search",
+              }}
+            />
           </div>
 
           {/* Header */}
@@ -224,7 +354,14 @@ export default function SearchResultsPage() {
           )}
 
           {/* Progressive status bar */}
-          {!error && <SearchInfo progress={progress} />}
+          {!error && (
+            <SearchInfo
+              progress={progress}
+              isStale={isStale}
+              isRevalidating={isRevalidating}
+              revalidation={revalidation}
+            />
+          )}
 
           {/* Empty State */}
           {!loading && !error && (!results || results.length === 0) && (
@@ -242,8 +379,12 @@ export default function SearchResultsPage() {
                   filters={filters}
                   onFiltersChange={handleFiltersChange}
                   resultCounts={resultCounts}
+                  newSince={savedSearch?.lastRun?.newSince}
+                />
+                <SearchResultsGrid
+                  results={processedResults}
+                  newItemKeys={newItemKeys}
                 />
-                <SearchResultsGrid results={processedResults} />
               </>
             )}
         </div>
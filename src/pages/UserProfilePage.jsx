@@ -2,6 +2,7 @@ import { useParams } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { useCollections } from "../context/CollectionsContext";
 import CollectionCard from "../components/collections/CollectionCard";
+import SearchHistoryPanel from "../components/search/SearchHistoryPanel";
 
 export default function UserProfilePage() {
   // Get the username from the URL parameter
@@ -143,6 +144,16 @@ export default function UserProfilePage() {
               )}
             </div>
           )}
+
+          {/* Searches - history is private, so only on your own profile */}
+          {isOwnProfile && (
+            <div className="mb-8">
+              <h2 className="text-subtitle mb-4">Your Searches</h2>
+              <div className="bg-main text-inverse rounded-lg p-6">
+                <SearchHistoryPanel />
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
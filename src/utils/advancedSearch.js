@@ -0,0 +1,157 @@
+import {
+  parseQuery,
+  formatClause,
+  formatQuery,
+  isInOrGroup,
+  selectQuerySources,
+  QUERY_RIGHTS,
+} from "./queryParser";
+import { parseDateRange } from "./dateUtils";
+
+// ================ ADVANCED SEARCH ================
+// The advanced form is a view over the query syntax - every field is written into q, so
+// /search URLs from the form can be shared, re-run and reopened in the form to refine.
+
+// Form fields written as field:value clauses
+const TEXT_FIELDS = ["creator", "place", "museum"];
+const CLAUSE_FIELDS = [...TEXT_FIELDS, "rights"];
+
+export const createEmptyAdvancedSearch = () => ({
+  keywords: "",
+  creator: "",
+  place: "",
+  museum: "",
+  rights: "",
+  sources: [],
+  from: null,
+  to: null,
+});
+
+// Years in a form parseDateRange reads back exactly, eg. 1850-1900, 500-401 BCE, 100 BCE-100 CE,
+// or open on one end, eg. 1850- or -1850
+const formatYearRange = (from, to) => {
+  if (to === null) return `${formatYearRange(from, from)}-`;
+  if (from === null) return `-${formatYearRange(to, to)}`;
+  if (from === to) {
+    return from < 0 ? `${-from} BCE` : `${from}${from < 100 ? " CE" : ""}`;
+  }
+  if (to < 0) return `${-from}-${-to} BCE`;
+  if (from < 0) return `${-from} BCE-${to} CE`;
+  return `${from}-${to}${from < 100 ? " CE" : ""}`;
+};
+
+const createClause = (field, value) => ({
+  field,
+  value,
+  phrase: false,
+  negated: false,
+  operator: "AND",
+});
+
+const parseYearParam = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+/**
+ * Build /search params for an advanced search
+ * Either year also becomes a date: clause - open-ended when only one is given - so sources that can
+ * filter by date do so upstream. from/to are always set too, as the year filter catches sources that can't
+ * @param {Object} form - Advanced search fields (see createEmptyAdvancedSearch)
+ * @param {Array<string>} allSourceIds - Every source that could be searched - no source: clauses when all are ticked
+ * @returns {URLSearchParams} - eg. q=wave creator:Hokusai date:1830-1840&from=1830&to=1840
+ */
+export const buildAdvancedSearchParams = (form, allSourceIds = []) => {
+  const parts = [];
+
+  if (form.keywords.trim()) {
+    parts.push(form.keywords.trim());
+  }
+
+  CLAUSE_FIELDS.forEach((field) => {
+    const value = form[field]?.trim();
+    if (value) {
+      parts.push(formatClause(createClause(field, value)));
+    }
+  });
+
+  if (form.from !== null || form.to !== null) {
+    parts.push(formatClause(createClause("date", formatYearRange(form.from, form.to))));
+  }
+
+  const allSourcesSelected = allSourceIds.every((id) => form.sources.includes(id));
+  if (!allSourcesSelected) {
+    form.sources.forEach((id) => parts.push(formatClause(createClause("source", id))));
+  }
+
+  const params = new URLSearchParams({ q: parts.join(" ") });
+  if (form.from !== null) params.set("from", form.from);
+  if (form.to !== null) params.set("to", form.to);
+
+  return params;
+};
+
+/**
+ * Read advanced search fields back from /search params - the inverse of buildAdvancedSearchParams
+ * Required clauses with a form field are lifted out of q, everything else stays in keywords
+ * @param {URLSearchParams} searchParams - Current /search params
+ * @param {Array} sources - Source providers ({ id, label }) - source: clauses are matched to their IDs
+ * @returns {Object} - Advanced search fields
+ */
+export const readAdvancedSearch = (searchParams, sources = []) => {
+  const form = createEmptyAdvancedSearch();
+  const { clauses } = parseQuery(searchParams.get("q") || "");
+  const remaining = [];
+
+  clauses.forEach((clause, index) => {
+    const isRequired = !clause.negated && !isInOrGroup(clauses, index);
+
+    if (isRequired && clause.field === "source") {
+      const matched = selectQuerySources(formatClause(clause), sources);
+      if (matched.length === 1) {
+        form.sources.push(matched[0].id);
+        return;
+      }
+    }
+
+    if (isRequired && clause.field === "date" && form.from === null) {
+      const range = parseDateRange(clause.value);
+      if (range && range.certainty !== "undated") {
+        form.from = range.earliest;
+        form.to = range.latest;
+        return;
+      }
+    }
+
+    // Unknown rights: values stay in keywords, so the source's warning still shows
+    if (isRequired && clause.field === "rights" && !form.rights) {
+      const rights = clause.value.toLowerCase();
+      if (QUERY_RIGHTS[rights]) {
+        form.rights = rights;
+        return;
+      }
+    }
+
+    if (isRequired && TEXT_FIELDS.includes(clause.field) && !form[clause.field]) {
+      form[clause.field] = clause.value;
+      return;
+    }
+
+    remaining.push(clause);
+  });
+
+  form.keywords = formatQuery(remaining);
+
+  // No date: clause - fall back to the year filter
+  if (form.from === null && form.to === null) {
+    form.from = parseYearParam(searchParams.get("from"));
+    form.to = parseYearParam(searchParams.get("to"));
+  }
+
+  // No source: clauses means every source
+  if (form.sources.length === 0) {
+    form.sources = sources.map((source) => source.id);
+  }
+
+  return form;
+};
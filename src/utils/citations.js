@@ -0,0 +1,223 @@
+// ================ CONFIG ================
+// Citations for items in the unified detail shape (adaptSmithsonianItemDetails, adaptEuropeanaItemDetails etc.)
+// Collection items - saved snapshots without creators or identifiers - cite with what they have
+export const CITATION_STYLES = [
+  { value: "chicago", label: "Chicago" },
+  { value: "mla", label: "MLA" },
+  { value: "apa", label: "APA" },
+];
+
+export const CITATION_FILE_FORMATS = [
+  { value: "bibtex", label: "BibTeX", extension: "bib", type: "application/x-bibtex" },
+  { value: "ris", label: "RIS", extension: "ris", type: "application/x-research-info-systems" },
+  { value: "csl", label: "CSL-JSON", extension: "json", type: "application/json" },
+];
+
+// Identifier labels that hold an accession number, most specific first
+const ACCESSION_LABELS = [/accession/i, /inventory/i, /object number/i, /reference number/i, /catalog/i];
+// ========================================
+
+
+const isUrl = (value) => /^https?:\/\//i.test(value || "");
+
+/**
+ * The identifier to cite as an accession number - a labelled accession/inventory number if there is one,
+ * otherwise the first identifier that isn't a link
+ */
+export const getAccessionNumber = (identifiers = []) => {
+  const candidates = (identifiers || []).filter(
+    (identifier) => identifier?.content && !isUrl(identifier.content)
+  );
+
+  for (const pattern of ACCESSION_LABELS) {
+    const match = candidates.find((identifier) => pattern.test(identifier.label || ""));
+    if (match) return String(match.content);
+  }
+
+  return candidates[0] ? String(candidates[0].content) : "";
+};
+
+const getCreatorNames = (item) => {
+  const names = (item.creators || []).flatMap((creator) =>
+    Array.isArray(creator?.names) ? creator.names : [creator?.names || creator]
+  );
+  if (names.length === 0 && item.creator) names.push(item.creator);
+
+  return [...new Set(names.filter((name) => typeof name === "string" && name.trim()))].map(
+    (name) => name.trim()
+  );
+};
+
+const getYear = (item) => {
+  const year = item.dateRange?.earliest ?? item.filterDate;
+  return Number.isInteger(year) ? year : null;
+};
+
+/**
+ * Fields every format is built from
+ * @param {Object} item - Item details, or a collection item
+ * @param {Date} accessed - Date the record was consulted
+ */
+export const toCitationData = (item, accessed = new Date()) => ({
+  id: `${item.source}:${item.id}`,
+  title: item.title || "Untitled",
+  creators: getCreatorNames(item),
+  date: item.dateCreated || item.dateRange?.display || "",
+  year: getYear(item),
+  museum: item.museum || "",
+  accessionNumber: getAccessionNumber(item.identifiers),
+  url: item.url || "",
+  accessed,
+});
+
+// ================ TEXT STYLES ================
+
+const joinNames = (names) =>
+  names.length <= 2 ? names.join(" and ") : `${names.slice(0, -1).join(", ")}, and ${names.at(-1)}`;
+
+// Full stop unless the text already ends with punctuation
+const sentence = (text) => (/[.!?]$/.test(text) ? text : `${text}.`);
+
+const formatLongDate = (date) =>
+  date.toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" });
+
+const formatChicago = (data) =>
+  [
+    data.creators.length > 0 && sentence(joinNames(data.creators)),
+    sentence(data.title),
+    data.date && sentence(data.date),
+    sentence([data.museum, data.accessionNumber].filter(Boolean).join(", ") || "Unknown collection"),
+    data.url && sentence(data.url),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+const formatMla = (data) =>
+  [
+    data.creators.length > 0 && sentence(joinNames(data.creators)),
+    sentence(data.title),
+    sentence([data.date, data.museum, data.accessionNumber].filter(Boolean).join(", ")),
+    data.url && sentence(data.url),
+    `Accessed ${formatLongDate(data.accessed)}.`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+const formatApa = (data) => {
+  const year = data.year === null ? "n.d." : data.year < 0 ? `${-data.year} BCE` : data.year;
+  const accession = data.accessionNumber ? `; ${data.accessionNumber}` : "";
+
+  return [
+    data.creators.length > 0 ? sentence(joinNames(data.creators)) : null,
+    `(${year}).`,
+    `${data.title} [Artwork${accession}].`,
+    data.museum && sentence(data.museum),
+    data.url,
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+const TEXT_FORMATTERS = { chicago: formatChicago, mla: formatMla, apa: formatApa };
+
+/**
+ * Plain-text citation
+ * @param {Object} item - Item details, or a collection item
+ * @param {string} style - "chicago", "mla" or "apa"
+ */
+export const formatCitation = (item, style = "chicago", accessed = new Date()) =>
+  TEXT_FORMATTERS[style](toCitationData(item, accessed));
+
+// ================ FILE FORMATS ================
+
+const escapeBibtex = (value) => String(value).replace(/([{}\\&%$#_^~])/g, "\\$1");
+
+const getBibtexKey = (data, usedKeys) => {
+  const creator = (data.creators[0] || "").split(/[\s,]+/).filter(Boolean).at(-1) || "item";
+  const titleWord = data.title.split(/\s+/).find((word) => word.length > 3) || "";
+  const base = `${creator}${data.year ?? ""}${titleWord}`.replace(/[^A-Za-z0-9]/g, "").toLowerCase() || "item";
+
+  let key = base;
+  for (let suffix = 2; usedKeys.has(key); suffix++) {
+    key = `${base}${suffix}`;
+  }
+  usedKeys.add(key);
+  return key;
+};
+
+const formatBibtex = (citations) => {
+  const usedKeys = new Set();
+
+  return citations
+    .map((data) => {
+      const fields = [
+        ["title", data.title],
+        ["author", data.creators.join(" and ")],
+        ["year", data.year !== null && data.year > 0 ? data.year : ""],
+        ["howpublished", data.museum],
+        ["note", [data.date && `Date: ${data.date}`, data.accessionNumber && `Accession number: ${data.accessionNumber}`].filter(Boolean).join("; ")],
+        ["url", data.url],
+        ["urldate", data.url ? data.accessed.toISOString().slice(0, 10) : ""],
+      ].filter(([, value]) => value !== "" && value !== null);
+
+      return `@misc{${getBibtexKey(data, usedKeys)},\n${fields
+        .map(([name, value]) => `  ${name} = {${name === "url" ? value : escapeBibtex(value)}}`)
+        .join(",\n")}\n}`;
+    })
+    .join("\n\n");
+};
+
+const formatRis = (citations) =>
+  citations
+    .map((data) =>
+      [
+        ["TY", "ART"],
+        ["TI", data.title],
+        ...data.creators.map((name) => ["AU", name]),
+        ["PY", data.year ?? ""],
+        ["DA", data.date],
+        ["PB", data.museum],
+        ["AN", data.accessionNumber],
+        ["UR", data.url],
+        ["Y2", data.url ? data.accessed.toISOString().slice(0, 10) : ""],
+        ["ER", ""],
+      ]
+        .filter(([tag, value]) => tag === "ER" || (value !== "" && value !== null))
+        .map(([tag, value]) => `${tag}  - ${value}`)
+        .join("\r\n")
+    )
+    .join("\r\n\r\n");
+
+const formatCslJson = (citations) =>
+  JSON.stringify(
+    citations.map((data) => ({
+      id: data.id,
+      type: "graphic",
+      title: data.title,
+      ...(data.creators.length > 0 && { author: data.creators.map((name) => ({ literal: name })) }),
+      ...(data.year !== null
+        ? { issued: { "date-parts": [[data.year]] } }
+        : data.date && { issued: { literal: data.date } }),
+      ...(data.museum && { archive: data.museum }),
+      ...(data.accessionNumber && { archive_location: data.accessionNumber }),
+      ...(data.url && {
+        URL: data.url,
+        accessed: {
+          "date-parts": [[data.accessed.getFullYear(), data.accessed.getMonth() + 1, data.accessed.getDate()]],
+        },
+      }),
+    })),
+    null,
+    2
+  );
+
+const FILE_FORMATTERS = { bibtex: formatBibtex, ris: formatRis, csl: formatCslJson };
+
+/**
+ * Citation file for one or more items
+ * @param {Array} items - Item details, or collection items
+ * @param {string} format - "bibtex", "ris" or "csl"
+ * @returns {string} File contents
+ */
+export const formatCitationFile = (items, format, accessed = new Date()) =>
+  FILE_FORMATTERS[format](items.map((item) => toCitationData(item, accessed)));
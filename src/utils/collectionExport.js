@@ -0,0 +1,245 @@
+import { COLLECTIONS_SCHEMA_VERSION } from "./collectionsStorage";
+import { createZip } from "./zipWriter";
+
+// ================ CONFIG ================
+// Exports one or more collections as JSON (full fidelity, re-importable), CSV or a zipped offline gallery
+export const EXPORT_FORMAT = "cura-collections";
+// source & id let a CSV be imported again
+const CSV_COLUMNS = ["collection", "title", "museum", "source", "id", "date", "century", "url", "image_url"];
+const IMAGE_DOWNLOAD_CONCURRENCY = 4;
+const IMAGE_EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/gif": "gif", "image/webp": "webp" };
+// ========================================
+
+
+const slugify = (text) =>
+  (text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+
+/**
+ * eg. "cura-paintings-2025-06-01.csv", or "cura-collections-2025-06-01.csv" for several collections
+ */
+export const getExportFilename = (collections, extension) => {
+  const name = collections.length === 1 ? slugify(collections[0].name) : "";
+  const date = new Date().toISOString().slice(0, 10);
+  return `cura-${name || "collections"}-${date}.${extension}`;
+};
+
+const getImageUrl = (item) =>
+  item.media?.primaryImage || item.media?.thumbnail || item.media?.fullImage || "";
+
+// ================ JSON ================
+
+/**
+ * Everything stored for each collection - items keep their metadata, dateAdded, source & media URLs
+ * @returns {string} JSON
+ */
+export const exportCollectionsJson = (collections) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      schemaVersion: COLLECTIONS_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      collections,
+    },
+    null,
+    2
+  );
+
+// ================ CSV ================
+
+// Quoted when needed - cells that a spreadsheet would run as a formula are prefixed with '
+const formatCsvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One row per item
+ * @returns {string} CSV
+ */
+export const exportCollectionsCsv = (collections) => {
+  const rows = collections.flatMap((collection) =>
+    collection.items.map((item) => [
+      collection.name,
+      item.title,
+      item.museum,
+      item.source,
+      item.id,
+      item.dateCreated || item.dateRange?.display || "",
+      item.century && item.century !== "unknown" ? item.century : "",
+      item.url,
+      getImageUrl(item),
+    ])
+  );
+
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(formatCsvCell).join(",")).join("\r\n");
+};
+
+// ================ GALLERY ================
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Only web links make it into the page - anything else in stored data is left out
+const isWebUrl = (url) => /^https?:\/\//i.test(url || "");
+
+const getImageExtension = (contentType, url) => {
+  const type = contentType?.split(";")[0].trim();
+  if (IMAGE_EXTENSIONS[type]) return IMAGE_EXTENSIONS[type];
+
+  const match = url.match(/\.(jpe?g|png|gif|webp)(?:$|[?#])/i);
+  return match ? match[1].toLowerCase().replace("jpeg", "jpg") : "jpg";
+};
+
+const downloadImage = async (url) => {
+  const response = await fetch(url, { mode: "cors" });
+  if (!response.ok) {
+    throw new Error(`Image request failed (${response.status})`);
+  }
+  return {
+    data: new Uint8Array(await response.arrayBuffer()),
+    extension: getImageExtension(response.headers.get("content-type"), url),
+  };
+};
+
+/**
+ * Download every item's thumbnail a few at a time
+ * @returns {Promise<Map>} image URL -> { data, extension }, only for images that downloaded
+ */
+const downloadImages = async (urls, onProgress) => {
+  const images = new Map();
+  const queue = [...urls];
+  let done = 0;
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      try {
+        images.set(url, await downloadImage(url));
+      } catch (err) {
+        // Usually an institution's image server not allowing cross-origin requests
+        console.warn(`Couldn't download image for gallery export: ${url}`, err);
+      }
+      done += 1;
+      onProgress?.({ done, total: urls.length });
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(IMAGE_DOWNLOAD_CONCURRENCY, urls.length) }, worker)
+  );
+  return images;
+};
+
+const renderGalleryItem = (item, imagePaths) => {
+  const imageUrl = item.media?.thumbnail || getImageUrl(item);
+  const imageSrc = imagePaths.get(imageUrl) || (isWebUrl(imageUrl) ? imageUrl : "");
+  const details = [item.museum, item.dateCreated].filter(Boolean).map(escapeHtml).join(" &middot; ");
+
+  return `<figure>
+  ${imageSrc ? `<img src="${escapeHtml(imageSrc)}" alt="${escapeHtml(item.title)}" loading="lazy">` : ""}
+  <figcaption>
+    <strong>${escapeHtml(item.title || "Untitled")}</strong>
+    ${details ? `<span>${details}</span>` : ""}
+    ${isWebUrl(item.url) ? `<a href="${escapeHtml(item.url)}">View at source</a>` : ""}
+  </figcaption>
+</figure>`;
+};
+
+const renderGallery = (collections, imagePaths) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(collections.length === 1 ? collections[0].name : "CURA collections")}</title>
+<style>
+  body { font-family: Georgia, serif; margin: 2rem; color: #222; background: #faf8f5; }
+  section { margin-bottom: 3rem; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 1.5rem; }
+  figure { margin: 0; background: #fff; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,.15); }
+  img { width: 100%; display: block; }
+  figcaption { padding: .75rem; display: flex; flex-direction: column; gap: .25rem; font-size: .9rem; }
+  figcaption span { color: #666; }
+</style>
+</head>
+<body>
+${collections
+  .map(
+    (collection) => `<section>
+<h1>${escapeHtml(collection.name)}</h1>
+${collection.description ? `<p>${escapeHtml(collection.description)}</p>` : ""}
+<div class="grid">
+${collection.items.map((item) => renderGalleryItem(item, imagePaths)).join("\n")}
+</div>
+</section>`
+  )
+  .join("\n")}
+<footer><small>Exported from CURA on ${escapeHtml(new Date().toLocaleDateString())}</small></footer>
+</body>
+</html>
+`;
+
+/**
+ * Zip of an offline gallery page, index.html, with thumbnails downloaded into images/
+ * Images that can't be downloaded are linked from their source instead
+ * @param {Array} collections - Collections to include
+ * @param {Function} onProgress - Optional ({ done, total }) callback as images download
+ * @returns {Promise<Object>} { blob, missingImages }
+ */
+export const exportCollectionsGallery = async (collections, onProgress) => {
+  const imageUrls = [
+    ...new Set(
+      collections.flatMap((collection) =>
+        collection.items.map((item) => item.media?.thumbnail || getImageUrl(item))
+      )
+    ),
+  ].filter(isWebUrl);
+
+  const images = await downloadImages(imageUrls, onProgress);
+
+  const imagePaths = new Map();
+  const imageFiles = [];
+  [...images.entries()].forEach(([url, image], index) => {
+    const path = `images/${index + 1}.${image.extension}`;
+    imagePaths.set(url, path);
+    imageFiles.push({ name: path, data: image.data });
+  });
+
+  return {
+    blob: createZip([
+      { name: "index.html", data: renderGallery(collections, imagePaths) },
+      ...imageFiles,
+    ]),
+    missingImages: imageUrls.length - images.size,
+  };
+};
+
+/**
+ * Save a file to the user's downloads
+ * @param {Blob|string} content - File content
+ * @param {string} filename - Download name
+ * @param {string} type - MIME type, when content is a string
+ */
+export const downloadFile = (content, filename, type = "text/plain") => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,149 @@
+import { getItemDetails } from "../api/museumService";
+import { createCollectionItem, loadCollections, restoreItemDates } from "./collectionsStorage";
+
+// ================ CONFIG ================
+// Reads collections from a CURA JSON export, or a CSV with (at least) source and id columns
+// CSV rows are grouped into collections by their collection column, otherwise named after the file
+const REQUIRED_CSV_COLUMNS = ["source", "id"];
+// ========================================
+
+
+/**
+ * Parse CSV text (RFC 4180 - quoted cells may hold commas, quotes and line breaks)
+ * @returns {Array} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+// Undo the ' our CSV export adds in front of cells a spreadsheet would read as a formula
+const readCsvCell = (value = "") => value.trim().replace(/^'(?=[=+\-@])/, "");
+
+const getImageUrl = (item) =>
+  item.media?.primaryImage || item.media?.thumbnail || item.media?.fullImage || "";
+
+/**
+ * Items with only a source & ID (or missing a title or image) are filled in from the source's API
+ */
+export const needsHydration = (item) => !item.title || !getImageUrl(item);
+
+const parseCsvCollections = (text, defaultName) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim().toLowerCase().replace(/\s+/g, "_"));
+
+  const missingColumns = REQUIRED_CSV_COLUMNS.filter((name) => !columns.includes(name));
+  if (missingColumns.length > 0) {
+    return { error: `The CSV needs ${missingColumns.join(" and ")} columns` };
+  }
+
+  const byName = new Map();
+  const skipped = [];
+
+  rows.forEach((cells, index) => {
+    const row = Object.fromEntries(columns.map((name, i) => [name, readCsvCell(cells[i])]));
+
+    if (!row.source || !row.id) {
+      // +2 - the header is row 1
+      skipped.push({ reason: `Row ${index + 2} has no source or ID`, entry: cells });
+      return;
+    }
+
+    const name = row.collection || defaultName;
+    if (!byName.has(name)) {
+      byName.set(name, { id: null, name, description: "", items: [] });
+    }
+
+    // Dated like stored items, so rows that aren't hydrated still sort & filter by date
+    byName.get(name).items.push(restoreItemDates({
+      id: row.id,
+      source: row.source,
+      title: row.title || "",
+      museum: row.museum || "",
+      dateCreated: row.date || "",
+      century: row.century || undefined,
+      url: row.url || "",
+      media: { thumbnail: row.image_url || "", primaryImage: row.image_url || "" },
+    }));
+  });
+
+  return { collections: [...byName.values()], skipped };
+};
+
+/**
+ * Read an import file
+ * @param {string} text - File contents
+ * @param {string} filename - File name - picks the format, and names CSV collections without a collection column
+ * @returns {Object} { collections, skipped } - skipped are { reason, entry } that failed validation,
+ *   or { error } when the file can't be imported at all
+ */
+export const parseImportFile = (text, filename = "") => {
+  const baseName = filename.replace(/\.[^.]+$/, "") || "Imported collection";
+
+  if (/\.csv$/i.test(filename)) {
+    return parseCsvCollections(text, baseName);
+  }
+
+  // CURA exports carry the storage schema version, so they're upgraded & validated like stored collections
+  const { collections, quarantined } = loadCollections(text);
+  if (!collections) {
+    return { error: "This file isn't a CURA collections export" };
+  }
+
+  return { collections, skipped: quarantined };
+};
+
+/**
+ * Fill in an item's title, images & dates from its source
+ * @param {Object} item - Item with at least a source & ID
+ * @returns {Promise<Object>} { success, item } or { success: false, error }
+ */
+export const hydrateItem = async (item) => {
+  const result = await getItemDetails(item.source, item.id);
+
+  if (!result.success) {
+    return { success: false, error: result.error?.message || "Couldn't be found" };
+  }
+
+  return {
+    success: true,
+    item: { ...createCollectionItem(result.data), dateAdded: item.dateAdded || new Date().toISOString() },
+  };
+};
@@ -0,0 +1,190 @@
+import { categoriseYear, parseDateRange, parseYearForFiltering } from "./dateUtils";
+
+// ================ CONFIG ================
+// Collections are stored in localStorage as { schemaVersion, collections }
+// Older payloads are upgraded on load by MIGRATIONS, one schema version at a time, then every
+// collection and item is validated - corrupt entries are set aside under QUARANTINE_STORAGE_KEY
+export const COLLECTIONS_STORAGE_KEY = "collections";
+const QUARANTINE_STORAGE_KEY = "collections_quarantine";
+export const COLLECTIONS_SCHEMA_VERSION = 2;
+// ========================================
+
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// IDs are only unique within a source (eg. Met and AIC both use plain numbers), so items are keyed on source + ID
+export const getCollectionItemKey = (item) => `${item.source}:${item.id}`;
+
+/**
+ * Snapshot of an item saved into a collection - the fields collections display, sort & filter on
+ * @param {Object} item - Search result or item details
+ * @returns {Object} Collection item
+ */
+export const createCollectionItem = (item) => ({
+  id: item.id,
+  title: item.title,
+  description: item.description,
+  media: {
+    thumbnail: item.media?.thumbnail,
+    primaryImage: item.media?.primaryImage,
+    fullImage: item.media?.fullImage,
+  },
+  museum: item.museum,
+  source: item.source,
+  dateCreated: item.dateCreated,
+  filterDate: item.filterDate,
+  dateRange: item.dateRange || null,
+  century: item.century,
+  url: item.url,
+  dateAdded: new Date().toISOString(),
+});
+
+/**
+ * Fill in an item's filterDate, dateRange & century from its dateCreated where missing
+ * Items added while creating a collection used to be saved without them, as are imported CSV rows
+ */
+export const restoreItemDates = (item) => {
+  if (!isObject(item)) return item;
+
+  const filterDate = item.filterDate ?? parseYearForFiltering(item.dateCreated);
+  return {
+    ...item,
+    filterDate,
+    dateRange: item.dateRange ?? parseDateRange(item.dateCreated),
+    century: item.century ?? categoriseYear(filterDate),
+  };
+};
+
+// Each migration upgrades a payload from the schema version before it
+const MIGRATIONS = {
+  // Version 1 was a bare array of collections
+  2: (collections) => ({
+    schemaVersion: 2,
+    collections: collections.map((collection) =>
+      isObject(collection)
+        ? {
+            ...collection,
+            version: collection.version || 1,
+            items: Array.isArray(collection.items)
+              ? collection.items.map(restoreItemDates)
+              : collection.items,
+          }
+        : collection
+    ),
+  }),
+};
+
+/**
+ * Upgrade a stored payload to the current schema
+ * @param {Array|Object} payload - Parsed localStorage value
+ * @returns {Object|null} { schemaVersion, collections }, or null when it isn't a collections payload
+ */
+export const migrateCollections = (payload) => {
+  let schemaVersion = Array.isArray(payload) ? 1 : payload?.schemaVersion;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) return null;
+
+  let migrated = payload;
+  while (schemaVersion < COLLECTIONS_SCHEMA_VERSION) {
+    schemaVersion += 1;
+    migrated = MIGRATIONS[schemaVersion](migrated);
+  }
+
+  // Saved by a newer version of the app - read what this version understands
+  if (schemaVersion > COLLECTIONS_SCHEMA_VERSION) {
+    console.warn(`Collections saved with newer schema version ${schemaVersion}`);
+  }
+
+  return Array.isArray(migrated?.collections) ? migrated : null;
+};
+
+const getItemProblem = (item) => {
+  if (!isObject(item)) return "Item is not an object";
+  if ((typeof item.id !== "string" && typeof item.id !== "number") || item.id === "") {
+    return "Item has no ID";
+  }
+  if (typeof item.source !== "string") return "Item has no source";
+  return null;
+};
+
+const getCollectionProblem = (collection, seenIds) => {
+  if (!isObject(collection)) return "Collection is not an object";
+  if (typeof collection.id !== "string" || !collection.id) return "Collection has no ID";
+  if (seenIds.has(collection.id)) return "Duplicate collection ID";
+  if (typeof collection.name !== "string") return "Collection has no name";
+  if (!Array.isArray(collection.items)) return "Collection has no items list";
+  return null;
+};
+
+/**
+ * Parse, upgrade and validate stored collections
+ * @param {string} raw - The localStorage value
+ * @returns {Object} { collections, quarantined } - collections is null when the payload can't be read at all.
+ *   quarantined entries are { reason, entry, collectionId }, collectionId set for items
+ */
+export const loadCollections = (raw) => {
+  if (!raw) return { collections: [], quarantined: [] };
+
+  let payload = null;
+  try {
+    payload = migrateCollections(JSON.parse(raw));
+  } catch (err) {
+    console.error("Error reading stored collections:", err);
+  }
+
+  if (!payload) {
+    return {
+      collections: null,
+      quarantined: [{ reason: "Unreadable collections data", entry: raw }],
+    };
+  }
+
+  const collections = [];
+  const quarantined = [];
+  const seenIds = new Set();
+
+  payload.collections.forEach((collection) => {
+    const problem = getCollectionProblem(collection, seenIds);
+    if (problem) {
+      quarantined.push({ reason: problem, entry: collection });
+      return;
+    }
+    seenIds.add(collection.id);
+
+    const items = collection.items.filter((item) => {
+      const itemProblem = getItemProblem(item);
+      if (itemProblem) {
+        quarantined.push({ reason: itemProblem, entry: item, collectionId: collection.id });
+      }
+      return !itemProblem;
+    });
+
+    collections.push(items.length === collection.items.length ? collection : { ...collection, items });
+  });
+
+  return { collections, quarantined };
+};
+
+export const serializeCollections = (collections) =>
+  JSON.stringify({ schemaVersion: COLLECTIONS_SCHEMA_VERSION, collections });
+
+/**
+ * Keep entries that failed validation, so they can be recovered rather than lost
+ * @param {Array} entries - Quarantined entries from loadCollections
+ */
+export const quarantineEntries = (entries) => {
+  try {
+    const existing = JSON.parse(localStorage.getItem(QUARANTINE_STORAGE_KEY) || "[]");
+    const quarantinedAt = new Date().toISOString();
+
+    localStorage.setItem(
+      QUARANTINE_STORAGE_KEY,
+      JSON.stringify([
+        ...(Array.isArray(existing) ? existing : []),
+        ...entries.map((entry) => ({ ...entry, quarantinedAt })),
+      ])
+    );
+  } catch (err) {
+    console.error("Error quarantining collections:", err);
+  }
+};
@@ -0,0 +1,181 @@
+import { getCollectionItemKey } from "./collectionsStorage";
+
+// ================ CONFIG ================
+// Merges collection edits made in different tabs
+// Every collection carries a version, bumped on each change. A tab remembers the collections it last
+// read from or wrote to localStorage (the base) - comparing versions with the base shows which side changed
+
+// Collection fields that aren't merged field by field
+const MERGE_SKIPPED_FIELDS = ["id", "items", "version", "dateModified"];
+// ========================================
+
+
+const indexById = (collections) =>
+  new Map(collections.map((collection) => [collection.id, collection]));
+
+const isChanged = (collection, baseCollection) =>
+  !baseCollection || (collection.version || 0) !== (baseCollection.version || 0);
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Mark a collection as changed - its version is how other tabs tell who changed what
+ * @param {Object} collection - Collection being changed
+ * @param {Object} changes - Fields to update
+ * @returns {Object} Updated collection
+ */
+export const touchCollection = (collection, changes = {}) => ({
+  ...collection,
+  ...changes,
+  version: (collection.version || 0) + 1,
+  dateModified: new Date().toISOString(),
+});
+
+/**
+ * Items added on either side are kept, items removed on either side are dropped
+ */
+const mergeItems = (baseItems = [], localItems = [], remoteItems = []) => {
+  const baseKeys = new Set(baseItems.map(getCollectionItemKey));
+  const localKeys = new Set(localItems.map(getCollectionItemKey));
+  const remoteKeys = new Set(remoteItems.map(getCollectionItemKey));
+
+  const keptLocal = localItems.filter((item) => {
+    const key = getCollectionItemKey(item);
+    return remoteKeys.has(key) || !baseKeys.has(key);
+  });
+  const addedRemotely = remoteItems.filter((item) => {
+    const key = getCollectionItemKey(item);
+    return !localKeys.has(key) && !baseKeys.has(key);
+  });
+
+  return [...keptLocal, ...addedRemotely];
+};
+
+const getItemOrders = (items = []) =>
+  new Map(items.map((item) => [getCollectionItemKey(item), item.order]));
+
+// Any item moved since the base - items added since have no base position to compare
+const isReordered = (items = [], baseOrders) =>
+  items.some((item) => {
+    const key = getCollectionItemKey(item);
+    return baseOrders.has(key) && baseOrders.get(key) !== item.order;
+  });
+
+/**
+ * Item positions are merged as one arrangement, not item by item - the side that reordered since the
+ * base wins, or the most recently modified side when both did and a conflict is reported
+ */
+const mergeItemOrder = (baseItems, local, remote, items, remoteIsNewer, conflicts) => {
+  const baseOrders = getItemOrders(baseItems);
+  const localOrders = getItemOrders(local.items);
+  const remoteOrders = getItemOrders(remote.items);
+  const localReordered = isReordered(local.items, baseOrders);
+  const remoteReordered = isReordered(remote.items, baseOrders);
+
+  if (!localReordered && !remoteReordered) return items;
+
+  const useRemote = remoteReordered && (!localReordered || remoteIsNewer);
+  const orders = useRemote ? remoteOrders : localOrders;
+
+  if (localReordered && remoteReordered) {
+    const isSameOrder = [...localOrders].every(
+      ([key, order]) => !remoteOrders.has(key) || remoteOrders.get(key) === order
+    );
+    if (!isSameOrder) {
+      conflicts.push(`"${local.name}" was reordered in two tabs - the most recent order was kept`);
+    }
+  }
+
+  // Items the winning side doesn't have follow the arrangement, as newly added items do
+  return items.map((item) => {
+    const merged = { ...item, order: orders.get(getCollectionItemKey(item)) };
+    if (merged.order === undefined) delete merged.order;
+    return merged;
+  });
+};
+
+/**
+ * Merge a collection changed in both tabs - a field changed to different values in each can't be
+ * merged, so the most recently modified side wins and a conflict is reported
+ */
+const mergeCollection = (baseCollection = {}, local, remote, conflicts) => {
+  const remoteIsNewer = (remote.dateModified || "") > (local.dateModified || "");
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  const merged = { ...local };
+
+  fields.forEach((field) => {
+    if (MERGE_SKIPPED_FIELDS.includes(field)) return;
+
+    const localValue = local[field];
+    const remoteValue = remote[field];
+    if (isSameValue(localValue, remoteValue)) return;
+
+    if (isSameValue(localValue, baseCollection[field])) {
+      merged[field] = remoteValue;
+    } else if (!isSameValue(remoteValue, baseCollection[field])) {
+      merged[field] = remoteIsNewer ? remoteValue : localValue;
+      conflicts.push(
+        `"${merged.name}" had its ${field} changed in two tabs - the most recent change was kept`
+      );
+    }
+  });
+
+  return {
+    ...merged,
+    items: mergeItemOrder(
+      baseCollection.items,
+      local,
+      remote,
+      mergeItems(baseCollection.items, local.items, remote.items),
+      remoteIsNewer,
+      conflicts
+    ),
+    version: Math.max(local.version || 0, remote.version || 0) + 1,
+    dateModified: remoteIsNewer ? remote.dateModified : local.dateModified,
+  };
+};
+
+/**
+ * Three-way merge of this tab's collections with ones saved by another tab
+ * @param {Array} base - Collections both tabs last agreed on
+ * @param {Array} local - This tab's collections
+ * @param {Array} remote - Collections saved by the other tab
+ * @returns {Object} { collections, conflicts } - conflicts are messages for edits that couldn't both be kept
+ */
+export const mergeCollections = (base = [], local = [], remote = []) => {
+  const baseById = indexById(base);
+  const localById = indexById(local);
+  const remoteById = indexById(remote);
+  const conflicts = [];
+
+  const ids = [
+    ...new Set([...local.map((collection) => collection.id), ...remoteById.keys()]),
+  ];
+
+  const collections = ids
+    .map((id) => {
+      const baseCollection = baseById.get(id);
+      const localCollection = localById.get(id);
+      const remoteCollection = remoteById.get(id);
+
+      // Deleted in one tab - unless the other tab changed it meanwhile
+      if (!localCollection || !remoteCollection) {
+        const remaining = localCollection || remoteCollection;
+        if (!baseCollection) return remaining;
+        if (!isChanged(remaining, baseCollection)) return null;
+
+        conflicts.push(
+          `"${remaining.name}" was deleted in one tab but changed in another - it has been kept`
+        );
+        return remaining;
+      }
+
+      if (!isChanged(remoteCollection, baseCollection)) return localCollection;
+      if (!isChanged(localCollection, baseCollection)) return remoteCollection;
+
+      return mergeCollection(baseCollection, localCollection, remoteCollection, conflicts);
+    })
+    .filter(Boolean);
+
+  return { collections, conflicts };
+};
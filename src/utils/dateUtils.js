@@ -52,6 +52,12 @@ export const parseYearForFiltering = (dateCreated) => {
     return Math.round((start + end) / 2);
   }
   
+  // Handle centuries written as years: "1500s" -> 1550 (midpoint, matching "16th century")
+  const centuryYearsMatch = dateStr.match(/\b(\d{2})00s/);
+  if (centuryYearsMatch) {
+    return parseInt(centuryYearsMatch[1]) * 100 + 50;
+  }
+
   // Handle decades: "1890s" -> 1890
   const decadeMatch = dateStr.match(/(\d+)s/);
   if (decadeMatch) {
@@ -93,6 +99,23 @@ export const parseYearForFiltering = (dateCreated) => {
   return null;
 };
 
+/**
+ * Parse year from numeric start/end years (eg. AIC date_start/date_end)
+ * @param {number} start - Start year (negative for BCE)
+ * @param {number} end - End year (negative for BCE)
+ * @returns {number|null} - Midpoint year, matching how string ranges are parsed, or null if neither is valid
+ */
+export const parseYearFromRange = (start, end) => {
+  const validStart = Number.isInteger(start) ? start : null;
+  const validEnd = Number.isInteger(end) ? end : null;
+
+  if (validStart === null && validEnd === null) return null;
+  if (validStart === null) return validEnd;
+  if (validEnd === null) return validStart;
+
+  return Math.round((validStart + validEnd) / 2);
+};
+
 /**
  * Format display date from filterDate
  * @param {number} filterDate - Numeric year (negative for BCE)
@@ -152,80 +175,345 @@ export const categoriseYear = (year) => {
   return 'unknown';
 };
 
+// ================ DATE RANGE PARSING ================
+// A single midpoint year makes "1850–1900" look as precise as "1875", so items also carry
+// a dateRange: { earliest, latest, display, certainty }
+// "before 1900" / "after 1900" are open on one end - the open end is null
+
+// Years either side of a circa date, eg. "c. 1920" -> 1915–1925
+const CIRCA_MARGIN = 5;
+
+const UNDATED_PATTERN = /^(n\.?\s?d\.?|undated|no date|date unknown|unknown)$/i;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})(?:-(\d{2}))?(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const BCE_PATTERN = /(?<![a-z])B\.?\s?C\.?(?:\s?E\.?)?(?![a-z])/i;
+const CE_PATTERN = /(?<![a-z])(?:C\.?\s?E\.?|A\.?\s?D\.?)(?![a-z])/i;
+const CIRCA_PATTERN = /(?:^|\s|\()(?:c\.?|ca\.?|circa|about|approx\.?|approximately)\s*(?=\d)/i;
+const CENTURY_RANGE_PATTERN = /(\d{1,2})(?:st|nd|rd|th)?\s*(?:[-–—]|\bto\b)\s*(\d{1,2})(?:st|nd|rd|th)\s+centur/i;
+const CENTURY_PATTERN = /(?:(early|mid|middle|late)[\s-]+)?(\d{1,2})(?:st|nd|rd|th)[\s-]+centur/i;
+const ERA_SPANNING_RANGE_PATTERN = /(\d{1,4})\s*B\.?\s?C\.?(?:\s?E\.?)?\s*(?:[-–—]|\bto\b)\s*(?:A\.?\s?D\.?\s*)?(\d{1,4})/i;
+const YEAR_RANGE_PATTERN = /(\d{1,4})(s)?\s*(?:[-–—/]|\bto\b)\s*(\d{1,4})(s)?/i;
+// A round hundred is the whole century, eg. "1500s" -> 1500–1599
+const CENTURY_YEARS_PATTERN = /(?<!\d)(\d{2}00)s/;
+const DECADE_PATTERN = /(\d{2,3}0)s/;
+// Only when a date follows, so "after Rembrandt, 1650" is still 1650
+const OPEN_RANGE_PATTERN = /^(before|after)\s+(?=(?:c\.?|ca\.?|circa)?\s*\d)/i;
+// A dash on one end only, eg. "1850-" (from 1850) or "-1850" (up to 1850), as the advanced search writes
+const OPEN_YEAR_RANGE_PATTERN = /^[-–—]\s*(\d.*)$|^(.*\d.*?)\s*[-–—]$/;
+// Prefer 3-4 digit numbers so "May 5, 1890" finds 1890, not 5
+const YEAR_PATTERN = /(?<!\d)(\d{3,4})(?!\d)/;
+const SHORT_YEAR_PATTERN = /(?<!\d)(\d{1,2})(?!\d)/;
+
+const createDateRange = (earliest, latest, display, certainty) => ({
+  earliest,
+  latest,
+  display,
+  certainty,
+});
+
+// eg. 19th century CE -> 1800–1899, 5th century BCE -> -500 to -401
+const getCenturyBounds = (centuryNumber, isBce) => {
+  if (isBce) {
+    return { start: -centuryNumber * 100, end: -(centuryNumber - 1) * 100 - 1 };
+  }
+  return { start: centuryNumber === 1 ? 1 : (centuryNumber - 1) * 100, end: centuryNumber * 100 - 1 };
+};
+
+// Early/mid/late take the first, middle or last third of the century
+const getCenturyPart = ({ start, end }, part) => {
+  if (!part) return { start, end };
+
+  const third = Math.floor((end - start + 1) / 3);
+  const key = part.toLowerCase();
+
+  if (key === "early") return { start, end: start + third - 1 };
+  if (key === "late") return { start: end - third + 1, end };
+  return { start: start + third, end: end - third };
+};
+
+// "1850-60" means 1850–1860, "1923-05" is an ISO month (end before start)
+const expandAbbreviatedYear = (start, endDigits) => {
+  if (endDigits.length >= String(start).length) return parseInt(endDigits, 10);
+
+  const prefix = String(start).slice(0, String(start).length - endDigits.length);
+  return parseInt(prefix + endDigits, 10);
+};
+
 /**
- * Get label for century category
- * @param {string} category - Century category
- * @returns {string} - Human-readable label
+ * Parse a free-text date into a year range
+ * Handles circa dates, ranges, decades, (early/mid/late) centuries, BCE/BC, ISO dates, "n.d."
+ * and open-ended dates - "before 1900", "after 1900", "1850-" and "-1850"
+ * @param {string} dateStr - Date string from item, eg. "c. 1920", "1850–1900", "late 19th century"
+ * @returns {Object|null} - { earliest, latest, display, certainty } - years are negative for BCE,
+ *   certainty is 'exact', 'circa', 'range', 'decade', 'century', 'open' or 'undated'. The open end
+ *   of an 'open' range is null. null if unparseable
  */
-export const getCenturyLabel = (category) => {
-  const labels = {
-    'all': 'All periods',
-    'ancient': 'Ancient (BCE)',
-    '1st': '1st Century',
-    '2nd': '2nd Century',
-    '3rd': '3rd Century',
-    '4th': '4th Century',
-    '5th': '5th Century',
-    '6th': '6th Century',
-    '7th': '7th Century',
-    '8th': '8th Century',
-    '9th': '9th Century',
-    '10th': '10th Century',
-    '11th': '11th Century',
-    '12th': '12th Century',
-    '13th': '13th Century',
-    '14th': '14th Century',
-    '15th': '15th Century',
-    '16th': '16th Century',
-    '17th': '17th Century',
-    '18th': '18th Century',
-    '19th': '19th Century',
-    '20th': '20th Century',
-    '21st': '21st Century',
-    'unknown': 'Unknown date'
-  };
-  
-  return labels[category] || category;
+export const parseDateRange = (dateStr) => {
+  if (!dateStr || typeof dateStr !== "string") return null;
+
+  const display = dateStr.trim();
+  if (!display) return null;
+
+  if (UNDATED_PATTERN.test(display)) {
+    return createDateRange(null, null, display, "undated");
+  }
+
+  // "before 1900" -> up to 1899, "after 19th century" -> from 1900
+  const openMatch = display.match(OPEN_RANGE_PATTERN);
+  if (openMatch) {
+    const bound = parseDateRange(display.slice(openMatch[0].length));
+    if (!bound || bound.earliest === null || bound.latest === null) return null;
+
+    return openMatch[1].toLowerCase() === "before"
+      ? createDateRange(null, bound.earliest - 1, display, "open")
+      : createDateRange(bound.latest + 1, null, display, "open");
+  }
+
+  const openYearMatch = display.match(OPEN_YEAR_RANGE_PATTERN);
+  if (openYearMatch) {
+    const bound = parseDateRange(openYearMatch[1] ?? openYearMatch[2]);
+    if (!bound || bound.earliest === null || bound.latest === null) return null;
+
+    return openYearMatch[1] !== undefined
+      ? createDateRange(null, bound.latest, display, "open")
+      : createDateRange(bound.earliest, null, display, "open");
+  }
+
+  const isoMatch = display.match(ISO_DATE_PATTERN);
+  if (isoMatch && parseInt(isoMatch[2], 10) >= 1 && parseInt(isoMatch[2], 10) <= 12) {
+    const year = parseInt(isoMatch[1], 10);
+    const isAbbreviatedRange = !isoMatch[3] && expandAbbreviatedYear(year, isoMatch[2]) >= year;
+    if (!isAbbreviatedRange) {
+      return createDateRange(year, year, display, "exact");
+    }
+  }
+
+  const isBce = BCE_PATTERN.test(display);
+  const sign = isBce ? -1 : 1;
+  const isCirca = CIRCA_PATTERN.test(display);
+  const hasEra = isBce || CE_PATTERN.test(display);
+
+  const centuryRangeMatch = display.match(CENTURY_RANGE_PATTERN);
+  if (centuryRangeMatch) {
+    const first = getCenturyBounds(parseInt(centuryRangeMatch[1], 10), isBce);
+    const second = getCenturyBounds(parseInt(centuryRangeMatch[2], 10), isBce);
+    return createDateRange(
+      Math.min(first.start, second.start),
+      Math.max(first.end, second.end),
+      display,
+      "century"
+    );
+  }
+
+  const centuryMatch = display.match(CENTURY_PATTERN);
+  if (centuryMatch) {
+    const { start, end } = getCenturyPart(
+      getCenturyBounds(parseInt(centuryMatch[2], 10), isBce),
+      centuryMatch[1]
+    );
+    return createDateRange(start, end, display, "century");
+  }
+
+  // "100 BC – AD 100" spans both eras
+  const eraSpanningMatch = display.match(ERA_SPANNING_RANGE_PATTERN);
+  if (eraSpanningMatch && CE_PATTERN.test(display)) {
+    return createDateRange(
+      -parseInt(eraSpanningMatch[1], 10),
+      parseInt(eraSpanningMatch[2], 10),
+      display,
+      "range"
+    );
+  }
+
+  const rangeMatch = display.match(YEAR_RANGE_PATTERN);
+  // Bare 1-2 digit starts are more likely days or months, eg. "5/12/1890"
+  if (rangeMatch && (rangeMatch[1].length > 2 || hasEra)) {
+    const start = parseInt(rangeMatch[1], 10);
+    const end = expandAbbreviatedYear(start, rangeMatch[3]);
+    // Decade endings cover the whole decade, eg. "1850s–1900s" -> 1850–1909,
+    // unless both ends are round hundreds, eg. "1500s–1600s" -> 1500–1699
+    const isCenturySpan = rangeMatch[2] && rangeMatch[4] && start % 100 === 0 && end % 100 === 0;
+    const endSpan = rangeMatch[4] ? (isCenturySpan ? 99 : 9) : 0;
+
+    if (isBce) {
+      // "4000-2500BC" - larger numbers are earlier
+      return createDateRange(-Math.max(start, end), -Math.min(start, end) + endSpan, display, "range");
+    }
+    if (end >= start) {
+      return createDateRange(start, end + endSpan, display, "range");
+    }
+  }
+
+  const centuryYearsMatch = display.match(CENTURY_YEARS_PATTERN);
+  if (centuryYearsMatch) {
+    const century = parseInt(centuryYearsMatch[1], 10) * sign;
+    return isBce
+      ? createDateRange(century - 99, century, display, "century")
+      : createDateRange(century, century + 99, display, "century");
+  }
+
+  const decadeMatch = display.match(DECADE_PATTERN);
+  if (decadeMatch) {
+    const decade = parseInt(decadeMatch[1], 10) * sign;
+    return isBce
+      ? createDateRange(decade - 9, decade, display, "decade")
+      : createDateRange(decade, decade + 9, display, "decade");
+  }
+
+  // Bare 1-2 digit numbers are more likely day or catalogue numbers than years
+  const yearMatch = display.match(YEAR_PATTERN) || (hasEra && display.match(SHORT_YEAR_PATTERN));
+  if (yearMatch) {
+    const year = parseInt(yearMatch[1], 10);
+    if (year === 0) return null;
+
+    const signedYear = year * sign;
+    return isCirca
+      ? createDateRange(signedYear - CIRCA_MARGIN, signedYear + CIRCA_MARGIN, display, "circa")
+      : createDateRange(signedYear, signedYear, display, "exact");
+  }
+
+  return null;
+};
+
+/**
+ * Build a date range from numeric start/end years (eg. AIC date_start/date_end)
+ * @param {number} start - Start year (negative for BCE)
+ * @param {number} end - End year (negative for BCE)
+ * @param {string} display - Original display date
+ * @returns {Object|null} - { earliest, latest, display, certainty }, or null if neither year is valid
+ */
+export const dateRangeFromYears = (start, end, display = "") => {
+  const validStart = Number.isInteger(start) ? start : null;
+  const validEnd = Number.isInteger(end) ? end : null;
+
+  if (validStart === null && validEnd === null) return null;
+
+  const earliest = Math.min(validStart ?? validEnd, validEnd ?? validStart);
+  const latest = Math.max(validStart ?? validEnd, validEnd ?? validStart);
+
+  return createDateRange(
+    earliest,
+    latest,
+    display || formatDisplayDate(earliest),
+    earliest !== latest ? "range" : CIRCA_PATTERN.test(display) ? "circa" : "exact"
+  );
 };
 
 /**
- * Calculate count of items in each century category
+ * Year range used for filtering & sorting an item - its dateRange, or its filterDate as a single year
+ * Open-ended ranges, eg. "before 1900", count as their known year
+ * @param {Object} item - Search result item
+ * @returns {Object|null} - { earliest, latest }, or null if the item is undated
+ */
+export const getItemYearRange = (item) => {
+  const range = item?.dateRange;
+  if (range && (Number.isInteger(range.earliest) || Number.isInteger(range.latest))) {
+    return { earliest: range.earliest ?? range.latest, latest: range.latest ?? range.earliest };
+  }
+
+  if (Number.isInteger(item?.filterDate)) {
+    return { earliest: item.filterDate, latest: item.filterDate };
+  }
+
+  return null;
+};
+
+// ================ YEAR RANGE FILTERING ================
+
+// Histograms switch from century to decade bins once the visible span is this narrow
+const DECADE_BIN_MAX_SPAN = 300;
+
+/**
+ * Earliest and latest year across items' date ranges
  * @param {Array} items - Array of search result items
- * @returns {Object} - Object with centuries property containing counts
+ * @returns {Object|null} - { min, max }, or null if no item is dated
+ */
+export const getYearExtent = (items) => {
+  let min = Infinity;
+  let max = -Infinity;
+
+  items.forEach((item) => {
+    const range = getItemYearRange(item);
+    if (!range) return;
+    min = Math.min(min, range.earliest);
+    max = Math.max(max, range.latest);
+  });
+
+  return min === Infinity ? null : { min, max };
+};
+
+/**
+ * Year range for a century category - converts legacy ?century= links
+ * @param {string} category - Century category, eg. '19th' or 'ancient'
+ * @returns {Object|null} - { from, to }, or null for 'all' / 'unknown'
  */
-export const calculateCenturyCounts = (items) => {
-  const centuries = {
-    all: items.length,
-    ancient: 0,
-    '1st': 0,
-    '2nd': 0,
-    '3rd': 0,
-    '4th': 0,
-    '5th': 0,
-    '6th': 0,
-    '7th': 0,
-    '8th': 0,
-    '9th': 0,
-    '10th': 0,
-    '11th': 0,
-    '12th': 0,
-    '13th': 0,
-    '14th': 0,
-    '15th': 0,
-    '16th': 0,
-    '17th': 0,
-    '18th': 0,
-    '19th': 0,
-    '20th': 0,
-    '21st': 0,
-    unknown: 0,
+export const getCenturyYearRange = (category) => {
+  if (category === "ancient") return { from: null, to: -1 };
+
+  const centuryNumber = parseInt(category, 10);
+  if (!centuryNumber) return null;
+
+  // 1st century is 1-99, otherwise eg. 19th is 1800-1899 (matching categoriseYear)
+  return {
+    from: centuryNumber === 1 ? 1 : (centuryNumber - 1) * 100,
+    to: centuryNumber === 21 ? null : centuryNumber * 100 - 1,
   };
+};
+
+/**
+ * Filter items to a year range
+ * Items match if their date range overlaps it, so 1850–1900 matches a filter of 1880–1889
+ * @param {Array} items - Array of search result items
+ * @param {Object} yearRange - { from, to, includeUndated } - null bounds are open
+ * @returns {Array} - Items overlapping the range (plus undated items when includeUndated)
+ */
+export const filterByYearRange = (items, { from = null, to = null, includeUndated = true } = {}) => {
+  if (from === null && to === null && includeUndated) return items;
+
+  return items.filter((item) => {
+    const range = getItemYearRange(item);
+    if (!range) return includeUndated;
+    return (from === null || range.latest >= from) && (to === null || range.earliest <= to);
+  });
+};
+
+/**
+ * Count dated items per decade or century across a year range
+ * An item spanning several bins is counted in each of them
+ * @param {Array} items - Array of search result items
+ * @param {Object} range - { from, to } - visible range, defaults to the items' extent
+ * @returns {Object} - { binSize, bins: [{ start, end, count }], undatedCount }
+ */
+export const calculateYearHistogram = (items, { from = null, to = null } = {}) => {
+  const undatedCount = items.filter((item) => !getItemYearRange(item)).length;
+  const extent = getYearExtent(items);
+
+  if (!extent) {
+    return { binSize: 100, bins: [], undatedCount };
+  }
+
+  const start = from ?? extent.min;
+  const end = to ?? extent.max;
+  const binSize = end - start <= DECADE_BIN_MAX_SPAN ? 10 : 100;
+
+  // Math.floor keeps BCE bins aligned, eg. -450 falls in -500 to -401
+  const firstBin = Math.floor(start / binSize) * binSize;
+  const lastBin = Math.floor(end / binSize) * binSize;
+
+  const bins = [];
+  for (let binStart = firstBin; binStart <= lastBin; binStart += binSize) {
+    bins.push({ start: binStart, end: binStart + binSize - 1, count: 0 });
+  }
 
   items.forEach((item) => {
-    const year = parseYearForFiltering(item.dateCreated);
-    const category = categoriseYear(year);
-    centuries[category]++;
+    const range = getItemYearRange(item);
+    if (!range || range.latest < start || range.earliest > end) return;
+
+    const firstIndex = Math.floor(Math.max(range.earliest, start) / binSize) - firstBin / binSize;
+    const lastIndex = Math.floor(Math.min(range.latest, end) / binSize) - firstBin / binSize;
+    for (let index = firstIndex; index <= lastIndex; index++) {
+      bins[index].count++;
+    }
   });
 
-  return { centuries };
-};
\ No newline at end of file
+  return { binSize, bins, undatedCount };
+};
@@ -0,0 +1,91 @@
+/**
+ * Facet groups shown in FilterMenu - key is the URL param, field is read from each item
+ */
+export const FACET_GROUPS = [
+  { key: "source", field: "source", label: "Source" },
+  { key: "museum", field: "museum", label: "Museum" },
+  { key: "country", field: "country", label: "Country" },
+  { key: "type", field: "mediaType", label: "Type" },
+];
+
+/**
+ * Empty selection for every facet group
+ * @returns {Object} - eg. { source: [], museum: [], country: [], type: [] }
+ */
+export const createEmptyFacets = () =>
+  Object.fromEntries(FACET_GROUPS.map(({ key }) => [key, []]));
+
+const getFacetValue = (item, field) => {
+  const value = item[field];
+  return typeof value === "string" ? value.trim() : "";
+};
+
+const matchesFacetGroup = (item, group, selectedValues) =>
+  !selectedValues?.length || selectedValues.includes(getFacetValue(item, group.field));
+
+/**
+ * Filter items by selected facets - values within a group are OR'd, groups are AND'd
+ * @param {Array} items - Search result items
+ * @param {Object} selectedFacets - Selected values per group key
+ * @param {string} excludeGroup - Group key to ignore, used for that group's own counts
+ * @returns {Array} - Matching items
+ */
+export const filterByFacets = (items, selectedFacets, excludeGroup = null) => {
+  const activeGroups = FACET_GROUPS.filter(
+    ({ key }) => key !== excludeGroup && selectedFacets?.[key]?.length > 0
+  );
+
+  if (activeGroups.length === 0) return items;
+
+  return items.filter((item) =>
+    activeGroups.every((group) => matchesFacetGroup(item, group, selectedFacets[group.key]))
+  );
+};
+
+/**
+ * Calculate count of items for each value in every facet group
+ * Each group is counted against items filtered by the other groups only,
+ * so selecting a value doesn't zero out its siblings
+ * @param {Array} items - Array of search result items
+ * @param {Object} selectedFacets - Selected values per group key
+ * @returns {Object} - eg. { source: { europeana: 120, met: 40 }, museum: {...}, ... }
+ */
+export const calculateFacetCounts = (items, selectedFacets = {}) => {
+  const counts = {};
+
+  FACET_GROUPS.forEach((group) => {
+    const groupCounts = {};
+
+    filterByFacets(items, selectedFacets, group.key).forEach((item) => {
+      const value = getFacetValue(item, group.field);
+      if (value) {
+        groupCounts[value] = (groupCounts[value] || 0) + 1;
+      }
+    });
+
+    counts[group.key] = groupCounts;
+  });
+
+  return counts;
+};
+
+/**
+ * Read facet selections from URL params - each value is a repeated param, eg. museum=A&museum=B
+ * @param {URLSearchParams} searchParams
+ */
+export const readFacetsFromParams = (searchParams) =>
+  Object.fromEntries(
+    FACET_GROUPS.map(({ key }) => [key, searchParams.getAll(key).filter(Boolean)])
+  );
+
+/**
+ * Write facet selections onto URL params, replacing any existing values
+ * @param {URLSearchParams} searchParams - Mutated in place
+ * @param {Object} selectedFacets
+ */
+export const writeFacetsToParams = (searchParams, selectedFacets) => {
+  FACET_GROUPS.forEach(({ key }) => {
+    searchParams.delete(key);
+    (selectedFacets?.[key] || []).forEach((value) => searchParams.append(key, value));
+  });
+};
@@ -0,0 +1,325 @@
+// ================ SEARCH QUERY SYNTAX ================
+// eg. creator:"Hokusai" AND wave -print
+// Queries are parsed once into clauses, then each repository translates them into its own
+// API's syntax. Clauses are read left to right - parentheses aren't supported.
+
+export const QUERY_FIELDS = ["title", "creator", "museum", "place", "date", "source", "rights"];
+
+// Fields that choose which sources / licences are searched, rather than matching text
+export const SCOPE_FIELDS = ["source", "rights"];
+
+// rights: values - Met, AIC, Rijksmuseum and Smithsonian results are already public domain / CC0
+export const QUERY_RIGHTS = {
+  open: "Open licence - free to reuse",
+  publicdomain: "Public domain / CC0 only",
+};
+
+const OPERATORS = ["AND", "OR", "NOT"];
+
+// Lucene/Solr special characters - * and ? are left alone so wildcards still work
+const LUCENE_SPECIAL_CHARACTERS = /[+\-!(){}[\]^"~:\\/&|]/g;
+
+const normaliseText = (text) =>
+  (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+/**
+ * Split query text into terms and operators
+ * @returns {Object} { tokens, warnings }
+ */
+const tokenise = (text) => {
+  const tokens = [];
+  const warnings = new Set();
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === "(" || char === ")") {
+      warnings.add("Brackets aren't supported - terms are combined left to right");
+      position++;
+      continue;
+    }
+
+    let excluded = false;
+    if ((char === "-" || char === "+") && position + 1 < text.length && !/\s/.test(text[position + 1])) {
+      excluded = char === "-";
+      position++;
+    }
+
+    let field = null;
+    const fieldMatch = text.slice(position).match(/^([a-z]+):(?=\S)/i);
+    if (fieldMatch) {
+      const name = fieldMatch[1].toLowerCase();
+      if (QUERY_FIELDS.includes(name)) {
+        field = name;
+      } else {
+        warnings.add(`Unknown field "${fieldMatch[1]}:" was searched as plain text`);
+      }
+      position += fieldMatch[0].length;
+    }
+
+    let value;
+    let phrase = false;
+    if (text[position] === '"') {
+      const closingQuote = text.indexOf('"', position + 1);
+      const end = closingQuote === -1 ? text.length : closingQuote;
+      value = text.slice(position + 1, end).trim();
+      phrase = true;
+      position = end + 1;
+    } else {
+      const end = text.slice(position).search(/[\s()]/);
+      value = end === -1 ? text.slice(position) : text.slice(position, position + end);
+      position += value.length;
+    }
+
+    if (!value) continue;
+
+    // Operators must be upper case, so "salt and pepper" stays a plain search
+    if (!field && !phrase && !excluded && OPERATORS.includes(value)) {
+      tokens.push({ type: "operator", value });
+    } else {
+      tokens.push({ type: "term", field, value, phrase, excluded });
+    }
+  }
+
+  return { tokens, warnings };
+};
+
+/**
+ * Parse search text into clauses
+ * Understands title:, creator:, museum:, place: and date: fields, "quoted phrases",
+ * AND / OR / NOT (upper case) and -exclusions. Terms without an operator are AND'd
+ * @param {string} text - Query text from SearchBar
+ * @returns {Object} - { clauses, warnings } - each clause is { field, value, phrase, negated, operator },
+ *   where operator ('AND' / 'OR') joins it to the previous clause and field is null for plain terms
+ */
+export const parseQuery = (text) => {
+  const { tokens, warnings } = tokenise(String(text || "").trim());
+  const clauses = [];
+  let operator = "AND";
+  let negateNext = false;
+
+  tokens.forEach((token) => {
+    if (token.type === "operator") {
+      if (token.value === "NOT") {
+        negateNext = true;
+      } else if (clauses.length > 0) {
+        operator = token.value;
+      }
+      return;
+    }
+
+    clauses.push({
+      field: token.field,
+      value: token.value,
+      phrase: token.phrase,
+      negated: token.excluded || negateNext,
+      operator: clauses.length > 0 ? operator : "AND",
+    });
+
+    operator = "AND";
+    negateNext = false;
+  });
+
+  if (clauses.length > 0 && clauses.every((clause) => clause.negated)) {
+    warnings.add("Exclusions need at least one search term to exclude from");
+  }
+
+  return { clauses, warnings: [...warnings] };
+};
+
+/**
+ * Write a clause back as query text
+ * @param {Object} clause - Parsed clause
+ * @param {boolean} withOperator - Prefix the clause with OR when it's OR'd to the previous one
+ * @returns {string} - eg. 'creator:"Katsushika Hokusai"' or '-print'
+ */
+export const formatClause = (clause, withOperator = false) => {
+  const value = clause.phrase || /[\s()]/.test(clause.value) ? `"${clause.value}"` : clause.value;
+  const term = `${clause.negated ? "-" : ""}${clause.field ? `${clause.field}:` : ""}${value}`;
+
+  return withOperator && clause.operator === "OR" ? `OR ${term}` : term;
+};
+
+/**
+ * Write clauses back as query text - the inverse of parseQuery
+ * @param {Array} clauses - Parsed clauses
+ * @returns {string} - eg. 'creator:Hokusai wave OR sea -print'
+ */
+export const formatQuery = (clauses) =>
+  clauses.map((clause, index) => formatClause(clause, index > 0)).join(" ");
+
+/**
+ * Whether a query uses any syntax - fields, phrases, operators, exclusions or anything
+ * the parser had to rewrite. Plain queries are sent to APIs as typed
+ */
+export const hasQuerySyntax = (parsed) =>
+  parsed.warnings.length > 0 ||
+  parsed.clauses.some(
+    (clause) => clause.field || clause.phrase || clause.negated || clause.operator === "OR"
+  );
+
+/**
+ * Words a result should contain, used for local scoring
+ * @param {string} text - Query text
+ * @returns {string} - eg. 'creator:"Hokusai" wave -print date:1830' -> 'Hokusai wave'
+ */
+export const getPlainText = (text) =>
+  parseQuery(text)
+    .clauses.filter(
+      (clause) =>
+        !clause.negated &&
+        clause.field !== "date" &&
+        clause.field !== "museum" &&
+        !SCOPE_FIELDS.includes(clause.field)
+    )
+    .map((clause) => clause.value)
+    .join(" ");
+
+/**
+ * Whether a clause sits in an OR group, ie. either side of it is joined with OR
+ */
+export const isInOrGroup = (clauses, index) =>
+  clauses[index].operator === "OR" || clauses[index + 1]?.operator === "OR";
+
+/**
+ * Quote phrases and escape special characters in a clause value for Lucene/Solr
+ */
+export const formatLuceneValue = (clause) =>
+  clause.phrase
+    ? `"${clause.value.replace(/"/g, "")}"`
+    : clause.value.replace(LUCENE_SPECIAL_CHARACTERS, "\\$&");
+
+/**
+ * Join clauses into a Lucene/Solr query string
+ * @param {Array} clauses - Parsed clauses
+ * @param {Function} translateClause - (clause, index) => query text for the clause without NOT, or null to drop it
+ * @returns {string} - eg. 'who:"Hokusai" AND wave AND NOT print'
+ */
+export const toLuceneQuery = (clauses, translateClause) => {
+  const parts = [];
+  let allNegated = true;
+
+  clauses.forEach((clause, index) => {
+    const text = translateClause(clause, index);
+    if (!text) return;
+
+    const term = clause.negated ? `NOT ${text}` : text;
+    parts.push(parts.length > 0 ? `${clause.operator} ${term}` : term);
+    allNegated = allNegated && clause.negated;
+  });
+
+  // A query of only exclusions matches nothing in Lucene, so exclude from everything
+  if (parts.length > 0 && allNegated) {
+    parts.unshift("*:* AND");
+  }
+
+  return parts.join(" ");
+};
+
+/**
+ * Fold clauses into plain search text, for APIs without a query syntax
+ * Unsupported fields, exclusions and OR are reported as warnings
+ * @param {Object} parsed - parseQuery result
+ * @param {Object} options
+ * @param {string} options.label - Source label used in warnings
+ * @param {string} options.museum - The single museum the source holds - museum: clauses are checked against it
+ * @param {Array<string>} options.textFields - Fields searched as plain text without a warning
+ * @param {Array<string>} options.handledFields - Fields the caller translates itself, left out of the text
+ * @returns {Object} - { text, matchesNothing, warnings } - matchesNothing when a museum: clause rules the source out
+ */
+export const toPlainTextQuery = (parsed, { label, museum, textFields = [], handledFields = [] }) => {
+  const { clauses } = parsed;
+  const warnings = new Set();
+  const terms = [];
+  let matchesNothing = false;
+
+  if (clauses.some((clause) => clause.operator === "OR")) {
+    warnings.add(`${label} doesn't support OR - all terms were required`);
+  }
+
+  clauses.forEach((clause, index) => {
+    if (clause.field === "museum") {
+      const isMuseum = normaliseText(museum).includes(normaliseText(clause.value));
+      if (!isInOrGroup(clauses, index) && isMuseum === clause.negated) {
+        matchesNothing = true;
+      }
+      return;
+    }
+
+    if (handledFields.includes(clause.field) || SCOPE_FIELDS.includes(clause.field)) return;
+
+    if (clause.negated) {
+      warnings.add(`${label} doesn't support exclusions - "${clause.value}" was not excluded`);
+      return;
+    }
+
+    if (clause.field === "date") {
+      warnings.add(`${label} can't filter by date - "date:${clause.value}" was ignored`);
+      return;
+    }
+
+    if (clause.field && !textFields.includes(clause.field)) {
+      warnings.add(`${label} can't search by ${clause.field} - "${clause.value}" was searched as plain text`);
+    }
+
+    terms.push(clause.phrase ? `"${clause.value}"` : clause.value);
+  });
+
+  return { text: terms.join(" "), matchesNothing, warnings: [...warnings] };
+};
+
+/**
+ * Sources a query asks for - source: clauses list the sources to search, -source: leaves one out
+ * Values match a source's ID or label, eg. source:met or source:"Met Museum"
+ * @param {string} query - Query text
+ * @param {Array} sources - Source providers, each { id, label }
+ * @returns {Array} - The sources to search, in the order given
+ */
+export const selectQuerySources = (query, sources) => {
+  const sourceClauses = parseQuery(query).clauses.filter((clause) => clause.field === "source");
+  if (sourceClauses.length === 0) return sources;
+
+  const matchesClause = (source, clause) => {
+    const value = normaliseText(clause.value);
+    return value === source.id.toLowerCase() || value === normaliseText(source.label);
+  };
+
+  const included = sourceClauses.filter((clause) => !clause.negated);
+  const excluded = sourceClauses.filter((clause) => clause.negated);
+
+  return sources.filter(
+    (source) =>
+      (included.length === 0 || included.some((clause) => matchesClause(source, clause))) &&
+      !excluded.some((clause) => matchesClause(source, clause))
+  );
+};
+
+/**
+ * Query warnings in the results.errors shape - syntax problems first, then each source's
+ * clauses its API can't honour
+ * @param {string} query - Query text
+ * @param {Array} sources - Sources searched, each { label, translateQuery }
+ * @returns {Array} - [{ source, error: { type: 'query', message } }]
+ */
+export const getQueryWarnings = (query, sources) => {
+  const toWarning = (source) => (message) => ({ source, error: { type: "query", message } });
+
+  return [
+    ...parseQuery(query).warnings.map(toWarning("Search")),
+    ...sources.flatMap((source) =>
+      (source.translateQuery?.(query).warnings || []).map(toWarning(source.label))
+    ),
+  ];
+};
+
+export const isQueryWarning = (sourceError) => sourceError?.error?.type === "query";
@@ -0,0 +1,162 @@
+// ================ CROSS-SOURCE DEDUPLICATION ================
+// Europeana aggregates institutions that other sources also hold directly, so the same object
+// can arrive from several sources. Matches are collapsed into the first card (source merge order),
+// with the other records listed in item.alternateSources.
+
+const DATE_TOLERANCE_YEARS = 10;
+const MIN_CORROBORATING_SIGNALS = 2;
+
+/**
+ * Normalise free text for comparison - lower case, no accents, punctuation or extra spaces
+ */
+const normaliseText = (text) =>
+  (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const normaliseMuseum = (museum) =>
+  normaliseText(museum).replace(/^the /, "");
+
+/**
+ * Reduce an image URL to host + image identifier, ignoring protocol, size and format
+ * eg. Europeana thumbnails wrap the original in ?uri=, IIIF URLs end in /full/<size>/0/default.jpg
+ */
+const getImageKey = (url) => {
+  if (!url) return null;
+
+  try {
+    let parsed = new URL(url);
+    const wrappedUrl = parsed.searchParams.get("uri");
+    if (wrappedUrl) {
+      parsed = new URL(wrappedUrl);
+    }
+
+    const idParam = parsed.searchParams.get("id");
+    const path = parsed.pathname
+      .replace(/\/full\/[^/]+\/\d+\/default\.\w+$/i, "")
+      .replace(/=s\d+$/, "");
+    const lastSegment = path.split("/").filter(Boolean).pop() || "";
+    const identifier = idParam || lastSegment.replace(/\.\w+$/, "");
+
+    return identifier ? `${parsed.hostname.replace(/^www\./, "")}|${identifier.toLowerCase()}` : null;
+  } catch {
+    return null;
+  }
+};
+
+const getImageKeys = (item) =>
+  [...new Set(
+    [item.media?.thumbnail, item.media?.primaryImage, item.media?.fullImage]
+      .map(getImageKey)
+      .filter(Boolean)
+  )];
+
+// Loose name match - every significant word of the shorter name appears in the longer one,
+// eg. "Rembrandt" / "Rembrandt van Rijn", "Gogh, Vincent van" / "Vincent van Gogh"
+const namesMatch = (a, b) => {
+  const wordsA = a.split(" ").filter((word) => word.length > 2);
+  const wordsB = b.split(" ").filter((word) => word.length > 2);
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+
+  if (shorter.length === 0) return a === b;
+  return shorter.every((word) => longer.includes(word));
+};
+
+/**
+ * Compare two items with the same normalised title
+ * @returns {boolean} - true when no signal conflicts and enough signals agree
+ */
+const isSameObject = (a, b) => {
+  let agreeing = 0;
+
+  if (a.creatorKey && b.creatorKey) {
+    if (!namesMatch(a.creatorKey, b.creatorKey)) return false;
+    agreeing++;
+  }
+
+  if (Number.isInteger(a.item.filterDate) && Number.isInteger(b.item.filterDate)) {
+    if (Math.abs(a.item.filterDate - b.item.filterDate) > DATE_TOLERANCE_YEARS) return false;
+    agreeing++;
+  }
+
+  if (a.museumKey && b.museumKey) {
+    if (!namesMatch(a.museumKey, b.museumKey)) return false;
+    agreeing++;
+  }
+
+  return agreeing >= MIN_CORROBORATING_SIGNALS;
+};
+
+const toAlternateSource = (item) => ({
+  source: item.source,
+  id: item.id,
+  museum: item.museum || "",
+  url: item.url || "",
+});
+
+/**
+ * Collapse records of the same object held by different sources
+ * Items from the same source are never merged - each source already has unique IDs
+ * @param {Array} items - Unified search items, in source merge order
+ * @returns {Object} { items, mergedCount } - items carry alternateSources when duplicates were merged
+ */
+export const deduplicateResults = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { items: [], mergedCount: 0 };
+  }
+
+  const primaries = [];
+  const byImage = new Map();
+  const byTitle = new Map();
+  let mergedCount = 0;
+
+  items.forEach((item) => {
+    const entry = {
+      item,
+      alternates: [],
+      sources: new Set([item.source]),
+      titleKey: normaliseText(item.title),
+      creatorKey: normaliseText(item.creator),
+      museumKey: normaliseMuseum(item.museum),
+      imageKeys: getImageKeys(item),
+    };
+
+    const canMergeInto = (primary) => !primary.sources.has(item.source);
+
+    // Identical image is enough on its own; otherwise the title must match and be corroborated
+    const match =
+      entry.imageKeys
+        .map((key) => byImage.get(key))
+        .find((primary) => primary && canMergeInto(primary)) ||
+      (entry.titleKey &&
+        (byTitle.get(entry.titleKey) || []).find(
+          (primary) => canMergeInto(primary) && isSameObject(primary, entry)
+        ));
+
+    if (match) {
+      match.alternates.push(toAlternateSource(item));
+      match.sources.add(item.source);
+      mergedCount++;
+      return;
+    }
+
+    primaries.push(entry);
+    entry.imageKeys.forEach((key) => {
+      if (!byImage.has(key)) byImage.set(key, entry);
+    });
+    if (entry.titleKey) {
+      byTitle.set(entry.titleKey, [...(byTitle.get(entry.titleKey) || []), entry]);
+    }
+  });
+
+  return {
+    items: primaries.map(({ item, alternates }) =>
+      alternates.length > 0 ? { ...item, alternateSources: alternates } : item
+    ),
+    mergedCount,
+  };
+};
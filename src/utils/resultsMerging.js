@@ -0,0 +1,120 @@
+import { getPlainText } from "./queryParser.js";
+
+// ================ MULTI-SOURCE MERGE STRATEGIES ================
+// Sources deliver results one after another, so plain concatenation puts the first
+// registered source's whole result set ahead of everyone else's.
+
+const FIELD_SCORES = {
+  title: 3,
+  creator: 2,
+  description: 1,
+};
+const TITLE_PHRASE_BONUS = 5;
+
+const normaliseText = (text) =>
+  (text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+const getQueryTerms = (query) => [
+  ...new Set(
+    normaliseText(query)
+      .split(/[^a-z0-9]+/)
+      .filter((term) => term.length > 1)
+  ),
+];
+
+const getWeight = (weights, source) => {
+  const weight = Number(weights?.[source]);
+  return weight > 0 ? weight : 1;
+};
+
+/**
+ * Position of every item when sources are interleaved by their original rank
+ * A source with weight 2 gets two items for every one from a weight-1 source
+ * @returns {Map} item -> interleaved position
+ */
+const getInterleavedPositions = (items, weights) => {
+  const sourceOrder = [];
+  const sourceRanks = {};
+
+  const ranked = items.map((item, index) => {
+    if (!(item.source in sourceRanks)) {
+      sourceRanks[item.source] = 0;
+      sourceOrder.push(item.source);
+    }
+    const rank = sourceRanks[item.source]++;
+
+    return {
+      item,
+      index,
+      key: rank / getWeight(weights, item.source),
+      sourceIndex: sourceOrder.indexOf(item.source),
+    };
+  });
+
+  ranked.sort((a, b) => a.key - b.key || a.sourceIndex - b.sourceIndex || a.index - b.index);
+
+  return new Map(ranked.map(({ item }, position) => [item, position]));
+};
+
+/**
+ * Local relevance score - query term matches in title, creator and description
+ */
+export const scoreItem = (item, query) => {
+  // Score on the words searched for, not fields, operators or exclusions
+  const searchText = getPlainText(query);
+  const terms = getQueryTerms(searchText);
+  if (terms.length === 0) return 0;
+
+  const fields = {
+    title: normaliseText(item.title),
+    creator: normaliseText(item.creator),
+    description: normaliseText(item.description),
+  };
+
+  let score = 0;
+  terms.forEach((term) => {
+    Object.entries(FIELD_SCORES).forEach(([field, fieldScore]) => {
+      if (fields[field].includes(term)) {
+        score += fieldScore;
+      }
+    });
+  });
+
+  if (terms.length > 1 && fields.title.includes(normaliseText(searchText).trim())) {
+    score += TITLE_PHRASE_BONUS;
+  }
+
+  return score;
+};
+
+/**
+ * Order unified results from several sources
+ * @param {Array} items - Unified items, grouped by source in each source's own rank order
+ * @param {Object} options
+ * @param {string} options.strategy - 'interleave' (default), 'score' or 'concatenate'
+ * @param {Object} options.weights - Per-source weights, eg. { smithsonian: 2 }
+ * @param {string} options.query - Search query, used by 'score'
+ * @returns {Array} - New array in merged order
+ */
+export const mergeResults = (items, { strategy = "interleave", weights = {}, query = "" } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) return [];
+  if (strategy === "concatenate") return [...items];
+
+  const positions = getInterleavedPositions(items, weights);
+
+  if (strategy !== "score") {
+    return [...items].sort((a, b) => positions.get(a) - positions.get(b));
+  }
+
+  // Ties (eg. no matches at all) fall back to the interleaved order
+  const scores = new Map(
+    items.map((item) => [item, scoreItem(item, query) * getWeight(weights, item.source)])
+  );
+
+  return [...items].sort(
+    (a, b) => scores.get(b) - scores.get(a) || positions.get(a) - positions.get(b)
+  );
+};
@@ -0,0 +1,114 @@
+// ================ SAVED SEARCH ALERTS ================
+// Each saved search remembers the items it has returned, so re-running it can tell which are new.
+// Runs from the app-load check aren't viewed, so their new items stay new until a run the user sees.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seen items are stored as fixed-length hashes of their keys, joined into one string - a run can
+// return thousands of items, and every saved search keeps its own in localStorage
+const SEEN_HASH_LENGTH = 11;
+
+// Seen items kept per saved search (about 130KB) - the newest run's are always all kept,
+// items only seen by earlier runs fill whatever is left
+const MAX_SEEN_ITEMS = 12000;
+
+// IDs are only unique within a source, so items are keyed on source + ID
+const getItemKey = (item) => `${item.source}:${item.id}`;
+
+// 53-bit string hash (cyrb53) in base 36, padded so hashes can be joined without separators
+const hashItemKey = (key) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < key.length; i++) {
+    const code = key.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36).padStart(SEEN_HASH_LENGTH, "0");
+};
+
+// Runs saved before hashing kept their raw keys as seenItemKeys
+const readSeenHashes = (run) => {
+  if (typeof run.seenItemHashes !== "string") {
+    return (run.seenItemKeys || []).map(hashItemKey);
+  }
+
+  const hashes = [];
+  for (let i = 0; i < run.seenItemHashes.length; i += SEEN_HASH_LENGTH) {
+    hashes.push(run.seenItemHashes.slice(i, i + SEEN_HASH_LENGTH));
+  }
+  return hashes;
+};
+
+/**
+ * Keys for an item and any duplicates merged into it, so an item isn't new
+ * just because a different source's record was picked as the primary
+ */
+export const getItemKeys = (item) => [
+  getItemKey(item),
+  ...(item.alternateSources || []).map(getItemKey),
+];
+
+/**
+ * Compare a run's items with those a saved search has returned before
+ * @param {Object|null} previousRun - The saved search's lastRun, null on its first run
+ * @param {Array} items - Every item the run returned
+ * @param {Object} options
+ * @param {string} options.runAt - ISO timestamp of the run
+ * @param {boolean} options.viewed - Whether the user saw the run, ie. it ran on SearchResultsPage
+ * @returns {Object} - { lastRunAt, newSince, newItemKeys, seenItemHashes, viewed } -
+ *   the first run only records what was seen, so nothing is new
+ */
+export const diffSearchRun = (previousRun, items, { runAt, viewed }) => {
+  const itemHashes = items.map((item) => getItemKeys(item).map(hashItemKey));
+  const runHashes = [...new Set(itemHashes.flat())];
+
+  if (!previousRun) {
+    return {
+      lastRunAt: runAt,
+      newSince: null,
+      newItemKeys: [],
+      seenItemHashes: runHashes.join(""),
+      viewed,
+    };
+  }
+
+  const seen = new Set(readSeenHashes(previousRun));
+  const newKeys = items
+    .filter((item, index) => !itemHashes[index].some((hash) => seen.has(hash)))
+    .map(getItemKey);
+
+  // New items nobody has looked at yet carry over, still new since the earlier run
+  const unviewedKeys = previousRun.viewed ? [] : previousRun.newItemKeys;
+
+  const runHashSet = new Set(runHashes);
+  const earlierHashes = [...seen]
+    .filter((hash) => !runHashSet.has(hash))
+    .slice(0, Math.max(0, MAX_SEEN_ITEMS - runHashes.length));
+
+  return {
+    lastRunAt: runAt,
+    newSince: unviewedKeys.length > 0 ? previousRun.newSince : previousRun.lastRunAt,
+    newItemKeys: [...new Set([...unviewedKeys, ...newKeys])],
+    seenItemHashes: [...runHashes, ...earlierHashes].join(""),
+    viewed,
+  };
+};
+
+/**
+ * Whether an item is one of a run's new items
+ * @param {Object} item - Result item
+ * @param {Set} newItemKeys - The saved search's lastRun.newItemKeys
+ */
+export const isNewItem = (item, newItemKeys) =>
+  newItemKeys.size > 0 && getItemKeys(item).some((key) => newItemKeys.has(key));
+
+/**
+ * Whether a saved search is due its app-load check - never run, or last run over refreshAfterDays ago
+ */
+export const isSearchRunDue = (savedSearch, refreshAfterDays, now = Date.now()) =>
+  !savedSearch.lastRun ||
+  now - new Date(savedSearch.lastRun.lastRunAt).getTime() > refreshAfterDays * DAY_MS;
@@ -1,208 +1,314 @@
+import { cacheConfig } from "../api/config";
+
 // ================ CONFIG ================
 // Handles caching, clearance and retrieval of formatted search results
-const CACHE_PREFIX = "museum_search_";
-const CACHE_EXPIRY = 30 * 60 * 1000; // 30 minutes
-const MAX_CACHE_ENTRIES = 8;
-const CACHE_RETENTION_RATIO = 0.5; // % of cache entries retained when clearing
+// Results live in IndexedDB - one record per cached search, plus one record per item - and the
+// least recently used searches are evicted once the cache grows past cacheConfig.budgetMB
+const DB_NAME = "museum_search_cache";
+const DB_VERSION = 1;
+const ENTRY_STORE = "entries"; // { key, query, source, totalResults, itemCount, bytes, timestamp, lastAccessed }
+const ITEM_STORE = "items"; // { key, index, item } - keyed on [key, index], so items read back in order
+const LEGACY_CACHE_PREFIX = "museum_search_"; // localStorage keys from before IndexedDB
 // ========================================
 
 
-const normalizeQuery = (query) => query?.trim().toLowerCase() || "";
+// Case is kept - "cats OR dogs" and "cats or dogs" are different searches, as are field values
+const normalizeQuery = (query) => query?.trim().replace(/\s+/g, " ") || "";
 
 const getCacheKey = (query, source = "smithsonian") =>
-  `${CACHE_PREFIX}${source}_${normalizeQuery(query)}`;
+  `${source}_${normalizeQuery(query)}`;
 
-const safeLocalStorage = {
-  get: (key) => {
-    try {
-      return localStorage.getItem(key);
-    } catch (e) {
-      return null;
-    }
-  },
-  set: (key, value) => {
-    try {
-      localStorage.setItem(key, value);
-      return true;
-    } catch (e) {
-      return false;
+const getExpiry = () => cacheConfig.expiryMinutes * 60 * 1000;
+
+// Past expiry, entries are stale - still served on request until they reach this age
+const getStaleLimit = () => cacheConfig.staleMaxHours * 60 * 60 * 1000;
+
+const getBudgetBytes = () => cacheConfig.budgetMB * 1024 * 1024;
+
+// Serialised length - close enough to bytes for budgeting, as item text is mostly ASCII
+const estimateBytes = (value) => {
+  try {
+    return JSON.stringify(value)?.length || 0;
+  } catch (e) {
+    return 0;
+  }
+};
+
+// Every item record of a cached search
+const getItemRange = (key) => IDBKeyRange.bound([key, 0], [key, Infinity]);
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+// Results used to be cached in localStorage - free that space once the new store opens
+const removeLegacyCaches = () => {
+  try {
+    const legacyKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key?.startsWith(LEGACY_CACHE_PREFIX)) {
+        legacyKeys.push(key);
+      }
     }
-  },
-  remove: (key) => {
-    try {
-      localStorage.removeItem(key);
-      return true;
-    } catch (e) {
-      return false;
+    legacyKeys.forEach((key) => localStorage.removeItem(key));
+  } catch (e) {
+    // localStorage unavailable - nothing to migrate
+  }
+};
+
+let dbPromise = null;
+
+/**
+ * Open (or create) the cache database
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable, eg. some private windows
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") {
+      resolve(null);
+      return;
     }
-  },
-  keys: () => {
+
     try {
-      const keys = [];
-      for (let i = 0; i < localStorage.length; i++) {
-        keys.push(localStorage.key(i));
-      }
-      return keys;
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(ENTRY_STORE, { keyPath: "key" });
+        db.createObjectStore(ITEM_STORE, { keyPath: ["key", "index"] });
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgrading the database - close so it can, and reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+
+        removeLegacyCaches();
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        console.error("Error opening results cache:", request.error);
+        resolve(null);
+      };
     } catch (e) {
-      return [];
+      resolve(null);
     }
-  },
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a transaction over both stores
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} work - (entryStore, itemStore) => value, run inside the transaction
+ * @returns {Promise<*>} work's result once the transaction completes, or null when it failed -
+ *   an IDBRequest returned by work has its .result ready by then
+ */
+const withStores = async (mode, work) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  try {
+    const transaction = db.transaction([ENTRY_STORE, ITEM_STORE], mode);
+    const result = work(
+      transaction.objectStore(ENTRY_STORE),
+      transaction.objectStore(ITEM_STORE)
+    );
+    await transactionDone(transaction);
+    return result;
+  } catch (e) {
+    console.error("Results cache error:", e);
+    return null;
+  }
+};
+
+const deleteEntry = (entryStore, itemStore, key) => {
+  entryStore.delete(key);
+  itemStore.delete(getItemRange(key));
 };
 
 const searchResultsManager = {
-  getCacheCount() {
-    return safeLocalStorage
-      .keys()
-      .filter(key => key.startsWith(CACHE_PREFIX))
-      .length;
+  async getCacheCount() {
+    const request = await withStores("readonly", (entryStore) => entryStore.count());
+    return request?.result || 0;
   },
 
-  storeResults(query, items, totalResults, source = "smithsonian") {
+  /**
+   * Cache a source's results for a query, replacing any earlier entry
+   * @returns {Promise<boolean>} Whether the results were stored
+   */
+  async storeResults(query, items, totalResults, source = "smithsonian") {
     const normalizedQuery = normalizeQuery(query);
-    const cacheKey = getCacheKey(normalizedQuery, source);
+    const key = getCacheKey(normalizedQuery, source);
+    const itemBytes = items.map(estimateBytes);
+    const bytes = itemBytes.reduce((sum, size) => sum + size, 0);
 
-    // Check cache limit 
-    if (this.getCacheCount() >= MAX_CACHE_ENTRIES) {
-      this.clearOldCaches();
+    // A single result set over the whole budget would only evict everything else
+    if (bytes > getBudgetBytes()) {
+      return false;
     }
 
-    const cacheData = {
-      items,
-      totalResults,
-      timestamp: Date.now(),
-      query: normalizedQuery,
-      source,
-    };
+    const now = Date.now();
+    const stored = await withStores("readwrite", (entryStore, itemStore) => {
+      deleteEntry(entryStore, itemStore, key);
 
-    let success = safeLocalStorage.set(cacheKey, JSON.stringify(cacheData));
-    if (!success) {
-      this.clearAllCaches();
-      safeLocalStorage.set(cacheKey, JSON.stringify(cacheData));
-    }
+      entryStore.put({
+        key,
+        query: normalizedQuery,
+        source,
+        totalResults,
+        itemCount: items.length,
+        bytes,
+        timestamp: now,
+        lastAccessed: now,
+      });
+      items.forEach((item, index) => itemStore.put({ key, index, item }));
+
+      return true;
+    });
+
+    if (!stored) return false;
+
+    await this.evictLeastRecentlyUsed();
+    return true;
   },
 
-  getCachedResults(query, source = "smithsonian") {
+  /**
+   * Read a source's cached results for a query - marks the entry as recently used
+   * @param {Object} options - { allowStale } - return expired entries too, flagged isStale, so they can be refreshed
+   * @returns {Promise<Object|null>} { items, totalResults, timestamp, query, source, isStale }, or null when missing or expired
+   */
+  async getCachedResults(query, source = "smithsonian", { allowStale = false } = {}) {
     const normalizedQuery = normalizeQuery(query);
-    const cacheKey = getCacheKey(normalizedQuery, source);
+    const key = getCacheKey(normalizedQuery, source);
 
-    const cachedData = safeLocalStorage.get(cacheKey);
+    const entryRequest = await withStores("readonly", (entryStore) => entryStore.get(key));
+    const cachedEntry = entryRequest?.result;
 
-    if (!cachedData) {
+    if (!cachedEntry) {
       return null;
     }
 
-    try {
-      const parsedData = JSON.parse(cachedData);
+    const age = Date.now() - cachedEntry.timestamp;
+    if (age > getStaleLimit()) {
+      await this.clearCacheItem(normalizedQuery, source);
+      return null;
+    }
 
-      if (Date.now() - parsedData.timestamp > CACHE_EXPIRY) {
-        safeLocalStorage.remove(cacheKey);
-        return null;
-      }
+    const isStale = age > getExpiry();
+    if (isStale && !allowStale) {
+      return null;
+    }
+
+    const itemsRequest = await withStores("readwrite", (entryStore, itemStore) => {
+      entryStore.put({ ...cachedEntry, lastAccessed: Date.now() });
+      return itemStore.getAll(getItemRange(key));
+    });
+    const records = itemsRequest?.result;
 
-      return parsedData;
-    } catch (error) {
-      safeLocalStorage.remove(cacheKey); 
+    // Items missing or partly written - treat as a miss rather than show partial results
+    if (!records || records.length !== cachedEntry.itemCount) {
+      await this.clearCacheItem(normalizedQuery, source);
       return null;
     }
-  },
 
-  clearCacheItem(query, source = "smithsonian") {
-    const normalizedQuery = normalizeQuery(query);
-    const cacheKey = getCacheKey(normalizedQuery, source);
-    safeLocalStorage.remove(cacheKey);
+    return {
+      items: records.map((record) => record.item),
+      totalResults: cachedEntry.totalResults,
+      timestamp: cachedEntry.timestamp,
+      query: cachedEntry.query,
+      source: cachedEntry.source,
+      isStale,
+    };
   },
 
-  clearAllCaches() {
-    const keysToRemove = safeLocalStorage
-      .keys()
-      .filter((key) => key.startsWith(CACHE_PREFIX));
+  async clearCacheItem(query, source = "smithsonian") {
+    const key = getCacheKey(query, source);
+    await withStores("readwrite", (entryStore, itemStore) =>
+      deleteEntry(entryStore, itemStore, key)
+    );
+  },
 
-    keysToRemove.forEach((key) => safeLocalStorage.remove(key));
+  async clearAllCaches() {
+    await withStores("readwrite", (entryStore, itemStore) => {
+      entryStore.clear();
+      itemStore.clear();
+    });
   },
 
-  clearOldCaches() {
-    this.clearExpiredCaches();
-    const currentCount = this.getCacheCount();
-    const targetCount = Math.floor(MAX_CACHE_ENTRIES * CACHE_RETENTION_RATIO);
-    const entriesToRemove = currentCount - targetCount;
-    
-    if (entriesToRemove <= 0) return;
-    
-    const cacheEntries = [];
-
-    safeLocalStorage
-      .keys()
-      .filter((key) => key.startsWith(CACHE_PREFIX))
-      .forEach((key) => {
-        try {
-          const data = JSON.parse(safeLocalStorage.get(key));
-          cacheEntries.push({
-            key,
-            timestamp: data.timestamp || 0,
-            source: data.source || "unknown",
-          });
-        } catch (e) {
-          cacheEntries.push({
-            key,
-            timestamp: 0,
-            source: "corrupted",
-          });
-        }
-      });
+  // Stale entries are kept until cacheConfig.staleMaxHours, so they can still be shown while refreshing
+  async clearExpiredCaches() {
+    const entries = await this.getEntries();
+    const expiredKeys = entries
+      .filter((entry) => Date.now() - entry.timestamp > getStaleLimit())
+      .map((entry) => entry.key);
 
-    cacheEntries.sort((a, b) => a.timestamp - b.timestamp);
+    if (expiredKeys.length === 0) return;
 
-    const entriesToRemoveArray = cacheEntries.slice(0, entriesToRemove);
-    entriesToRemoveArray.forEach((entry) => safeLocalStorage.remove(entry.key));
+    await withStores("readwrite", (entryStore, itemStore) =>
+      expiredKeys.forEach((key) => deleteEntry(entryStore, itemStore, key))
+    );
   },
 
-  clearExpiredCaches() {
-    const expiredKeys = [];
-    
-    safeLocalStorage
-      .keys()
-      .filter(key => key.startsWith(CACHE_PREFIX))
-      .forEach(key => {
-        try {
-          const data = JSON.parse(safeLocalStorage.get(key));
-          if (Date.now() - data.timestamp > CACHE_EXPIRY) {
-            expiredKeys.push(key);
-          }
-        } catch (e) {
-          expiredKeys.push(key);
-        }
+  /**
+   * Drop expired entries, then the least recently used until the cache fits cacheConfig.budgetMB
+   */
+  async evictLeastRecentlyUsed() {
+    await this.clearExpiredCaches();
+
+    const entries = await this.getEntries();
+    let totalBytes = entries.reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+    const budgetBytes = getBudgetBytes();
+
+    if (totalBytes <= budgetBytes) return;
+
+    const keysToRemove = [];
+    [...entries]
+      .sort((a, b) => a.lastAccessed - b.lastAccessed)
+      .forEach((entry) => {
+        if (totalBytes <= budgetBytes) return;
+        keysToRemove.push(entry.key);
+        totalBytes -= entry.bytes || 0;
       });
 
-    expiredKeys.forEach(key => safeLocalStorage.remove(key));
+    await withStores("readwrite", (entryStore, itemStore) =>
+      keysToRemove.forEach((key) => deleteEntry(entryStore, itemStore, key))
+    );
   },
 
-  getCacheStats() {
-    const stats = {
-      smithsonian: 0,
-      europeana: 0,
-      total: 0,
-      corrupted: 0,
-    };
+  // Entry records only - items aren't read, so this stays cheap however large the cache is
+  async getEntries() {
+    const request = await withStores("readonly", (entryStore) => entryStore.getAll());
+    return request?.result || [];
+  },
 
-    safeLocalStorage
-      .keys()
-      .filter((key) => key.startsWith(CACHE_PREFIX))
-      .forEach((key) => {
-        try {
-          const data = JSON.parse(safeLocalStorage.get(key));
-          const source = data.source || "smithsonian";
-          if (stats.hasOwnProperty(source)) {
-            stats[source]++;
-          }
-          stats.total++;
-        } catch (e) {
-          stats.corrupted++;
-          stats.total++;
-        }
-      });
+  /**
+   * @returns {Promise<Object>} { total, sources: { [source]: count }, sizeBytes, budgetBytes }
+   */
+  async getCacheStats() {
+    const entries = await this.getEntries();
 
-    return stats;
+    return {
+      total: entries.length,
+      sources: entries.reduce((counts, entry) => {
+        counts[entry.source] = (counts[entry.source] || 0) + 1;
+        return counts;
+      }, {}),
+      sizeBytes: entries.reduce((sum, entry) => sum + (entry.bytes || 0), 0),
+      budgetBytes: getBudgetBytes(),
+    };
   },
 };
 
-export default searchResultsManager;
\ No newline at end of file
+export default searchResultsManager;
@@ -0,0 +1,122 @@
+// ================ CONFIG ================
+// Minimal zip writer for exports - files are stored uncompressed, as the bulk of an export is
+// images that are already compressed
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20;
+const UTF8_NAMES_FLAG = 0x0800;
+// ========================================
+
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time & date fields, in local time
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const writeFields = (fields) => {
+  const size = fields.reduce((sum, [, bytes]) => sum + bytes, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+
+  fields.forEach(([value, bytes]) => {
+    if (bytes === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+    offset += bytes;
+  });
+
+  return new Uint8Array(view.buffer);
+};
+
+/**
+ * Build a zip archive
+ * @param {Array} files - { name, data } - data is a string or Uint8Array, name may include folders ("images/1.jpg")
+ * @param {Date} modified - Modification time recorded for every file
+ * @returns {Blob} application/zip
+ */
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    const crc = crc32(bytes);
+
+    const localHeader = writeFields([
+      [LOCAL_HEADER_SIGNATURE, 4],
+      [ZIP_VERSION, 2],
+      [UTF8_NAMES_FLAG, 2],
+      [0, 2], // stored
+      [time, 2],
+      [date, 2],
+      [crc, 4],
+      [bytes.length, 4],
+      [bytes.length, 4],
+      [nameBytes.length, 2],
+      [0, 2],
+    ]);
+
+    centralDirectory.push(
+      writeFields([
+        [CENTRAL_HEADER_SIGNATURE, 4],
+        [ZIP_VERSION, 2],
+        [ZIP_VERSION, 2],
+        [UTF8_NAMES_FLAG, 2],
+        [0, 2],
+        [time, 2],
+        [date, 2],
+        [crc, 4],
+        [bytes.length, 4],
+        [bytes.length, 4],
+        [nameBytes.length, 2],
+        [0, 2], // extra field length
+        [0, 2], // comment length
+        [0, 2], // disk number
+        [0, 2], // internal attributes
+        [0, 4], // external attributes
+        [offset, 4],
+      ]),
+      nameBytes
+    );
+
+    parts.push(localHeader, nameBytes, bytes);
+    offset += localHeader.length + nameBytes.length + bytes.length;
+  });
+
+  const centralDirectorySize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+  const endOfCentralDirectory = writeFields([
+    [END_OF_CENTRAL_DIRECTORY_SIGNATURE, 4],
+    [0, 2],
+    [0, 2],
+    [files.length, 2],
+    [files.length, 2],
+    [centralDirectorySize, 4],
+    [offset, 4],
+    [0, 2],
+  ]);
+
+  return new Blob([...parts, ...centralDirectory, endOfCentralDirectory], {
+    type: "application/zip",
+  });
+};